@@ -0,0 +1,313 @@
+import express from 'express';
+import { logger } from './logger.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { requireAdmin } from './auth.js';
+import { ADMIN_STATUS_MAP, resolveOrderStatus, staffActor, statusTimeline, updateOrderStatus } from './order-status.js';
+import { loadPriceTable, savePriceTable } from './pricing.js';
+import refundsApi from './refunds.js';
+import reportsApi from './reports.js';
+import productionApi from './production.js';
+import { pickupAdminApi } from './pickup.js';
+import { voucherAdminApi } from './vouchers.js';
+import { replayWebhookEvent } from './payment-callback.js';
+import { listWebhookEvents, loadWebhookEvent } from './webhook-events.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Admin API (staff dashboard)
+// -----------------------------------------------------------------------------
+
+const router = express.Router();
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+router.use('/admin', requireAdmin);
+router.use('/admin', (req, res, next) => {
+  if (!repositoriesAvailable()) {
+    return res.status(503).json({ success: false, error: 'Firebase Admin is not initialised. Set service credentials.' });
+  }
+  return next();
+});
+
+// Feature routers below share the admin guard above.
+router.use(refundsApi);
+router.use(reportsApi);
+router.use(productionApi);
+router.use(pickupAdminApi);
+router.use(voucherAdminApi);
+
+function loadOrder(orderId) {
+  return getRepositories().orders.get(orderId);
+}
+
+function matchesSearch(order, term) {
+  const haystack = [
+    order.id,
+    order.billcode || order.billCode,
+    order.customerName || order.name,
+    order.customerEmail || order.email,
+    order.customerPhone || order.phone,
+    order.userId || order.userID || order.customerId || order.customerID
+  ];
+  return haystack.some(value => value && String(value).toLowerCase().includes(term));
+}
+
+function orderTimestamp(order) {
+  return Date.parse(order.createdAt || order.updatedAt || '') || 0;
+}
+
+// GET /admin/orders?status=PAID&adminStatus=approved&userId=...&q=...&from=...&to=...&limit=50
+router.get('/admin/orders', async (req, res) => {
+  try {
+    const { status, adminStatus, userId, q, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    // Narrow on the server when filtering by status; everything else is filtered in memory.
+    const { orders: orderRepository } = getRepositories();
+    const candidates = status
+      ? await orderRepository.listByStatus([resolveOrderStatus(status)])
+      : await orderRepository.list();
+
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const term = q ? String(q).trim().toLowerCase() : '';
+
+    const orders = candidates
+      .filter(order => !adminStatus || order.adminStatus === adminStatus)
+      .filter(order => !userId || [order.userId, order.userID, order.customerId, order.customerID].includes(userId))
+      .filter(order => !fromTime || orderTimestamp(order) >= fromTime)
+      .filter(order => !toTime || orderTimestamp(order) <= toTime)
+      .filter(order => !term || matchesSearch(order, term))
+      .sort((a, b) => orderTimestamp(b) - orderTimestamp(a));
+
+    return res.json({
+      success: true,
+      total: orders.length,
+      orders: orders.slice(0, limit)
+    });
+  } catch (error) {
+    logger.error('Error listing orders', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/orders/:id', async (req, res) => {
+  try {
+    const order = await loadOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order ${req.params.id} not found` });
+    }
+    return res.json({ success: true, order });
+  } catch (error) {
+    logger.error('Error loading order', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Every recorded status change, oldest first, with who made it and why.
+router.get('/admin/orders/:id/timeline', async (req, res) => {
+  try {
+    const order = await loadOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order ${req.params.id} not found` });
+    }
+    return res.json({
+      success: true,
+      orderId: order.id,
+      status: resolveOrderStatus(order.status),
+      createdAt: order.createdAt || null,
+      timeline: statusTimeline(order)
+    });
+  } catch (error) {
+    logger.error('Error loading order timeline', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Only production moves are made here. Payment statuses follow the provider's
+// callbacks, and cancelling needs a refund decision (POST /admin/orders/:id/cancel).
+const STAFF_STATUSES = ['PROCESSING', 'PRINTING', 'COMPLETED'];
+
+// Body: { status, reason? } — an order status (PROCESSING) or its admin label (in-progress).
+// The reason is kept in the order's status history.
+router.patch('/admin/orders/:id/status', async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const requested = (req.body?.status || '').toString().trim();
+    if (!requested) {
+      return res.status(400).json({ success: false, error: 'status is required' });
+    }
+
+    const target = resolveOrderStatus(requested);
+    if (!ADMIN_STATUS_MAP[target]) {
+      return res.status(400).json({ success: false, error: `Unknown status ${requested}` });
+    }
+    if (target === 'CANCELLED') {
+      return res.status(409).json({
+        success: false,
+        error: `Cancel orders with POST /admin/orders/${orderId}/cancel so the refund is decided`
+      });
+    }
+    if (!STAFF_STATUSES.includes(target)) {
+      return res.status(409).json({
+        success: false,
+        error: `${target} is set by payments, not by staff. Use one of ${STAFF_STATUSES.join(', ')}`
+      });
+    }
+
+    const outcome = await updateOrderStatus(orderId, target, {
+      statusUpdatedBy: req.user.email || req.user.uid
+    }, {
+      actor: staffActor(req.user),
+      reason: (req.body?.reason || '').toString().trim().slice(0, 500) || null
+    });
+
+    if (!outcome.applied) {
+      const code = outcome.reason === 'order_not_found' ? 404 : 409;
+      return res.status(code).json({
+        success: false,
+        error: outcome.reason,
+        from: outcome.from || null,
+        to: outcome.to || target
+      });
+    }
+
+    return res.json({
+      success: true,
+      orderId,
+      from: outcome.from,
+      status: outcome.to,
+      adminStatus: ADMIN_STATUS_MAP[outcome.to]
+    });
+  } catch (error) {
+    logger.error('Error updating order status', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Internal notes live outside the order so customers reading their order never see them.
+router.get('/admin/orders/:id/notes', async (req, res) => {
+  try {
+    const notes = (await getRepositories().orderNotes.list(req.params.id))
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    return res.json({ success: true, notes });
+  } catch (error) {
+    logger.error('Error loading order notes', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/admin/orders/:id/notes', async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const text = (req.body?.text || req.body?.note || '').toString().trim();
+    if (!text) {
+      return res.status(400).json({ success: false, error: 'text is required' });
+    }
+
+    const order = await loadOrder(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order ${orderId} not found` });
+    }
+
+    const note = {
+      text,
+      author: req.user.email || req.user.uid,
+      authorUid: req.user.uid,
+      createdAt: now().toISOString()
+    };
+    const noteId = await getRepositories().orderNotes.add(orderId, note);
+
+    return res.status(201).json({ success: true, note: { noteId, ...note } });
+  } catch (error) {
+    logger.error('Error adding order note', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/orders/:id/payments', async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const { payments: paymentRepository } = getRepositories();
+    const summaries = await paymentRepository.listByOrder(orderId);
+
+    const payments = await Promise.all(summaries.map(async summary =>
+      (await paymentRepository.get(summary.paymentId)) || summary));
+    payments.sort((a, b) => Date.parse(b.createdAt || '') - Date.parse(a.createdAt || ''));
+
+    return res.json({ success: true, orderId, payments });
+  } catch (error) {
+    logger.error('Error loading order payments', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/pricing', async (req, res) => {
+  try {
+    const priceTable = await loadPriceTable();
+    return res.json({ success: true, priceTable });
+  } catch (error) {
+    logger.error('Error loading price table', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.put('/admin/pricing', async (req, res) => {
+  try {
+    const priceTable = await savePriceTable(req.body, req.user.email || req.user.uid);
+    logger.info('Price table updated', { updatedBy: priceTable.updatedBy });
+    return res.json({ success: true, priceTable });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error saving price table', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /admin/webhook-events?provider=billplz&outcome=error&billcode=...&before=<eventId>&limit=50
+router.get('/admin/webhook-events', async (req, res) => {
+  try {
+    const { provider, outcome, billcode, before, limit } = req.query;
+    const page = await listWebhookEvents({ provider, outcome, billcode, before, limit });
+    return res.json({ success: true, ...page });
+  } catch (error) {
+    logger.error('Error listing webhook events', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/webhook-events/:eventId', async (req, res) => {
+  try {
+    const event = await loadWebhookEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ success: false, error: `Webhook event ${req.params.eventId} not found` });
+    }
+    return res.json({ success: true, event });
+  } catch (error) {
+    logger.error('Error loading webhook event', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/admin/webhook-events/:eventId/replay', async (req, res) => {
+  try {
+    const { eventId, attempt, result } = await replayWebhookEvent(req.params.eventId, req.user.email || req.user.uid);
+    return res.json({
+      success: result.statusCode < 500,
+      eventId,
+      attemptId: attempt?.attemptId || null,
+      outcome: result.outcome,
+      response: result.body
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error replaying webhook event', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
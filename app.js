@@ -0,0 +1,368 @@
+import express from 'express';
+import cors from 'cors';
+import { firebaseDb, setDatabase } from './firebase.js';
+import { setClock, systemClock } from './clock.js';
+import { setRepositories } from './repositories/index.js';
+import { loadConfig } from './config.js';
+import { logger, requestContext } from './logger.js';
+import { httpMetrics, registry, routeLabel } from './metrics.js';
+import { LEGACY_PROVIDER, listProviders } from './providers/index.js';
+import {
+  callbackAllowlist,
+  corsOptions,
+  createMemoryRateLimitStore,
+  isCallbackRequest,
+  rateLimit,
+  rejectRequest,
+  rejectUnknownOrigins,
+  securityHeaders
+} from './security.js';
+import adminApi from './admin-api.js';
+import uploadsApi from './uploads.js';
+import quotesApi from './quotes.js';
+import historyApi from './history.js';
+import notificationsApi from './notifications.js';
+import invoicesApi from './invoices.js';
+import pickupApi from './pickup.js';
+import vouchersApi from './vouchers.js';
+import paymentReturnApi from './payment-return.js';
+import paymentBillsApi from './payment-bills.js';
+import paymentCallbackApi from './payment-callback.js';
+
+// -----------------------------------------------------------------------------
+// App factory
+// -----------------------------------------------------------------------------
+// createApp({ db, repositories, config, clock, rateLimitStore }) builds the
+// Express app without listening, so server.js and tests share exactly the same
+// middleware and routes.
+//   db             Realtime Database (defaults to the Firebase Admin instance)
+//   repositories   order/payment storage (defaults to Firebase repositories over db;
+//                  tests pass createMemoryRepositories())
+//   config         result of loadConfig() (defaults to reading process.env)
+//   clock          { now: () => Date } (defaults to the system clock)
+//   rateLimitStore counters for the rate limiters (see security.js; defaults to memory)
+
+// Parse multipart callbacks manually (ToyyibPay sometimes sends multipart/form-data).
+// Scoped to /payment so print file uploads reach their streaming parser untouched.
+// Bodies over maxBytes are refused with 413 and the rest of the upload discarded.
+function multipartCallbackParser(maxBytes) {
+  return function parseMultipartCallback(req, res, next) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('multipart/form-data')) {
+      return next();
+    }
+
+    const boundaryMatch = contentType.match(/boundary=(.+)$/i);
+    if (!boundaryMatch) {
+      return next();
+    }
+
+    const tooLarge = () => {
+      res.set('Connection', 'close');
+      return rejectRequest(req, res, 413, 'body_too_large', { limit: maxBytes });
+    };
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      return tooLarge();
+    }
+
+    const boundary = boundaryMatch[1];
+    let rawData = '';
+    let received = 0;
+    let rejected = false;
+
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      if (rejected) {
+        return;
+      }
+      received += Buffer.byteLength(chunk);
+      if (received > maxBytes) {
+        rejected = true;
+        rawData = '';
+        tooLarge();
+        return;
+      }
+      rawData += chunk;
+    });
+
+    req.on('end', () => {
+      if (rejected) {
+        return;
+      }
+
+      const formData = {};
+      const parts = rawData.split(`--${boundary}`);
+
+      parts.forEach(part => {
+        if (!part.includes('Content-Disposition')) {
+          return;
+        }
+
+        const nameMatch = part.match(/name="([^\"]+)"/);
+        if (!nameMatch) {
+          return;
+        }
+
+        const value = part.split('\r\n\r\n')[1];
+        if (!value) {
+          return;
+        }
+
+        const cleaned = value.replace(/\r\n--$/, '').trim();
+        formData[nameMatch[1]] = cleaned;
+      });
+
+      req.body = formData;
+      req.rawBody = rawData;
+      next();
+    });
+
+    req.on('error', err => {
+      logger.error('Error parsing multipart/form-data payload', { err });
+      next();
+    });
+  };
+}
+
+// Keep the raw payment callback body for the webhook event log.
+function keepRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/payment/')) {
+    req.rawBody = buf.toString('utf8');
+  }
+}
+
+// One access log line per request.
+function accessLog(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    logger.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: routeLabel(req),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || null
+    });
+  });
+  next();
+}
+
+// Counts requests still being handled so shutdown can wait for them (a payment
+// callback cut off halfway would be retried by the gateway, but only later).
+function createLifecycle() {
+  let draining = false;
+  let inFlight = 0;
+  let idle = [];
+
+  const settle = () => {
+    if (inFlight === 0) {
+      idle.forEach(resolve => resolve());
+      idle = [];
+    }
+  };
+
+  return {
+    get draining() {
+      return draining;
+    },
+    get inFlight() {
+      return inFlight;
+    },
+    track(req, res, next) {
+      if (draining) {
+        res.set('Connection', 'close');
+        return res.status(503).json({ success: false, error: 'Server is shutting down' });
+      }
+      inFlight += 1;
+      let done = false;
+      const finish = () => {
+        if (!done) {
+          done = true;
+          inFlight -= 1;
+          settle();
+        }
+      };
+      res.on('finish', finish);
+      res.on('close', finish);
+      return next();
+    },
+    // Resolves { drained, remaining } once idle or after timeoutMs, whichever is first.
+    drain(timeoutMs) {
+      draining = true;
+      if (inFlight === 0) {
+        return Promise.resolve({ drained: true, remaining: 0 });
+      }
+      return new Promise(resolve => {
+        const timer = setTimeout(() => resolve({ drained: false, remaining: inFlight }), timeoutMs);
+        idle.push(() => {
+          clearTimeout(timer);
+          resolve({ drained: true, remaining: 0 });
+        });
+      });
+    }
+  };
+}
+
+async function pingDatabase(database, timeoutMs) {
+  if (!database) {
+    throw new Error('Firebase Admin is not initialised');
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Database did not answer within ${timeoutMs}ms`)), timeoutMs);
+  });
+  try {
+    await Promise.race([database.ref('health/ping').once('value'), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function createApp({
+  db = firebaseDb,
+  repositories = null,
+  config = loadConfig().config,
+  clock = systemClock,
+  rateLimitStore = createMemoryRateLimitStore()
+} = {}) {
+  setDatabase(db);
+  setRepositories(repositories);
+  setClock(clock);
+
+  const app = express();
+  const lifecycle = createLifecycle();
+  app.locals.config = config;
+  app.locals.lifecycle = lifecycle;
+  app.disable('x-powered-by');
+  app.set('trust proxy', config.trustProxy);
+  app.use(securityHeaders({ production: config.nodeEnv === 'production' }));
+
+  // ---------------------------------------------------------------------------
+  // Health (registered before the drain guard so probes still answer while stopping)
+  // ---------------------------------------------------------------------------
+
+  app.get('/health', (req, res) => {
+    res.json({
+      ok: true,
+      service: 'Tinta Printing Backend',
+      firebase: Boolean(db),
+      timestamp: clock.now().toISOString()
+    });
+  });
+
+  // Liveness: the process is up and the event loop is turning.
+  app.get('/health/live', (req, res) => {
+    res.json({ ok: true, uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Readiness: safe to route traffic here. Fails while draining or when the
+  // database does not answer a read in time.
+  app.get('/health/ready', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (lifecycle.draining) {
+      return res.status(503).json({ ok: false, reason: 'draining', inFlight: lifecycle.inFlight });
+    }
+    const startedAt = Date.now();
+    try {
+      await pingDatabase(db, config.readinessTimeoutMs);
+      return res.json({ ok: true, database: { ok: true, latencyMs: Date.now() - startedAt } });
+    } catch (error) {
+      logger.warn('Readiness check failed', { err: error });
+      return res.status(503).json({ ok: false, reason: 'database_unavailable', error: error.message });
+    }
+  });
+
+  // Prometheus scrape endpoint. Set METRICS_TOKEN to require `Authorization: Bearer <token>`.
+  app.get('/metrics', async (req, res) => {
+    if (config.metricsToken && req.headers.authorization !== `Bearer ${config.metricsToken}`) {
+      return res.status(401).json({ success: false, error: 'Invalid metrics token' });
+    }
+    try {
+      res.set('Content-Type', registry.contentType);
+      return res.send(await registry.metrics());
+    } catch (error) {
+      logger.error('Error collecting metrics', { err: error });
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Middleware
+  // ---------------------------------------------------------------------------
+
+  const windowMs = config.rateLimitWindowSeconds * 1000;
+
+  app.use(lifecycle.track);
+  app.use(cors(corsOptions(config.corsOrigins)));
+  app.use(rejectUnknownOrigins(config.corsOrigins));
+
+  // Callbacks are checked and counted before their bodies are read.
+  app.use(callbackAllowlist(config.callbackAllowlists, LEGACY_PROVIDER));
+  app.use(rateLimit({ name: 'callback', limit: config.callbackRateLimit, windowMs, store: rateLimitStore, skip: req => !isCallbackRequest(req) }));
+  app.use(rateLimit({ name: 'api', limit: config.apiRateLimit, windowMs, store: rateLimitStore, skip: isCallbackRequest }));
+
+  // Payment routes never need large bodies; the parsers below skip requests already parsed here.
+  app.use('/payment', multipartCallbackParser(config.callbackMaxBodyBytes));
+  app.use('/payment', express.json({ limit: config.callbackMaxBodyBytes, verify: keepRawBody }));
+  app.use('/payment', express.urlencoded({ extended: true, limit: config.callbackMaxBodyBytes, verify: keepRawBody }));
+  app.use(express.json({ limit: '5mb', verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: true, limit: '5mb', verify: keepRawBody }));
+  app.use(requestContext);
+  app.use(httpMetrics);
+  app.use(accessLog);
+
+  // ---------------------------------------------------------------------------
+  // Routes
+  // ---------------------------------------------------------------------------
+
+  // Payment return page and its status poll (rendered from Firebase data)
+  app.use('/', paymentReturnApi);
+  app.use('/', paymentBillsApi);
+  app.use('/', paymentCallbackApi);
+  app.use('/', adminApi);
+  app.use('/', uploadsApi);
+  app.use('/', quotesApi);
+  // Before notificationsApi, whose /me guard would otherwise verify the token a second time.
+  app.use('/', historyApi);
+  app.use('/', notificationsApi);
+  app.use('/', invoicesApi);
+  app.use('/', pickupApi);
+  app.use('/', vouchersApi);
+
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Tinta Printing Backend is running',
+      health: `${config.backendUrl}/health`,
+      bills: `${config.backendUrl}/payment/bills`,
+      admin: `${config.backendUrl}/admin/orders`,
+      callback: `${config.backendUrl}/payment/callback`,
+      providers: listProviders().map(({ name }) => `${config.backendUrl}/payment/${name}/callback`)
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Endpoint not found',
+      path: req.originalUrl
+    });
+  });
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      return rejectRequest(req, res, 413, 'body_too_large', { limit: err.limit });
+    }
+    // Body parser errors (malformed JSON, payload too large) carry a 4xx status.
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    logger.error('Unhandled server error', { err, method: req.method, path: req.originalUrl });
+    res.status(status).json({
+      success: false,
+      error: status < 500 ? err.message : 'Internal server error'
+    });
+  });
+
+  return app;
+}
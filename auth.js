@@ -0,0 +1,46 @@
+import { admin } from './firebase.js';
+import { logger } from './logger.js';
+
+// -----------------------------------------------------------------------------
+// Firebase ID token authentication
+// -----------------------------------------------------------------------------
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+export async function requireAuth(req, res, next) {
+  if (!admin.apps.length) {
+    return res.status(503).json({ success: false, error: 'Authentication is unavailable: Firebase Admin is not initialised' });
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Missing bearer token' });
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(token);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      isAdmin: decoded.admin === true
+    };
+    return next();
+  } catch (error) {
+    logger.warn('Rejected Firebase ID token', { code: error.code || null, reason: error.message });
+    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+  }
+}
+
+// Staff accounts carry the `admin: true` custom claim (set with auth().setCustomUserClaims).
+export function requireAdmin(req, res, next) {
+  return requireAuth(req, res, () => {
+    if (!req.user.isAdmin) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+    return next();
+  });
+}
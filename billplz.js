@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+// -----------------------------------------------------------------------------
+// Billplz configuration
+// -----------------------------------------------------------------------------
+
+const DEFAULT_BASE_URLS = {
+  sandbox: 'https://www.billplz-sandbox.com',
+  production: 'https://www.billplz.com'
+};
+
+// Read lazily so values loaded by dotenv in the entry point are picked up.
+export function getBillplzConfig() {
+  const mode = (process.env.BILLPLZ_MODE || 'sandbox').toLowerCase() === 'production' ? 'production' : 'sandbox';
+
+  return {
+    mode,
+    baseUrl: (process.env.BILLPLZ_BASE_URL || DEFAULT_BASE_URLS[mode]).replace(/\/+$/, ''),
+    apiKey: process.env.BILLPLZ_API_KEY || null,
+    collectionId: process.env.BILLPLZ_COLLECTION_ID || null,
+    xSignatureKey: process.env.BILLPLZ_X_SIGNATURE_KEY || null
+  };
+}
+
+// -----------------------------------------------------------------------------
+// API client
+// -----------------------------------------------------------------------------
+
+async function callApi(method, endpoint, params, config) {
+  if (!config.apiKey) {
+    throw new Error('Billplz API key is not configured');
+  }
+
+  const response = await fetch(`${config.baseUrl}/api/v3/${endpoint}`, {
+    method,
+    headers: { Authorization: `Basic ${Buffer.from(`${config.apiKey}:`).toString('base64')}` },
+    body: params ? new URLSearchParams(params) : undefined
+  });
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`Billplz ${endpoint} failed with HTTP ${response.status}: ${text.slice(0, 200)}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Unexpected Billplz ${endpoint} response: ${text.slice(0, 200)}`);
+  }
+}
+
+export async function createBill(bill, config = getBillplzConfig()) {
+  if (!config.collectionId) {
+    throw new Error('Billplz collection ID is not configured');
+  }
+  if (!bill.email && !bill.phone) {
+    throw new Error('Billplz bills need a customer email or phone number');
+  }
+
+  const data = await callApi('POST', 'bills', {
+    collection_id: config.collectionId,
+    name: String(bill.customerName || bill.email || bill.phone).slice(0, 255),
+    email: bill.email || '',
+    mobile: bill.phone || '',
+    amount: bill.amountSen,
+    description: String(bill.description || '').slice(0, 200),
+    callback_url: bill.callbackUrl,
+    redirect_url: bill.returnUrl,
+    reference_1_label: 'Order ID',
+    reference_1: bill.externalReference || ''
+  }, config);
+
+  if (!data?.id || !data?.url) {
+    throw new Error(`Billplz create bill did not return a bill: ${JSON.stringify(data).slice(0, 200)}`);
+  }
+
+  return {
+    billcode: data.id,
+    paymentUrl: data.url
+  };
+}
+
+export async function getBill(billId, config = getBillplzConfig()) {
+  return callApi('GET', `bills/${encodeURIComponent(billId)}`, null, config);
+}
+
+// Billplz reports paid_at as "yyyy-mm-dd hh:mm:ss +0800".
+export function parseBillplzDate(value) {
+  const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const [, date, time, offsetHours, offsetMinutes] = match;
+  return new Date(`${date}T${time}${offsetHours}:${offsetMinutes}`).toISOString();
+}
+
+// -----------------------------------------------------------------------------
+// Callback verification
+// -----------------------------------------------------------------------------
+
+// X-Signature: every field except x_signature as "key" + "value", sorted
+// case-insensitively, joined with "|" and signed with HMAC-SHA256.
+export function computeXSignature(xSignatureKey, payload) {
+  const source = Object.keys(payload)
+    .filter(key => key !== 'x_signature')
+    .map(key => `${key}${payload[key] ?? ''}`)
+    .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+    .join('|');
+  return crypto.createHmac('sha256', xSignatureKey).update(source).digest('hex');
+}
+
+export function verifyXSignature(payload, xSignatureKey = getBillplzConfig().xSignatureKey) {
+  if (!xSignatureKey) {
+    return { valid: false, reason: 'secret_key_not_configured' };
+  }
+
+  const received = String(payload.x_signature || '').trim().toLowerCase();
+  if (!received) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const expected = computeXSignature(xSignatureKey, payload);
+  // Byte lengths, as in toyyibpay.js: a multibyte value would make timingSafeEqual throw.
+  const receivedBytes = Buffer.from(received);
+  const expectedBytes = Buffer.from(expected);
+  const matches = receivedBytes.length === expectedBytes.length &&
+    crypto.timingSafeEqual(receivedBytes, expectedBytes);
+
+  return matches ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+}
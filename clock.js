@@ -0,0 +1,19 @@
+// -----------------------------------------------------------------------------
+// Clock
+// -----------------------------------------------------------------------------
+// Every timestamp the app writes comes from now(), so tests can pin or advance
+// time through createApp({ clock }) instead of patching Date.
+
+export const systemClock = {
+  now: () => new Date()
+};
+
+let current = systemClock;
+
+export function now() {
+  return current.now();
+}
+
+export function setClock(clock) {
+  current = clock || systemClock;
+}
@@ -0,0 +1,189 @@
+import { getProvider, listProviders } from './providers/index.js';
+import { parseIpRules } from './security.js';
+import { parseProductionHours } from './production.js';
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+// Settings the app itself needs, read once and validated at startup so a typo in
+// .env stops the server instead of surfacing on the first payment. Feature
+// modules (toyyibpay.js, pricing.js, uploads.js, ...) still read their own keys;
+// the checks below only make sure those keys are usable.
+
+const MODES = ['sandbox', 'production'];
+const STORAGE_DRIVERS = ['local', 'firebase'];
+
+function configError(problems) {
+  return Object.assign(new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`), { problems });
+}
+
+function isPlaceholder(value) {
+  return !value || /^REPLACE/i.test(String(value).trim());
+}
+
+function readNumber(env, key, fallback, problems, { min = 0, integer = false } = {}) {
+  const raw = env[key];
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    problems.push(`${key} must be ${integer ? 'an integer' : 'a number'} >= ${min} (got "${raw}")`);
+    return fallback;
+  }
+  return value;
+}
+
+function readMode(env, key, problems) {
+  const mode = (env[key] || 'sandbox').toLowerCase();
+  if (!MODES.includes(mode)) {
+    problems.push(`${key} must be one of ${MODES.join(', ')} (got "${env[key]}")`);
+  }
+  return mode;
+}
+
+// Express `trust proxy`: true, a hop count, or addresses/presets such as "loopback".
+// Needed behind a load balancer so allowlists and rate limits see the client IP.
+function readTrustProxy(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw || raw === 'false') {
+    return false;
+  }
+  if (raw === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+
+// CALLBACK_ALLOWED_IPS applies to every provider; CALLBACK_ALLOWED_IPS_<PROVIDER>
+// replaces it for that provider. An empty list accepts callbacks from anywhere.
+function readCallbackAllowlists(env, problems) {
+  const parse = key => {
+    const { rules, invalid } = parseIpRules(env[key]);
+    if (invalid.length) {
+      problems.push(`${key} has invalid addresses or CIDR ranges: ${invalid.join(', ')}`);
+    }
+    return rules;
+  };
+
+  const shared = parse('CALLBACK_ALLOWED_IPS');
+  return Object.fromEntries(listProviders().map(({ name }) => {
+    const key = `CALLBACK_ALLOWED_IPS_${name.toUpperCase()}`;
+    return [name, env[key] === undefined ? shared : parse(key)];
+  }));
+}
+
+// Browser origins allowed by CORS: CORS_ALLOWED_ORIGINS plus the admin dashboard.
+// null means any origin, which is only the default outside production.
+function readCorsOrigins(env, production, problems, warnings) {
+  const entries = [env.ADMIN_DASHBOARD_URL, ...String(env.CORS_ALLOWED_ORIGINS || '').split(',')]
+    .map(entry => (entry || '').trim())
+    .filter(Boolean);
+
+  if (entries.includes('*')) {
+    if (production) {
+      problems.push('CORS_ALLOWED_ORIGINS=* is not allowed in production');
+    }
+    return null;
+  }
+  if (!entries.length) {
+    if (production) {
+      warnings.push('CORS_ALLOWED_ORIGINS is not set; no browser origin can call the API');
+      return [];
+    }
+    return null;
+  }
+
+  const origins = [];
+  entries.forEach(entry => {
+    try {
+      const { origin, protocol } = new URL(entry);
+      if (!['http:', 'https:'].includes(protocol)) {
+        throw new Error('not http(s)');
+      }
+      origins.push(origin);
+    } catch (error) {
+      problems.push(`CORS_ALLOWED_ORIGINS entry is not a valid http(s) origin (got "${entry}")`);
+    }
+  });
+  return [...new Set(origins)];
+}
+
+// Returns { config, warnings }; throws one error listing every problem (error.problems).
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const warnings = [];
+
+  const nodeEnv = env.NODE_ENV || 'development';
+  const production = nodeEnv === 'production';
+  const port = readNumber(env, 'PORT', 3000, problems, { min: 0, integer: true });
+
+  let backendUrl = (env.BACKEND_URL || `http://localhost:${port}`).replace(/\/+$/, '');
+  try {
+    const { protocol } = new URL(backendUrl);
+    if (!['http:', 'https:'].includes(protocol)) {
+      problems.push(`BACKEND_URL must be an http(s) URL (got "${env.BACKEND_URL}")`);
+    }
+  } catch (error) {
+    problems.push(`BACKEND_URL is not a valid URL (got "${env.BACKEND_URL}")`);
+    backendUrl = `http://localhost:${port}`;
+  }
+  if (production && !env.BACKEND_URL) {
+    problems.push('BACKEND_URL is required in production (gateways call back to it)');
+  }
+
+  const paymentProvider = (env.PAYMENT_PROVIDER || 'toyyibpay').toLowerCase();
+  if (!getProvider(paymentProvider)) {
+    problems.push(`PAYMENT_PROVIDER must be one of ${listProviders().map(({ name }) => name).join(', ')} (got "${env.PAYMENT_PROVIDER}")`);
+  }
+  readMode(env, 'TOYYIBPAY_MODE', problems);
+  readMode(env, 'BILLPLZ_MODE', problems);
+
+  if (isPlaceholder(env.QUOTE_SIGNING_SECRET)) {
+    (production ? problems : warnings).push('QUOTE_SIGNING_SECRET is not set; quotes cannot be issued or verified');
+  }
+
+  const storageDriver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+  if (!STORAGE_DRIVERS.includes(storageDriver)) {
+    problems.push(`STORAGE_DRIVER must be one of ${STORAGE_DRIVERS.join(', ')} (got "${env.STORAGE_DRIVER}")`);
+  }
+
+  const callbackAllowlists = readCallbackAllowlists(env, problems);
+  if (production && Object.values(callbackAllowlists).every(rules => !rules.length)) {
+    warnings.push('CALLBACK_ALLOWED_IPS is not set; payment callbacks are accepted from any address');
+  }
+
+  try {
+    parseProductionHours(env.PRODUCTION_HOURS);
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  const config = {
+    nodeEnv,
+    port,
+    backendUrl,
+    androidDeepLink: env.ANDROID_APP_DEEP_LINK || 'tintaprinting://payment',
+    paymentProvider,
+    quoteTtlHours: readNumber(env, 'QUOTE_TTL_HOURS', 72, problems, { min: 1 }),
+    reconcileIntervalMinutes: readNumber(env, 'RECONCILE_INTERVAL_MINUTES', 15, problems),
+    productionEtaRefreshMinutes: readNumber(env, 'PRODUCTION_ETA_REFRESH_MINUTES', 10, problems),
+    orderExpiryHours: readNumber(env, 'ORDER_EXPIRY_HOURS', 48, problems),
+    orderExpiryIntervalMinutes: readNumber(env, 'ORDER_EXPIRY_INTERVAL_MINUTES', 30, problems),
+    shutdownTimeoutSeconds: readNumber(env, 'SHUTDOWN_TIMEOUT_SECONDS', 25, problems),
+    readinessTimeoutMs: readNumber(env, 'READINESS_TIMEOUT_MS', 2000, problems, { min: 1, integer: true }),
+    metricsToken: env.METRICS_TOKEN || null,
+    trustProxy: readTrustProxy(env.TRUST_PROXY),
+    callbackAllowlists,
+    corsOrigins: readCorsOrigins(env, production, problems, warnings),
+    rateLimitWindowSeconds: readNumber(env, 'RATE_LIMIT_WINDOW_SECONDS', 60, problems, { min: 1, integer: true }),
+    callbackRateLimit: readNumber(env, 'CALLBACK_RATE_LIMIT', 120, problems, { integer: true }),
+    apiRateLimit: readNumber(env, 'API_RATE_LIMIT', 300, problems, { integer: true }),
+    callbackMaxBodyBytes: readNumber(env, 'CALLBACK_MAX_BODY_KB', 64, problems, { min: 1 }) * 1024
+  };
+
+  if (problems.length) {
+    throw configError(problems);
+  }
+  return { config, warnings };
+}
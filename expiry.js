@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { logger, withLogContext } from './logger.js';
+import { getProvider, LEGACY_PROVIDER } from './providers/index.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { applyPayment } from './payments.js';
+import { updateOrderStatus } from './order-status.js';
+import { releaseVoucher } from './vouchers.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Unpaid order expiry
+// -----------------------------------------------------------------------------
+// Orders left in PENDING_PAYMENT or PAYMENT_FAILED for ORDER_EXPIRY_HOURS since
+// their last update move to EXPIRED. Each bill is checked with its provider
+// first, so a payment whose callback went missing is applied instead. Expiring
+// releases the order's voucher hold and notifies the customer (through
+// updateOrderStatus). The bill is left as it is: a late successful payment
+// still matches the order and reopens it as PAID.
+
+const EXPIRABLE_STATUSES = ['PENDING_PAYMENT', 'PAYMENT_FAILED'];
+const HOUR_MS = 60 * 60 * 1000;
+
+let running = false;
+
+function lastActivity(order) {
+  return Date.parse(order.updatedAt || order.createdAt || '');
+}
+
+function ownerOf(order) {
+  return order.userId || order.userID || order.customerId || order.customerID || null;
+}
+
+// Returns the applyPayment result when the provider reports a settled
+// payment, or null when the bill is still unpaid.
+async function checkBillOnce(order) {
+  const billcode = order.billcode || order.billCode;
+  if (!billcode) {
+    return null;
+  }
+  const provider = getProvider(order.paymentProvider || LEGACY_PROVIDER);
+  if (!provider) {
+    throw new Error(`Unknown payment provider ${order.paymentProvider}`);
+  }
+  const paymentData = await provider.queryStatus(billcode);
+  if (!paymentData || paymentData.status !== 'success') {
+    return null;
+  }
+  return applyPayment({ ...paymentData, source: 'expiry' }, order, ownerOf(order));
+}
+
+async function expireOrder(order, at) {
+  const expiryReason = order.billcode || order.billCode ? 'payment_not_received' : 'no_bill_created';
+  const outcome = await updateOrderStatus(order.id, 'EXPIRED', {
+    expiredAt: at.toISOString(),
+    expiryReason,
+    statusUpdatedBy: 'system'
+  }, { actor: { type: 'scheduler', id: 'expiry' }, reason: expiryReason });
+  if (outcome.applied) {
+    await releaseVoucher(order, 'order_expired');
+  }
+  return outcome;
+}
+
+export async function expireUnpaidOrders(expiryHours) {
+  if (!repositoriesAvailable()) {
+    throw new Error('Firebase Admin is not initialised. Set service credentials.');
+  }
+  if (running) {
+    return { skipped: true, reason: 'already_running' };
+  }
+
+  running = true;
+  const at = now();
+  const cutoff = at.getTime() - expiryHours * HOUR_MS;
+  const report = { checked: 0, expired: [], paid: [], errors: [] };
+
+  try {
+    const candidates = (await getRepositories().orders.listByStatus(EXPIRABLE_STATUSES))
+      .filter(order => lastActivity(order) <= cutoff);
+
+    for (const order of candidates) {
+      report.checked += 1;
+      try {
+        const payment = await checkBillOnce(order);
+        if (payment) {
+          report.paid.push({ orderId: order.id, outcome: payment.outcome });
+          continue;
+        }
+        const outcome = await expireOrder(order, at);
+        if (outcome.applied) {
+          report.expired.push(order.id);
+        }
+      } catch (error) {
+        // Never expire an order whose bill could not be checked; try again next run.
+        report.errors.push({ orderId: order.id, error: error.message });
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  logger.info('Unpaid order expiry finished', {
+    checked: report.checked,
+    expired: report.expired.length,
+    paid: report.paid.length,
+    errors: report.errors.length
+  });
+  return report;
+}
+
+export function startOrderExpiryScheduler(intervalMinutes, expiryHours) {
+  const interval = Number(intervalMinutes);
+  const hours = Number(expiryHours);
+  if (!repositoriesAvailable() || !Number.isFinite(interval) || interval <= 0 || !Number.isFinite(hours) || hours <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    withLogContext({ job: 'order-expiry', runId: crypto.randomUUID() }, () => expireUnpaidOrders(hours)).catch(error => {
+      logger.error('Scheduled order expiry failed', { err: error });
+    });
+  }, interval * 60 * 1000);
+  timer.unref();
+
+  logger.info('Unpaid order expiry scheduled', { intervalMinutes: interval, expiryHours: hours });
+  return timer;
+}
@@ -0,0 +1,60 @@
+import admin from 'firebase-admin';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { instrumentDatabase } from './metrics.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DB_URL = 'https://tintaprintingfyp-default-rtdb.asia-southeast1.firebasedatabase.app';
+export const FIREBASE_DATABASE_URL = process.env.FIREBASE_DATABASE_URL || DEFAULT_DB_URL;
+
+// -----------------------------------------------------------------------------
+// Firebase Admin initialisation
+// -----------------------------------------------------------------------------
+let serviceAccount = null;
+
+if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+  try {
+    serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    logger.info('Using Firebase service account from environment variable');
+  } catch (error) {
+    logger.error('Failed to parse FIREBASE_SERVICE_ACCOUNT env variable', { err: error });
+    throw error;
+  }
+} else {
+  const serviceAccountPath = path.join(__dirname, 'serviceAccountKey.json');
+  if (fs.existsSync(serviceAccountPath)) {
+    serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8'));
+    logger.info('Using Firebase service account from serviceAccountKey.json file');
+  } else {
+    logger.warn('serviceAccountKey.json not found and FIREBASE_SERVICE_ACCOUNT not set; Firebase Admin will not be initialised');
+  }
+}
+
+if (!admin.apps.length && serviceAccount) {
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: FIREBASE_DATABASE_URL,
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || undefined
+  });
+  logger.info('Firebase Admin initialised', { databaseUrl: FIREBASE_DATABASE_URL });
+}
+
+// `db` is a live binding: createApp({ db }) swaps in another implementation
+// (e.g. an in-memory store in tests) and every module importing it sees the change.
+export const firebaseDb = admin.apps.length ? admin.database() : null;
+instrumentDatabase(firebaseDb);
+
+export let db = firebaseDb;
+
+export function setDatabase(database) {
+  db = database ?? null;
+}
+
+export { admin };
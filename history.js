@@ -0,0 +1,235 @@
+import express from 'express';
+import { logger } from './logger.js';
+import { requireAuth } from './auth.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { ORDER_TRANSITIONS, customerTimeline, resolveOrderStatus } from './order-status.js';
+import { STATUS_NORMALISER } from './payments.js';
+import { businessDate, parseDate } from './reports.js';
+
+// -----------------------------------------------------------------------------
+// Customer order and payment history
+// -----------------------------------------------------------------------------
+// The signed-in customer's own orders and payments, so the app no longer reads
+// orders/ and payments/ from the database directly:
+//
+//   GET /me/orders          newest first
+//   GET /me/orders/:id      one order with its payments (payments_by_order)
+//   GET /me/orders/:id/timeline   its status changes, oldest first
+//   GET /me/payments        newest first, from payments_by_user
+//
+// The lists take ?limit= (default 20, at most 100), ?cursor= (nextCursor from
+// the previous page), ?status=A,B and ?from=/to=YYYY-MM-DD (Malaysia dates,
+// inclusive, on createdAt). Orders are found by their canonical userId field;
+// older records need `npm run migrate` before they show up here.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PAYMENT_STATUSES = [...new Set(Object.values(STATUS_NORMALISER))];
+
+const router = express.Router();
+
+function historyError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function ownerOf(order) {
+  return order.userId || order.userID || order.customerId || order.customerID || null;
+}
+
+function withoutKeys(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+// The cursor is the sort key of the last record on the page: [createdAt, id].
+function encodeCursor(createdAt, id) {
+  return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(value) && value.length === 2 && value.every(part => typeof part === 'string')) {
+      return value;
+    }
+  } catch {
+    // fall through
+  }
+  throw historyError(400, 'cursor is invalid');
+}
+
+// statuses: the accepted values; normalise maps what the caller typed onto them.
+export function parseHistoryQuery(query = {}, { statuses, normalise }) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw historyError(400, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  let statusFilter = null;
+  if (query.status) {
+    statusFilter = String(query.status).split(',').map(status => status.trim()).filter(Boolean).map(normalise);
+    const unknown = statusFilter.filter(status => !statuses.includes(status));
+    if (unknown.length) {
+      throw historyError(400, `Unknown status ${unknown.join(', ')}. Use one of ${statuses.join(', ')}`);
+    }
+  }
+
+  const from = query.from ? parseDate(query.from) : null;
+  const to = query.to ? parseDate(query.to) : null;
+  if ((query.from && !from) || (query.to && !to)) {
+    throw historyError(400, 'from and to must be dates in YYYY-MM-DD format');
+  }
+  if (from && to && from > to) {
+    throw historyError(400, 'from must not be after to');
+  }
+
+  return { limit, cursor: query.cursor ? decodeCursor(String(query.cursor)) : null, statuses: statusFilter, from, to };
+}
+
+// Filters, sorts newest first (ties broken by id) and cuts one page.
+export function paginate(records, { limit, cursor, statuses, from, to }, { idOf, statusOf }) {
+  const keyed = records
+    .map(record => ({ record, createdAt: record.createdAt || '', id: idOf(record) }))
+    .filter(({ record, createdAt }) => {
+      if (statuses && !statuses.includes(statusOf(record))) {
+        return false;
+      }
+      if (from || to) {
+        const date = businessDate(createdAt);
+        return Boolean(date) && (!from || date >= from) && (!to || date <= to);
+      }
+      return true;
+    })
+    .sort((a, b) => (a.createdAt === b.createdAt ? b.id.localeCompare(a.id) : b.createdAt.localeCompare(a.createdAt)));
+
+  const start = cursor
+    ? keyed.findIndex(({ createdAt, id }) => createdAt < cursor[0] || (createdAt === cursor[0] && id < cursor[1]))
+    : 0;
+  const page = start === -1 ? [] : keyed.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + limit < keyed.length;
+
+  return {
+    items: page.map(({ record }) => record),
+    nextCursor: hasMore ? encodeCursor(last.createdAt, last.id) : null
+  };
+}
+
+// Orders as the customer sees them: staff assignments, payment review notes, the
+// raw status history (see GET /me/orders/:id/timeline), the pickup secret (served
+// by GET /orders/:id/pickup-code), the quote signature and where files are stored
+// stay out. A cancellation shows why and when, not who.
+export function customerOrderView(order) {
+  const {
+    production, statusUpdatedBy, statusHistory, paymentReview, pickup, quote, files, cancellation,
+    userID, customerId, customerID, ...visible
+  } = order;
+  return {
+    ...visible,
+    userId: ownerOf(order),
+    status: resolveOrderStatus(order.status),
+    ...(quote ? { quote: withoutKeys(quote, ['signature']) } : {}),
+    ...(files ? {
+      files: Object.fromEntries(Object.entries(files).map(([fileId, file]) => [fileId, withoutKeys(file, ['storage'])]))
+    } : {}),
+    ...(cancellation ? {
+      cancellation: {
+        reason: cancellation.reason || null,
+        cancelledAt: cancellation.cancelledAt || null,
+        refundDecision: cancellation.refundDecision || null
+      }
+    } : {}),
+    ...(pickup ? {
+      pickup: { status: pickup.status, expiresAt: pickup.expiresAt || null, collectedAt: pickup.collectedAt || null }
+    } : {})
+  };
+}
+
+const ORDER_PAGING = { idOf: order => order.id, statusOf: order => resolveOrderStatus(order.status) };
+const PAYMENT_PAGING = { idOf: payment => payment.paymentId, statusOf: payment => payment.status };
+
+export async function listCustomerOrders(userId, query) {
+  const options = parseHistoryQuery(query, { statuses: Object.keys(ORDER_TRANSITIONS), normalise: resolveOrderStatus });
+  const orders = await getRepositories().orders.listByUser(userId);
+  const { items, nextCursor } = paginate(orders, options, ORDER_PAGING);
+  return { orders: items.map(customerOrderView), nextCursor };
+}
+
+// Someone else's order looks the same as a missing one.
+async function loadOwnOrder(userId, orderId) {
+  const order = await getRepositories().orders.get(orderId);
+  if (!order || ownerOf(order) !== userId) {
+    throw historyError(404, `Order ${orderId} not found`);
+  }
+  return order;
+}
+
+export async function getCustomerOrder(userId, orderId) {
+  const order = await loadOwnOrder(userId, orderId);
+  const { payments } = getRepositories();
+  const { items } = paginate(await payments.listByOrder(orderId), { limit: Infinity }, PAYMENT_PAGING);
+  return { order: customerOrderView(order), payments: items };
+}
+
+export async function getCustomerTimeline(userId, orderId) {
+  const order = await loadOwnOrder(userId, orderId);
+  return { orderId, status: resolveOrderStatus(order.status), timeline: customerTimeline(order) };
+}
+
+export async function listCustomerPayments(userId, query) {
+  const options = parseHistoryQuery(query, { statuses: PAYMENT_STATUSES, normalise: status => status.toLowerCase() });
+  const { items, nextCursor } = paginate(await getRepositories().payments.listByUser(userId), options, PAYMENT_PAGING);
+  return { payments: items, nextCursor };
+}
+
+// -----------------------------------------------------------------------------
+// Routes
+// -----------------------------------------------------------------------------
+
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  logger.error(`Error ${context}`, { err: error });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function requireRepositories(req, res, next) {
+  if (!repositoriesAvailable()) {
+    return res.status(503).json({ success: false, error: 'Firebase Admin is not initialised. Set service credentials.' });
+  }
+  return next();
+}
+
+router.get('/me/orders', requireAuth, requireRepositories, async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await listCustomerOrders(req.user.uid, req.query)) });
+  } catch (error) {
+    return sendError(res, error, 'listing customer orders');
+  }
+});
+
+router.get('/me/orders/:id', requireAuth, requireRepositories, async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await getCustomerOrder(req.user.uid, req.params.id)) });
+  } catch (error) {
+    return sendError(res, error, 'loading customer order');
+  }
+});
+
+router.get('/me/orders/:id/timeline', requireAuth, requireRepositories, async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await getCustomerTimeline(req.user.uid, req.params.id)) });
+  } catch (error) {
+    return sendError(res, error, 'loading customer order timeline');
+  }
+});
+
+router.get('/me/payments', requireAuth, requireRepositories, async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await listCustomerPayments(req.user.uid, req.query)) });
+  } catch (error) {
+    return sendError(res, error, 'listing customer payments');
+  }
+});
+
+export default router;
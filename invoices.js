@@ -0,0 +1,234 @@
+import express from 'express';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { logger } from './logger.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { requireAuth } from './auth.js';
+import { resolveOrderStatus } from './order-status.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Invoices
+// -----------------------------------------------------------------------------
+// counters/invoice                      last issued invoice sequence
+// invoices/{invoiceNumber}              registry of issued numbers
+// orders/{orderId}/invoice              { number, issuedAt, paymentId }
+
+const router = express.Router();
+const INVOICEABLE_STATUSES = ['PAID', 'PROCESSING', 'PRINTING', 'COMPLETED'];
+
+function formatInvoiceNumber(sequence) {
+  return `INV-${String(sequence).padStart(6, '0')}`;
+}
+
+// The counter transaction guarantees a number is never handed out twice. If two
+// requests race for the same order the loser's number is left unused (a gap),
+// which is acceptable; a duplicate is not.
+export async function allocateInvoiceNumber(orderId, paymentId) {
+  const { orders, invoices } = getRepositories();
+  const existing = (await orders.get(orderId))?.invoice;
+  if (existing) {
+    return existing;
+  }
+
+  const number = formatInvoiceNumber(await invoices.nextSequence());
+  const invoice = { number, issuedAt: now().toISOString(), paymentId: paymentId || null };
+
+  const claim = await orders.transaction(orderId, current => {
+    if (current === null) {
+      return current;
+    }
+    return current.invoice ? undefined : { ...current, invoice };
+  });
+  if (claim.value?.invoice?.number !== number) {
+    return claim.value?.invoice || null;
+  }
+
+  await invoices.register(number, { orderId, paymentId: paymentId || null, issuedAt: invoice.issuedAt });
+  logger.info('Invoice issued', { invoiceNumber: number, orderId });
+  return invoice;
+}
+
+async function loadPayment(orderId, order) {
+  const { payments } = getRepositories();
+  if (order.paymentId) {
+    const payment = await payments.get(order.paymentId);
+    if (payment) {
+      return payment;
+    }
+  }
+
+  const latest = (await payments.listByOrder(orderId))
+    .filter(payment => payment.status === 'success')
+    .sort((a, b) => Date.parse(b.createdAt || '') - Date.parse(a.createdAt || ''))[0];
+  if (!latest) {
+    return null;
+  }
+  return (await payments.get(latest.paymentId)) || latest;
+}
+
+export function buildLineItems(order, payment) {
+  if (order.quote?.lineItems) {
+    return Object.values(order.quote.lineItems);
+  }
+  if (Array.isArray(order.items) || (order.items && typeof order.items === 'object')) {
+    return Object.values(order.items).map(item => {
+      const quantity = Number(item.quantity ?? item.copies ?? 1);
+      const unitPrice = Number(item.unitPrice ?? item.price ?? 0);
+      return {
+        description: item.name || item.description || item.fileName || 'Print item',
+        quantity,
+        unitPrice,
+        amount: Number(item.amount ?? item.subtotal ?? quantity * unitPrice)
+      };
+    });
+  }
+  const amount = payment?.amount ?? order.quote?.total ?? null;
+  return [{ description: `Print order ${order.id}`, quantity: 1, unitPrice: amount, amount }];
+}
+
+// Standard PDF fonts only cover Latin-1; anything else would make pdf-lib throw.
+function pdfText(value) {
+  return String(value ?? '-').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function money(amount) {
+  return `RM ${Number(amount || 0).toFixed(2)}`;
+}
+
+function formatDate(value) {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? '-' : new Date(time).toLocaleString('en-MY', { timeZone: 'Asia/Kuala_Lumpur' });
+}
+
+export async function renderInvoicePdf({ invoice, order, payment, lineItems }) {
+  const document = await PDFDocument.create();
+  document.setTitle(`Invoice ${invoice.number}`);
+  document.setAuthor('Tinta Printing');
+
+  const page = document.addPage([595.28, 841.89]);
+  const regular = await document.embedFont(StandardFonts.Helvetica);
+  const bold = await document.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.4, 0.4, 0.45);
+  const left = 50;
+  const right = 545;
+  let y = 790;
+
+  const text = (value, x, options = {}) => {
+    const font = options.bold ? bold : regular;
+    const size = options.size || 10;
+    const content = pdfText(value);
+    const width = font.widthOfTextAtSize(content, size);
+    page.drawText(content, {
+      x: options.align === 'right' ? x - width : x,
+      y,
+      size,
+      font,
+      color: options.color || rgb(0.1, 0.1, 0.15)
+    });
+  };
+  const row = (label, value) => {
+    text(label, left, { color: grey });
+    text(value, 180);
+    y -= 16;
+  };
+  const rule = () => {
+    page.drawLine({ start: { x: left, y: y + 6 }, end: { x: right, y: y + 6 }, thickness: 0.5, color: grey });
+    y -= 10;
+  };
+
+  text('Tinta Printing', left, { bold: true, size: 20 });
+  text('INVOICE / RECEIPT', right, { bold: true, size: 14, align: 'right' });
+  y -= 22;
+  text(invoice.number, right, { align: 'right', color: grey });
+  y -= 30;
+
+  row('Issued', formatDate(invoice.issuedAt));
+  row('Order ID', order.id);
+  row('Customer', order.customerName || order.name || '-');
+  row('Email', order.customerEmail || order.email || '-');
+  y -= 10;
+
+  text('Payment', left, { bold: true, size: 12 });
+  y -= 18;
+  row('Bill code', payment.billcode || payment.billCode || order.billcode || order.billCode || '-');
+  row('Transaction ID', payment.transactionId || payment.paymentId || '-');
+  row('Payment method', payment.paymentMethod || '-');
+  row('Amount paid', money(payment.amount));
+  row('Paid at', formatDate(payment.createdAt));
+  row('Recorded at', formatDate(payment.updatedAt));
+  y -= 10;
+
+  text('Description', left, { bold: true });
+  text('Qty', 360, { bold: true, align: 'right' });
+  text('Unit price', 450, { bold: true, align: 'right' });
+  text('Amount', right, { bold: true, align: 'right' });
+  y -= 8;
+  rule();
+
+  lineItems.forEach(item => {
+    text(String(item.description || '').slice(0, 55), left);
+    text(item.quantity, 360, { align: 'right' });
+    text(money(item.unitPrice), 450, { align: 'right' });
+    text(money(item.amount), right, { align: 'right' });
+    y -= 16;
+  });
+  rule();
+
+  const total = order.quote?.total ?? lineItems.reduce((sum, item) => sum + Number(item.amount || 0), 0);
+  text('Total', 450, { bold: true, align: 'right' });
+  text(money(total), right, { bold: true, align: 'right' });
+  y -= 16;
+  if (Number(order.refundedAmount) > 0) {
+    text('Refunded', 450, { align: 'right', color: grey });
+    text(`- ${money(order.refundedAmount)}`, right, { align: 'right', color: grey });
+    y -= 16;
+    text('Net paid', 450, { bold: true, align: 'right' });
+    text(money(order.netPaid), right, { bold: true, align: 'right' });
+    y -= 16;
+  }
+
+  y = 60;
+  text('Thank you for printing with Tinta Printing. This document was generated electronically.', left, { size: 8, color: grey });
+
+  return document.save();
+}
+
+router.get('/orders/:id/invoice.pdf', requireAuth, async (req, res) => {
+  try {
+    if (!repositoriesAvailable()) {
+      throw new Error('Firebase Admin is not initialised. Set service credentials.');
+    }
+
+    const orderId = req.params.id;
+    const order = await getRepositories().orders.get(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order ${orderId} not found` });
+    }
+
+    const ownerId = order.userId || order.userID || order.customerId || order.customerID;
+    if (ownerId !== req.user.uid && !req.user.isAdmin) {
+      return res.status(403).json({ success: false, error: 'You can only download invoices for your own orders' });
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(resolveOrderStatus(order.status))) {
+      return res.status(409).json({ success: false, error: `Order ${orderId} has not been paid` });
+    }
+
+    const payment = await loadPayment(orderId, order);
+    if (!payment) {
+      return res.status(409).json({ success: false, error: `No successful payment recorded for order ${orderId}` });
+    }
+
+    const invoice = await allocateInvoiceNumber(orderId, payment.paymentId);
+    const pdf = await renderInvoicePdf({ invoice, order, payment, lineItems: buildLineItems(order, payment) });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    return res.send(Buffer.from(pdf));
+  } catch (error) {
+    logger.error('Error generating invoice', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// -----------------------------------------------------------------------------
+// Structured logging
+// -----------------------------------------------------------------------------
+// One JSON object per line on stdout. Fields from the active context (the
+// request ID for HTTP requests, a run ID for background jobs) are added to every
+// line logged while handling that request, however deep the call.
+
+// LOG_LEVEL=silent turns logging off (used by the test suite).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const context = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+function serialiseError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    stack: error.stack
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...rest
+  };
+  if (err !== undefined) {
+    entry.err = serialiseError(err);
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+  }
+  (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Runs fn with extra fields attached to every log line it produces.
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function getRequestId() {
+  return context.getStore()?.requestId || null;
+}
+
+// Accepts an upstream X-Request-Id (so a proxy's ID can be followed through)
+// when it looks sane, otherwise mints one, and echoes it on the response.
+// Mount after the body parsers: their stream callbacks run outside this context.
+export function requestContext(req, res, next) {
+  const incoming = String(req.headers['x-request-id'] || '');
+  const requestId = /^[\w.:-]{8,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+  withLogContext({ requestId }, next);
+}
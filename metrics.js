@@ -0,0 +1,108 @@
+import client from 'prom-client';
+
+// -----------------------------------------------------------------------------
+// Prometheus metrics
+// -----------------------------------------------------------------------------
+// Scraped from GET /metrics (see index.js). Label values are kept to small,
+// fixed sets: route patterns rather than URLs, top-level database nodes rather
+// than full paths.
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+export const paymentCallbacks = new client.Counter({
+  name: 'payment_callbacks_total',
+  help: 'Payment callbacks processed, by provider, trigger (delivery or replay) and outcome',
+  labelNames: ['provider', 'trigger', 'outcome'],
+  registers: [registry]
+});
+
+export const orderStatusTransitions = new client.Counter({
+  name: 'order_status_transitions_total',
+  help: 'Order status changes, by result (applied or the reason it was refused)',
+  labelNames: ['from', 'to', 'result'],
+  registers: [registry]
+});
+
+export const requestsRejected = new client.Counter({
+  name: 'http_requests_rejected_total',
+  help: 'Requests refused before reaching a route (allowlist, rate limit, body size, origin)',
+  labelNames: ['reason'],
+  registers: [registry]
+});
+
+export const firebaseDuration = new client.Histogram({
+  name: 'firebase_operation_duration_seconds',
+  help: 'Realtime Database call latency',
+  labelNames: ['operation', 'node', 'result'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+export const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+// Time every Realtime Database read and write by patching the shared Query and
+// Reference prototypes once, instead of wrapping each call site.
+const QUERY_METHODS = ['once', 'get'];
+const REFERENCE_METHODS = ['set', 'update', 'remove', 'transaction'];
+let databaseInstrumented = false;
+
+function topLevelNode(query) {
+  try {
+    return new URL(query.toString()).pathname.split('/')[1] || '(root)';
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+function wrap(prototype, method) {
+  const original = prototype[method];
+  if (typeof original !== 'function') {
+    return;
+  }
+  prototype[method] = function timed(...args) {
+    const end = firebaseDuration.startTimer({ operation: method, node: topLevelNode(this) });
+    const result = original.apply(this, args);
+    if (result && typeof result.then === 'function') {
+      result.then(() => end({ result: 'ok' }), () => end({ result: 'error' }));
+    } else {
+      end({ result: 'ok' });
+    }
+    return result;
+  };
+}
+
+export function instrumentDatabase(db) {
+  if (!db || databaseInstrumented) {
+    return;
+  }
+  const referencePrototype = Object.getPrototypeOf(db.ref());
+  const queryPrototype = Object.getPrototypeOf(referencePrototype);
+  QUERY_METHODS.forEach(method => wrap(queryPrototype, method));
+  REFERENCE_METHODS.forEach(method => wrap(referencePrototype, method));
+  databaseInstrumented = true;
+}
+
+// Express middleware: records latency under the matched route pattern once the
+// response is sent. Requests that match no route share one label.
+export function httpMetrics(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    end({
+      method: req.method,
+      route: routeLabel(req),
+      status_code: res.statusCode
+    });
+  });
+  next();
+}
+
+export function routeLabel(req) {
+  return req.route?.path ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+}
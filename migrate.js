@@ -0,0 +1,284 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { db } from './firebase.js';
+import { logger } from './logger.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Data migrations
+// -----------------------------------------------------------------------------
+// Rewrites legacy records to the schema the code writes today:
+//
+//   orders/{orderId}     billcode (not billCode), userId (not userID/customerId/customerID)
+//   payments/{id}        same, plus userId filled in from the order when missing
+//   payments_by_order/{orderId}/{paymentId}   { paymentId, status, amount, createdAt, updatedAt }
+//   payments_by_user/{userId}/{paymentId}     the same plus orderId
+//
+// Each migration plans its changes against an in-memory copy of the data and
+// returns one multi-path update, so --dry-run reports exactly what a real run
+// would write. Records that cannot be fixed automatically (two different values
+// for one field, no owner) are reported and left alone. Completed runs are
+// recorded under migrations/{id} and skipped next time unless --rerun is given;
+// every migration is also safe to run twice.
+//
+//   npm run migrate -- --dry-run
+//   npm run migrate -- --only 003-payments-by-order --rerun
+
+const COLLECTIONS = ['orders', 'payments', 'payments_by_order', 'payments_by_user'];
+const UPDATE_BATCH_SIZE = 500;
+const USER_ID_FIELDS = ['userId', 'userID', 'customerId', 'customerID'];
+const BILLCODE_FIELDS = ['billcode', 'billCode'];
+
+// Picks the one value spelled several ways. Returns { value, legacy } or
+// { conflict } when the spellings disagree.
+function canonicalValue(record, fields) {
+  const present = fields.filter(field => record[field] !== undefined && record[field] !== null && record[field] !== '');
+  const values = [...new Set(present.map(field => String(record[field])))];
+  if (values.length > 1) {
+    return { conflict: present.map(field => `${field}=${record[field]}`).join(', ') };
+  }
+  return { value: values[0] ?? null, legacy: present.filter(field => field !== fields[0]) };
+}
+
+function canonicaliseFields(collection, id, record, updates, problems, extra = {}) {
+  [['userId', USER_ID_FIELDS], ['billcode', BILLCODE_FIELDS]].forEach(([field, spellings]) => {
+    const { value, legacy, conflict } = canonicalValue(record, spellings);
+    if (conflict) {
+      problems.push({ collection, id, problem: `conflicting ${field} values (${conflict})` });
+      return;
+    }
+    const target = value ?? extra[field] ?? null;
+    if (target !== null && record[field] !== target) {
+      updates[`${collection}/${id}/${field}`] = target;
+    }
+    legacy.forEach(spelling => {
+      updates[`${collection}/${id}/${spelling}`] = null;
+    });
+  });
+}
+
+// Null when the record has no owner or its owner fields disagree.
+function ownerOf(record) {
+  const { value } = canonicalValue(record || {}, USER_ID_FIELDS);
+  return value || null;
+}
+
+function hasOwnerField(record) {
+  return USER_ID_FIELDS.some(field => record?.[field]);
+}
+
+function paymentSummary(paymentId, payment) {
+  return {
+    paymentId,
+    status: payment.status || null,
+    amount: Number(payment.amount ?? 0),
+    createdAt: payment.createdAt || null,
+    updatedAt: payment.updatedAt || payment.createdAt || null
+  };
+}
+
+function sameSummary(a, b) {
+  return Boolean(a) && Object.keys(b).every(key => (a[key] ?? null) === (b[key] ?? null));
+}
+
+// Rebuilds one index from the payments, removing entries whose payment is gone.
+function planIndex(data, indexName, keyField, summaryOf, problems) {
+  const updates = {};
+  const expected = {};
+  Object.entries(data.payments).forEach(([paymentId, payment]) => {
+    const key = payment[keyField];
+    if (!key) {
+      problems.push({ collection: 'payments', id: paymentId, problem: `not indexed in ${indexName}: no ${keyField}` });
+      return;
+    }
+    expected[`${key}/${paymentId}`] = summaryOf(paymentId, payment);
+  });
+
+  Object.entries(expected).forEach(([entryPath, summary]) => {
+    const [key, paymentId] = entryPath.split('/');
+    if (!sameSummary(data[indexName][key]?.[paymentId], summary)) {
+      updates[`${indexName}/${entryPath}`] = summary;
+    }
+  });
+  Object.entries(data[indexName]).forEach(([key, entries]) => {
+    Object.keys(entries || {}).forEach(paymentId => {
+      if (!expected[`${key}/${paymentId}`]) {
+        updates[`${indexName}/${key}/${paymentId}`] = null;
+      }
+    });
+  });
+  return updates;
+}
+
+// Each plan(data) returns { updates, problems } without touching the database.
+export const MIGRATIONS = [
+  {
+    id: '001-canonical-order-fields',
+    description: 'Orders keep billcode and userId only',
+    plan(data) {
+      const updates = {};
+      const problems = [];
+      Object.entries(data.orders).forEach(([orderId, order]) => {
+        canonicaliseFields('orders', orderId, order, updates, problems);
+        if (!hasOwnerField(order)) {
+          problems.push({ collection: 'orders', id: orderId, problem: 'no userId' });
+        }
+      });
+      return { updates, problems };
+    }
+  },
+  {
+    id: '002-canonical-payment-fields',
+    description: 'Payments keep billcode and userId only; missing userId is taken from the order',
+    plan(data) {
+      const updates = {};
+      const problems = [];
+      Object.entries(data.payments).forEach(([paymentId, payment]) => {
+        const order = payment.orderId ? data.orders[payment.orderId] : null;
+        if (payment.orderId && !order) {
+          problems.push({ collection: 'payments', id: paymentId, problem: `order ${payment.orderId} does not exist` });
+        }
+        canonicaliseFields('payments', paymentId, payment, updates, problems, { userId: ownerOf(order) });
+        if (!hasOwnerField(payment) && !hasOwnerField(order)) {
+          problems.push({ collection: 'payments', id: paymentId, problem: 'no userId on the payment or its order' });
+        }
+      });
+      return { updates, problems };
+    }
+  },
+  {
+    id: '003-payments-by-order',
+    description: 'Backfill payments_by_order from payments',
+    plan(data) {
+      const problems = [];
+      const updates = planIndex(data, 'payments_by_order', 'orderId', paymentSummary, problems);
+      return { updates, problems };
+    }
+  },
+  {
+    id: '004-payments-by-user',
+    description: 'Build payments_by_user from payments',
+    plan(data) {
+      const problems = [];
+      const updates = planIndex(data, 'payments_by_user', 'userId',
+        (paymentId, payment) => ({ ...paymentSummary(paymentId, payment), orderId: payment.orderId || null }), problems);
+      return { updates, problems };
+    }
+  }
+];
+
+// Applies a multi-path update to the in-memory copy so later migrations in the
+// same run (and dry runs) see the result.
+export function applyToSnapshot(data, updates) {
+  Object.entries(updates).forEach(([updatePath, value]) => {
+    const keys = updatePath.split('/');
+    const last = keys.pop();
+    let node = data;
+    for (const key of keys) {
+      if (node[key] === undefined || node[key] === null) {
+        if (value === null) {
+          return;
+        }
+        node[key] = {};
+      }
+      node = node[key];
+    }
+    if (value === null) {
+      delete node[last];
+    } else {
+      node[last] = value;
+    }
+  });
+  return data;
+}
+
+// Runs the given migrations against `data` and returns per-migration results.
+export function planMigrations(data, migrations = MIGRATIONS) {
+  return migrations.map(migration => {
+    const { updates, problems } = migration.plan(data);
+    applyToSnapshot(data, updates);
+    return { id: migration.id, description: migration.description, updates, problems };
+  });
+}
+
+async function loadData() {
+  const snapshots = await Promise.all(COLLECTIONS.map(name => db.ref(name).once('value')));
+  return Object.fromEntries(COLLECTIONS.map((name, index) => [name, snapshots[index].val() || {}]));
+}
+
+async function writeUpdates(updates) {
+  const entries = Object.entries(updates);
+  for (let start = 0; start < entries.length; start += UPDATE_BATCH_SIZE) {
+    await db.ref().update(Object.fromEntries(entries.slice(start, start + UPDATE_BATCH_SIZE)));
+  }
+}
+
+export async function runMigrations({ dryRun = false, only = null, rerun = false } = {}) {
+  if (!db) {
+    throw new Error('Firebase Admin is not initialised. Set service credentials.');
+  }
+  if (only && !MIGRATIONS.some(migration => migration.id === only)) {
+    throw new Error(`Unknown migration ${only}. Known: ${MIGRATIONS.map(migration => migration.id).join(', ')}`);
+  }
+
+  const completed = (await db.ref('migrations').once('value')).val() || {};
+  const selected = MIGRATIONS.filter(migration => (!only || migration.id === only) && (rerun || !completed[migration.id]));
+  const skipped = MIGRATIONS.filter(migration => !selected.includes(migration) && (!only || migration.id === only))
+    .map(migration => ({ id: migration.id, ranAt: completed[migration.id]?.ranAt || null }));
+
+  const results = planMigrations(await loadData(), selected);
+  const report = { dryRun, startedAt: now().toISOString(), migrations: [], skipped };
+
+  for (const result of results) {
+    const changes = Object.keys(result.updates).length;
+    if (!dryRun) {
+      await writeUpdates(result.updates);
+      await db.ref(`migrations/${result.id}`).set({
+        description: result.description,
+        ranAt: now().toISOString(),
+        changes,
+        problems: result.problems.length
+      });
+    }
+    logger.info(dryRun ? 'Migration planned' : 'Migration applied', { migration: result.id, changes, problems: result.problems.length });
+    report.migrations.push({
+      id: result.id,
+      description: result.description,
+      changes,
+      problems: result.problems,
+      ...(dryRun ? { updates: result.updates } : {})
+    });
+  }
+  return report;
+}
+
+function parseArgs(argv) {
+  const args = { dryRun: false, only: null, rerun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--rerun') {
+      args.rerun = true;
+    } else if (argv[i] === '--only') {
+      args.only = argv[i + 1] || null;
+      i += 1;
+    } else {
+      throw new Error(`Unknown argument ${argv[i]}. Usage: node migrate.js [--dry-run] [--only <id>] [--rerun]`);
+    }
+  }
+  return args;
+}
+
+// CLI: node migrate.js [--dry-run] [--only <id>] [--rerun]
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  Promise.resolve()
+    .then(() => runMigrations(parseArgs(process.argv.slice(2))))
+    .then(report => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      logger.error('Migration failed', { err: error });
+      process.exit(1);
+    });
+}
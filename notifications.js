@@ -0,0 +1,414 @@
+import crypto from 'crypto';
+import express from 'express';
+import nodemailer from 'nodemailer';
+import { admin } from './firebase.js';
+import { logger, withLogContext } from './logger.js';
+import { requireAuth } from './auth.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Notifications (FCM push + email receipts)
+// -----------------------------------------------------------------------------
+// device_tokens/{uid}/{tokenHash}           registered FCM tokens
+// notification_preferences/{uid}            { push, email }
+// notification_queue/{id}                   failed deliveries awaiting retry
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60;
+const DEFAULT_PREFERENCES = { push: true, email: true };
+
+// Which order statuses reach the customer, and over which channels.
+const STATUS_MESSAGES = {
+  PAID: {
+    title: 'Payment received',
+    body: orderId => `We have received your payment for order ${orderId}.`,
+    email: true
+  },
+  PAYMENT_FAILED: {
+    title: 'Payment failed',
+    body: orderId => `Your payment for order ${orderId} did not go through. Please try again in the app.`,
+    email: true
+  },
+  PROCESSING: {
+    title: 'Order in progress',
+    body: orderId => `Order ${orderId} is being prepared.`
+  },
+  PRINTING: {
+    title: 'Now printing',
+    body: orderId => `Order ${orderId} is on the printer.`
+  },
+  COMPLETED: {
+    title: 'Ready for pickup',
+    body: orderId => `Order ${orderId} is ready to collect. Show the pickup code in the app at the counter.`,
+    email: true
+  },
+  CANCELLED: {
+    title: 'Order cancelled',
+    body: orderId => `Order ${orderId} has been cancelled.`,
+    email: true
+  },
+  EXPIRED: {
+    title: 'Order expired',
+    body: orderId => `Order ${orderId} was not paid in time and has expired. Place it again in the app when you are ready.`,
+    email: true
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Transports
+// -----------------------------------------------------------------------------
+// email: send({ to, subject, text, html })
+// push:  send({ tokens, title, body, data }) -> { invalidTokens, failedTokens }
+
+export function createSmtpTransport(options = {}) {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: Number(options.port || process.env.SMTP_PORT) || 587,
+    secure: (options.secure ?? process.env.SMTP_SECURE) === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    connectionTimeout: 10000
+  });
+  const from = options.from || process.env.SMTP_FROM || 'Tinta Printing <no-reply@tintaprinting.local>';
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail({ from, ...message });
+    }
+  };
+}
+
+export function createFcmTransport() {
+  return {
+    name: 'fcm',
+    async send({ tokens, title, body, data }) {
+      const response = await admin.messaging().sendEachForMulticast({
+        tokens,
+        notification: { title, body },
+        data
+      });
+
+      const invalidTokens = [];
+      const failedTokens = [];
+      response.responses.forEach((result, index) => {
+        if (result.success) {
+          return;
+        }
+        const code = result.error?.code || '';
+        if (code === 'messaging/registration-token-not-registered' || code === 'messaging/invalid-registration-token') {
+          invalidTokens.push(tokens[index]);
+        } else {
+          failedTokens.push(tokens[index]);
+        }
+      });
+      return { invalidTokens, failedTokens };
+    }
+  };
+}
+
+// Records messages instead of sending them; for tests and local development.
+export function createMemoryTransport(name = 'memory') {
+  const sent = [];
+  return {
+    name,
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { invalidTokens: [], failedTokens: [] };
+    }
+  };
+}
+
+let transports = null;
+
+function getTransports() {
+  if (!transports) {
+    transports = {
+      email: process.env.SMTP_HOST ? createSmtpTransport() : null,
+      push: admin.apps.length ? createFcmTransport() : null
+    };
+  }
+  return transports;
+}
+
+export function setNotificationTransports(overrides) {
+  transports = { ...getTransports(), ...overrides };
+}
+
+// -----------------------------------------------------------------------------
+// Recipients and preferences
+// -----------------------------------------------------------------------------
+
+function tokenKey(token) {
+  return crypto.createHash('sha1').update(token).digest('hex');
+}
+
+async function loadPreferences(userId) {
+  const stored = await getRepositories().notifications.getPreferences(userId);
+  return { ...DEFAULT_PREFERENCES, ...(stored || {}) };
+}
+
+async function loadDeviceTokens(userId) {
+  const entries = await getRepositories().notifications.listDeviceTokens(userId);
+  return entries.map(entry => entry.token).filter(Boolean);
+}
+
+async function resolveEmail(order, userId) {
+  const direct = order.customerEmail || order.email;
+  if (direct) {
+    return direct;
+  }
+  return (await getRepositories().notifications.getUserEmail(userId)) || null;
+}
+
+function formatAmount(amount) {
+  return `RM ${Number(amount || 0).toFixed(2)}`;
+}
+
+function buildEmail(orderId, order, status) {
+  const message = STATUS_MESSAGES[status];
+  const details = order.paymentDetails || {};
+  const lines = [message.body(orderId), ''];
+
+  if (status === 'PAID') {
+    lines.push(
+      'Receipt',
+      `Order: ${orderId}`,
+      `Bill code: ${order.billcode || order.billCode || '-'}`,
+      `Transaction ID: ${details.transactionId || '-'}`,
+      `Payment method: ${details.method || '-'}`,
+      `Amount paid: ${formatAmount(details.amount)}`,
+      `Paid at: ${details.confirmedAt || order.updatedAt || '-'}`
+    );
+  }
+  lines.push('', 'Thank you for printing with Tinta Printing.');
+
+  const text = lines.join('\n');
+  const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return {
+    subject: `Tinta Printing: ${message.title} (${orderId})`,
+    text,
+    html: `<div style="font-family:Arial,sans-serif">${text.split('\n').map(line => escape(line) || '&nbsp;').join('<br>')}</div>`
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Delivery and retries
+// -----------------------------------------------------------------------------
+
+async function enqueueRetry(entry, error) {
+  const attempts = (entry.attempts || 0) + 1;
+  const exhausted = attempts >= MAX_ATTEMPTS;
+  const delaySeconds = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+  const record = {
+    ...entry,
+    attempts,
+    status: exhausted ? 'failed' : 'pending',
+    lastError: error.message || String(error),
+    nextAttemptAt: new Date(now().getTime() + delaySeconds * 1000).toISOString(),
+    updatedAt: now().toISOString()
+  };
+
+  await getRepositories().notifications.saveQueued(record);
+  logger.warn(exhausted ? 'Notification delivery gave up' : 'Notification queued for retry', {
+    channel: entry.channel,
+    userId: entry.userId,
+    orderId: entry.orderId,
+    attempts,
+    error: record.lastError
+  });
+}
+
+async function deliver(entry) {
+  const { email, push } = getTransports();
+
+  if (entry.channel === 'email') {
+    if (!email) {
+      return;
+    }
+    await email.send(entry.message);
+    return;
+  }
+
+  if (!push) {
+    return;
+  }
+  const { invalidTokens = [], failedTokens = [] } = await push.send(entry.message) || {};
+  if (invalidTokens.length) {
+    await getRepositories().notifications.removeDeviceTokens(entry.userId, invalidTokens.map(tokenKey));
+  }
+  if (failedTokens.length) {
+    const error = new Error(`Push delivery failed for ${failedTokens.length} device(s)`);
+    error.retryMessage = { ...entry.message, tokens: failedTokens };
+    throw error;
+  }
+}
+
+async function attempt(entry) {
+  try {
+    await deliver(entry);
+    if (entry.id) {
+      await getRepositories().notifications.removeQueued(entry.id);
+    }
+    return true;
+  } catch (error) {
+    await enqueueRetry({ ...entry, message: error.retryMessage || entry.message }, error);
+    return false;
+  }
+}
+
+// Started by updateOrderStatus after a transition commits, without waiting for it.
+// A failed delivery is queued for retry instead of failing the status change.
+export async function notifyOrderStatusChange(orderId, status) {
+  const template = STATUS_MESSAGES[status];
+  if (!repositoriesAvailable() || !template) {
+    return;
+  }
+
+  try {
+    const order = await getRepositories().orders.get(orderId);
+    const userId = order && (order.userId || order.userID || order.customerId || order.customerID);
+    if (!userId) {
+      return;
+    }
+
+    const preferences = await loadPreferences(userId);
+    const deliveries = [];
+
+    if (preferences.push) {
+      const tokens = await loadDeviceTokens(userId);
+      if (tokens.length) {
+        deliveries.push({
+          channel: 'push',
+          userId,
+          orderId,
+          message: {
+            tokens,
+            title: template.title,
+            body: template.body(orderId),
+            data: { orderId, status }
+          }
+        });
+      }
+    }
+
+    if (preferences.email && template.email) {
+      const to = await resolveEmail(order, userId);
+      if (to) {
+        deliveries.push({
+          channel: 'email',
+          userId,
+          orderId,
+          message: { to, ...buildEmail(orderId, order, status) }
+        });
+      }
+    }
+
+    await Promise.all(deliveries.map(entry => attempt({ ...entry, orderStatus: status, createdAt: now().toISOString() })));
+  } catch (error) {
+    logger.error('Failed to prepare notifications', { orderId, err: error });
+  }
+}
+
+export async function processNotificationQueue(at = now()) {
+  if (!repositoriesAvailable()) {
+    return { attempted: 0, sent: 0 };
+  }
+  const due = (await getRepositories().notifications.listQueued('pending'))
+    .filter(entry => Date.parse(entry.nextAttemptAt) <= at.getTime());
+
+  let sent = 0;
+  for (const entry of due) {
+    if (await attempt(entry)) {
+      sent += 1;
+    }
+  }
+  return { attempted: due.length, sent };
+}
+
+export function startNotificationRetryWorker(intervalSeconds = 60) {
+  if (!repositoriesAvailable()) {
+    return null;
+  }
+  const timer = setInterval(() => {
+    withLogContext({ job: 'notification-retry' }, processNotificationQueue).catch(error => {
+      logger.error('Notification retry run failed', { err: error });
+    });
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+}
+
+// -----------------------------------------------------------------------------
+// Routes
+// -----------------------------------------------------------------------------
+
+const router = express.Router();
+
+router.use('/me', requireAuth, (req, res, next) => {
+  if (!repositoriesAvailable()) {
+    return res.status(503).json({ success: false, error: 'Firebase Admin is not initialised. Set service credentials.' });
+  }
+  return next();
+});
+
+router.get('/me/notification-preferences', async (req, res) => {
+  try {
+    return res.json({ success: true, preferences: await loadPreferences(req.user.uid) });
+  } catch (error) {
+    logger.error('Error loading notification preferences', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { push?: boolean, email?: boolean }
+router.put('/me/notification-preferences', async (req, res) => {
+  try {
+    const updates = {};
+    ['push', 'email'].forEach(channel => {
+      if (typeof req.body?.[channel] === 'boolean') {
+        updates[channel] = req.body[channel];
+      }
+    });
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ success: false, error: 'Provide push and/or email as booleans' });
+    }
+    await getRepositories().notifications.updatePreferences(req.user.uid, updates);
+    return res.json({ success: true, preferences: await loadPreferences(req.user.uid) });
+  } catch (error) {
+    logger.error('Error saving notification preferences', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { token, platform? }
+router.post('/me/device-tokens', async (req, res) => {
+  try {
+    const token = (req.body?.token || '').toString().trim();
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'token is required' });
+    }
+    await getRepositories().notifications.saveDeviceToken(req.user.uid, tokenKey(token), {
+      token,
+      platform: req.body?.platform || 'android',
+      updatedAt: now().toISOString()
+    });
+    return res.status(201).json({ success: true });
+  } catch (error) {
+    logger.error('Error registering device token', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/me/device-tokens/:token', async (req, res) => {
+  try {
+    await getRepositories().notifications.removeDeviceTokens(req.user.uid, [tokenKey(req.params.token)]);
+    return res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing device token', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,229 @@
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { notifyOrderStatusChange } from './notifications.js';
+import { issuePickupCode } from './pickup.js';
+import { logger } from './logger.js';
+import { orderStatusTransitions } from './metrics.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Order status state machine
+// -----------------------------------------------------------------------------
+
+// Normalised payment status (see STATUS_NORMALISER in payments.js) -> order status
+export const ORDER_STATUS_MAP = {
+  success: 'PAID',
+  pending: 'PENDING_PAYMENT',
+  failed: 'PAYMENT_FAILED'
+};
+
+// Order status -> status shown in the admin dashboard
+export const ADMIN_STATUS_MAP = {
+  PENDING_PAYMENT: 'pending',
+  PAID: 'approved',
+  PROCESSING: 'in-progress',
+  PRINTING: 'printing',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  PAYMENT_FAILED: 'pending',
+  EXPIRED: 'cancelled'
+};
+
+// Allowed moves between order statuses. Terminal statuses have no outgoing edges.
+// EXPIRED (unpaid past ORDER_EXPIRY_HOURS, see expiry.js) only reopens when a
+// late payment for its bill succeeds.
+export const ORDER_TRANSITIONS = {
+  NEW: ['PENDING_PAYMENT', 'PAID', 'PAYMENT_FAILED', 'CANCELLED'],
+  PENDING_PAYMENT: ['PAID', 'PAYMENT_FAILED', 'CANCELLED', 'EXPIRED'],
+  PAYMENT_FAILED: ['PENDING_PAYMENT', 'PAID', 'CANCELLED', 'EXPIRED'],
+  EXPIRED: ['PAID'],
+  PAID: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['PRINTING', 'CANCELLED'],
+  PRINTING: ['COMPLETED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+// Statuses worked on by staff. Entering and leaving one is timestamped under
+// orders/{orderId}/production/stages whichever route moves the order, so the
+// production queue (production.js) sees the same history as the status itself.
+export const PRODUCTION_STAGES = ['PROCESSING', 'PRINTING'];
+
+// Orders written by older app builds may only carry the lowercase admin status.
+const LEGACY_STATUS_MAP = {
+  pending: 'PENDING_PAYMENT',
+  approved: 'PAID',
+  'in-progress': 'PROCESSING',
+  printing: 'PRINTING',
+  completed: 'COMPLETED',
+  cancelled: 'CANCELLED'
+};
+
+// Accepts a payment status ('success'), an order status ('PAID') or an admin status ('approved').
+export function resolveOrderStatus(status) {
+  if (!status) {
+    return 'NEW';
+  }
+  const value = String(status);
+  if (ORDER_STATUS_MAP[value]) {
+    return ORDER_STATUS_MAP[value];
+  }
+  if (ORDER_TRANSITIONS[value.toUpperCase()]) {
+    return value.toUpperCase();
+  }
+  return LEGACY_STATUS_MAP[value.toLowerCase()] || value.toUpperCase();
+}
+
+export function canTransition(from, to) {
+  const allowed = ORDER_TRANSITIONS[resolveOrderStatus(from)] || [];
+  return allowed.includes(resolveOrderStatus(to));
+}
+
+// Pure check used inside database transactions. Returns the outcome without touching the order.
+export function planTransition(currentStatus, targetStatus) {
+  const from = resolveOrderStatus(currentStatus);
+  const to = resolveOrderStatus(targetStatus);
+
+  if (from === to) {
+    return { allowed: false, from, to, reason: 'unchanged' };
+  }
+  if (!canTransition(from, to)) {
+    return { allowed: false, from, to, reason: 'transition_not_allowed' };
+  }
+  return {
+    allowed: true,
+    from,
+    to,
+    adminStatus: ADMIN_STATUS_MAP[to] || to.toLowerCase()
+  };
+}
+
+function stampProductionStages(production, from, to, at, actor) {
+  const stages = { ...(production?.stages || {}) };
+  if (PRODUCTION_STAGES.includes(from)) {
+    stages[from] = { ...stages[from], finishedAt: at, finishedBy: actor || null };
+  }
+  if (PRODUCTION_STAGES.includes(to)) {
+    stages[to] = { startedAt: at, startedBy: actor || null };
+  }
+  return { ...(production || {}), stages };
+}
+
+// -----------------------------------------------------------------------------
+// Status history
+// -----------------------------------------------------------------------------
+// Every applied change is appended to orders/{orderId}/statusHistory/{entryId}
+// in the same transaction as the status itself, and entries are never edited:
+//
+//   { from, to, at, actor: { type, id, name }, reason, paymentId }
+//
+// actor.type is 'callback' (a payment provider), 'admin' (staff), 'customer'
+// (the order's owner, e.g. raising a bill), 'scheduler' (reconciler, expiry) or
+// 'system'. Entry IDs are zero-padded sequence numbers behind a letter, so they
+// sort in order and the database never mistakes the history for an array.
+
+export const ACTOR_TYPES = ['callback', 'admin', 'customer', 'scheduler', 'system'];
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: null };
+
+export function staffActor(user) {
+  return { type: 'admin', id: user.uid, name: user.email || user.uid };
+}
+
+function historyEntryId(history) {
+  return `h${String(Object.keys(history || {}).length + 1).padStart(5, '0')}`;
+}
+
+function historyEntry(plan, at, { actor, reason, paymentId } = {}) {
+  return {
+    from: plan.from,
+    to: plan.to,
+    at,
+    actor: ACTOR_TYPES.includes(actor?.type)
+      ? { type: actor.type, id: actor.id || null, name: actor.name || null }
+      : SYSTEM_ACTOR,
+    reason: reason || null,
+    paymentId: paymentId || null
+  };
+}
+
+// Oldest first. Orders changed before the history existed have no entries.
+export function statusTimeline(order) {
+  return Object.entries(order?.statusHistory || {})
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([entryId, entry]) => ({ entryId, ...entry }));
+}
+
+// What the customer sees: which status and when, without staff or payment details.
+export function customerTimeline(order) {
+  return statusTimeline(order).map(({ to, at }) => ({ status: to, at }));
+}
+
+// -----------------------------------------------------------------------------
+// Persistence
+// -----------------------------------------------------------------------------
+
+// audit: { actor, reason, paymentId } for the status history entry.
+export async function updateOrderStatus(orderId, status, extra = {}, audit = {}) {
+  if (!orderId || !repositoriesAvailable()) {
+    return { applied: false, reason: 'unavailable' };
+  }
+
+  // Evaluate the transition against the stored status inside the transaction so
+  // two callbacks racing on the same order cannot both apply.
+  let outcome = { applied: false, reason: 'order_not_found' };
+  await getRepositories().orders.transaction(orderId, current => {
+    if (current === null) {
+      outcome = { applied: false, reason: 'order_not_found' };
+      return current;
+    }
+
+    const plan = planTransition(current.status, status);
+    if (!plan.allowed) {
+      outcome = { applied: false, from: plan.from, to: plan.to, reason: plan.reason };
+      return;
+    }
+
+    outcome = { applied: true, from: plan.from, to: plan.to };
+    const timestamp = now().toISOString();
+    const production = PRODUCTION_STAGES.includes(plan.from) || PRODUCTION_STAGES.includes(plan.to)
+      ? { production: stampProductionStages(current.production, plan.from, plan.to, timestamp, extra.statusUpdatedBy) }
+      : {};
+    return {
+      ...current,
+      status: plan.to,
+      adminStatus: plan.adminStatus,
+      updatedAt: timestamp,
+      ...production,
+      ...extra,
+      statusHistory: {
+        ...(current.statusHistory || {}),
+        [historyEntryId(current.statusHistory)]: historyEntry(plan, timestamp, audit)
+      }
+    };
+  });
+
+  if (outcome.applied) {
+    orderStatusTransitions.inc({ from: outcome.from, to: outcome.to, result: 'applied' });
+    logger.info('Order status updated', {
+      orderId,
+      from: outcome.from,
+      to: outcome.to,
+      adminStatus: ADMIN_STATUS_MAP[outcome.to]
+    });
+    if (outcome.to === 'COMPLETED') {
+      // Issued before the notification goes out so the customer can open it straight away.
+      await issuePickupCode(orderId).catch(error => {
+        logger.error('Failed to issue pickup code', { orderId, err: error });
+      });
+    }
+    // Delivery can be slow; the payment callback and staff requests do not wait for it.
+    notifyOrderStatusChange(orderId, outcome.to).catch(error => {
+      logger.error('Failed to send status notifications', { orderId, err: error });
+    });
+  } else {
+    const target = outcome.to || ORDER_STATUS_MAP[status] || String(status);
+    orderStatusTransitions.inc({ from: outcome.from || 'unknown', to: target, result: outcome.reason });
+    logger.warn('Order status not updated', { orderId, from: outcome.from || null, to: target, reason: outcome.reason });
+  }
+  return outcome;
+}
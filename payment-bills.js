@@ -0,0 +1,211 @@
+import express from 'express';
+import { logger } from './logger.js';
+import { requireAuth } from './auth.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { now } from './clock.js';
+import { getProvider, listProviders } from './providers/index.js';
+import { canTransition, resolveOrderStatus, staffActor, updateOrderStatus } from './order-status.js';
+import { isQuoteExpired } from './pricing.js';
+import { getOrderTotal } from './payments.js';
+import { recordPaymentInRollups } from './reports.js';
+import { holdVoucher, releaseVoucher } from './vouchers.js';
+
+// -----------------------------------------------------------------------------
+// Payment bills
+// -----------------------------------------------------------------------------
+// POST /payment/bills raises a bill with the chosen provider for the order's
+// quoted total and records the pending payment alongside the order. Only the
+// order's owner (or staff) can bill it.
+
+const router = express.Router();
+
+// Moves the order to PENDING_PAYMENT with the new bill through the state
+// machine, so a PAID callback racing this request wins and the change is
+// recorded and notified. Re-billing an order already awaiting payment is not a
+// status change: only the bill fields are swapped, and only while it is unpaid.
+// Staff who bill on a customer's behalf are recorded as staff.
+async function attachBill(orderId, currentStatus, fields, user) {
+  if (currentStatus !== 'PENDING_PAYMENT') {
+    return updateOrderStatus(orderId, 'PENDING_PAYMENT', fields, {
+      actor: user.isAdmin ? staffActor(user) : { type: 'customer', id: user.uid },
+      reason: 'bill_created'
+    });
+  }
+
+  let outcome = { applied: false, reason: 'order_not_found' };
+  await getRepositories().orders.transaction(orderId, current => {
+    if (current === null) {
+      outcome = { applied: false, reason: 'order_not_found' };
+      return current;
+    }
+    const status = resolveOrderStatus(current.status);
+    if (status !== 'PENDING_PAYMENT') {
+      outcome = { applied: false, from: status, to: 'PENDING_PAYMENT', reason: 'transition_not_allowed' };
+      return;
+    }
+    outcome = { applied: true, from: status, to: status };
+    return { ...current, ...fields };
+  });
+  return outcome;
+}
+
+// A superseded or unattached bill's pending placeholder would otherwise stay in
+// the payment indexes and the daily rollups for good.
+async function dropPlaceholder(orderId, billcode) {
+  const { payments } = getRepositories();
+  const placeholder = await payments.get(billcode);
+  if (placeholder?.status === 'pending') {
+    await payments.remove(orderId, billcode, placeholder.userId);
+    await recordPaymentInRollups(placeholder, null);
+  }
+}
+
+function billError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+// Raises (or reuses) the bill for an order the caller owns. Returns the bill and
+// whether an open one was reused; errors carry the HTTP status to answer with.
+export async function createPaymentBill(orderId, providerName, user, { backendUrl }) {
+  if (!orderId) {
+    throw billError(400, 'orderId is required');
+  }
+
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw billError(400, `Unknown payment provider ${providerName}`, {
+      providers: listProviders().map(({ name }) => name)
+    });
+  }
+
+  const order = await getRepositories().orders.get(orderId);
+  if (!order) {
+    throw billError(404, `Order ${orderId} not found`);
+  }
+
+  const userId = order.userId || order.userID || order.customerId || order.customerID || null;
+  if (userId !== user.uid && !user.isAdmin) {
+    throw billError(403, 'You can only pay for your own orders');
+  }
+
+  const currentStatus = resolveOrderStatus(order.status);
+  if (currentStatus !== 'PENDING_PAYMENT' && !canTransition(currentStatus, 'PENDING_PAYMENT')) {
+    throw billError(409, `Order ${orderId} is ${currentStatus} and cannot be billed`);
+  }
+
+  // Bills are only raised against a server-computed quote (POST /quotes).
+  if (!order.quote) {
+    throw billError(422, `Order ${orderId} has no quote. Request one from POST /quotes first`);
+  }
+
+  const amountSen = getOrderTotal(order);
+  if (!amountSen || amountSen <= 0) {
+    throw billError(422, `Order ${orderId} has no valid quote total`);
+  }
+
+  const existingBillcode = order.billcode || order.billCode;
+  const existingProvider = order.paymentProvider || 'toyyibpay';
+  if (existingBillcode && currentStatus === 'PENDING_PAYMENT' && order.paymentUrl &&
+    order.billAmountSen === amountSen && existingProvider === provider.name) {
+    return {
+      orderId,
+      provider: provider.name,
+      billcode: existingBillcode,
+      paymentUrl: order.paymentUrl,
+      reused: true
+    };
+  }
+
+  if (isQuoteExpired(order.quote)) {
+    throw billError(409, `Quote for order ${orderId} has expired. Request a new one`);
+  }
+
+  if (!userId) {
+    throw billError(422, `Order ${orderId} has no userId`);
+  }
+
+  // A discounted quote holds one use of its voucher until the payment settles.
+  await holdVoucher(order, userId);
+
+  const { billcode, paymentUrl } = await provider.createBill({
+    name: `Tinta Printing ${orderId}`,
+    description: `Payment for order ${orderId}`,
+    amountSen,
+    returnUrl: `${backendUrl}/payment/return`,
+    callbackUrl: `${backendUrl}/payment/${provider.name}/callback`,
+    externalReference: orderId,
+    customerName: order.customerName || order.name,
+    email: order.customerEmail || order.email,
+    phone: order.customerPhone || order.phone
+  }).catch(async error => {
+    await releaseVoucher(order, 'bill_not_created');
+    throw error;
+  });
+
+  const timestamp = now().toISOString();
+  const amount = amountSen / 100;
+  const pendingPayment = {
+    paymentId: billcode,
+    orderId,
+    userId,
+    status: 'pending',
+    amount,
+    provider: provider.name,
+    paymentMethod: provider.name,
+    billcode,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  // The placeholder goes in first so a callback for the new bill always finds it.
+  const { payments } = getRepositories();
+  await payments.transaction(billcode, () => pendingPayment);
+  const summary = { paymentId: billcode, status: 'pending', amount, createdAt: timestamp, updatedAt: timestamp };
+  await payments.saveOrderSummary(orderId, billcode, summary);
+  await payments.saveUserSummary(userId, billcode, { ...summary, orderId });
+  await recordPaymentInRollups(null, pendingPayment);
+
+  const outcome = await attachBill(orderId, currentStatus, {
+    billcode,
+    paymentUrl,
+    paymentProvider: provider.name,
+    billAmountSen: amountSen
+  }, user);
+  if (!outcome.applied) {
+    await dropPlaceholder(orderId, billcode);
+    await releaseVoucher(order, 'bill_not_attached');
+    logger.warn('Payment bill not attached to order', { orderId, billcode, from: outcome.from || null, reason: outcome.reason });
+    throw billError(409, `Order ${orderId} is ${outcome.from || 'missing'} and cannot be billed`);
+  }
+
+  if (existingBillcode && existingBillcode !== billcode) {
+    await dropPlaceholder(orderId, existingBillcode);
+  }
+
+  logger.info('Payment bill created', { provider: provider.name, billcode, orderId, amount });
+  return { orderId, provider: provider.name, billcode, paymentUrl, amount };
+}
+
+router.post('/payment/bills', requireAuth, async (req, res) => {
+  try {
+    if (!repositoriesAvailable()) {
+      throw new Error('Firebase Admin is not initialised. Set service credentials.');
+    }
+
+    const orderId = (req.body?.orderId || req.body?.order_id || '').toString().trim();
+    const bill = await createPaymentBill(orderId, req.body?.provider, req.user, req.app.locals.config);
+    return res.status(bill.reused ? 200 : 201).json({ success: true, ...bill });
+  } catch (error) {
+    if (error.status) {
+      const { reason = null, providers } = error;
+      return res.status(error.status).json({ success: false, error: error.message, reason, providers });
+    }
+    logger.error('Error creating payment bill', { err: error });
+    return res.status(502).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,201 @@
+import express from 'express';
+import { logger } from './logger.js';
+import { paymentCallbacks } from './metrics.js';
+import { getProvider } from './providers/index.js';
+import { repositoriesAvailable } from './repositories/index.js';
+import {
+  applyPayment,
+  resolveOrderForPayment,
+  savePaymentForReview,
+  saveUnmatchedPayment
+} from './payments.js';
+import { loadWebhookEvent, recordWebhookAttempt, recordWebhookEvent } from './webhook-events.js';
+
+// -----------------------------------------------------------------------------
+// Payment callbacks
+// -----------------------------------------------------------------------------
+// POST /payment/:provider/callback receives server-to-server notifications from
+// each gateway. POST /payment/callback stays as the ToyyibPay endpoint because
+// bills created before providers existed still point at it.
+
+const router = express.Router();
+
+function callbackResult(statusCode, outcome, body) {
+  return { statusCode, outcome, body };
+}
+
+// Shared by every provider and by webhook replays: the adapter turns its payload
+// into paymentData, then matching, amount checks and storage are the same for
+// all of them. Returns the HTTP response instead of sending it so a replay can
+// run the exact same path.
+export async function processCallback(provider, payload) {
+  try {
+    if (!repositoriesAvailable()) {
+      throw new Error('Firebase Admin is not initialised. Set service credentials.');
+    }
+
+    const { verification, paymentData } = provider.parseCallback(payload);
+    const billcode = paymentData.billcode;
+    if (!billcode) {
+      logger.error('Callback missing billcode', { provider: provider.name, payloadKeys: Object.keys(payload) });
+      return callbackResult(200, 'missing_billcode', { received: true, error: 'Missing billcode' });
+    }
+
+    if (!verification.valid) {
+      const reviewId = await savePaymentForReview({ provider: provider.name, billcode, raw: payload }, verification.reason);
+      return callbackResult(200, 'review', {
+        received: true,
+        saved: false,
+        review: verification.reason,
+        reviewId
+      });
+    }
+
+    const { order, orderId, userId } = await resolveOrderForPayment(paymentData);
+
+    if (!orderId) {
+      logger.warn('Unable to resolve order ID; saving to unmatched queue', { billcode });
+      await saveUnmatchedPayment({ ...paymentData, note: 'Order ID not resolved' });
+      return callbackResult(200, 'unmatched', {
+        received: true,
+        saved: false,
+        warning: 'Order ID not resolved. Payment stored in payments_unmatched.'
+      });
+    }
+
+    // Payments are indexed by user, so an order without an owner cannot take one.
+    // Keep it with the order reference for staff to match by hand.
+    if (!userId) {
+      logger.warn('userId is missing; saving to unmatched queue with order reference', { orderId, billcode });
+      await saveUnmatchedPayment({
+        ...paymentData,
+        orderId,
+        note: 'Order found but userId missing'
+      });
+      return callbackResult(200, 'unmatched', {
+        received: true,
+        saved: false,
+        warning: `Order ${orderId} found but userId is missing. Payment stored in payments_unmatched with order reference.`
+      });
+    }
+
+    const result = await applyPayment(paymentData, order, userId);
+
+    if (result.outcome === 'review') {
+      return callbackResult(200, 'review', {
+        received: true,
+        saved: false,
+        orderId,
+        review: result.reason,
+        reviewId: result.reviewId
+      });
+    }
+
+    if (result.outcome === 'duplicate') {
+      return callbackResult(200, 'duplicate', {
+        received: true,
+        success: true,
+        duplicate: true,
+        orderId,
+        paymentId: result.record?.paymentId || null,
+        status: result.record?.status || null
+      });
+    }
+
+    return callbackResult(200, 'saved', {
+      received: true,
+      success: true,
+      orderId,
+      paymentId: result.record.paymentId,
+      status: result.record.status,
+      orderStatus: result.orderUpdate?.applied ? result.orderUpdate.to : undefined
+    });
+  } catch (error) {
+    logger.error('Error handling payment callback', { provider: provider.name, err: error });
+    return {
+      ...callbackResult(500, 'error', {
+        received: true,
+        success: false,
+        error: error.message
+      }),
+      error
+    };
+  }
+}
+
+// Every delivery is written to the webhook event log before it is processed, so
+// the raw request survives even when processing fails.
+async function handleCallback(provider, req, res) {
+  const payload = req.body || {};
+  logger.info('Payment callback received', { provider: provider.name, payload });
+
+  const eventId = await recordWebhookEvent(provider, req);
+  const result = await processCallback(provider, payload);
+  paymentCallbacks.inc({ provider: provider.name, trigger: 'delivery', outcome: result.outcome });
+  await recordWebhookAttempt(eventId, { trigger: 'delivery', ...result });
+
+  return res.status(result.statusCode).json(eventId ? { ...result.body, eventId } : result.body);
+}
+
+function replayError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Runs a logged event through processCallback again, e.g. after fixing the bug
+// that made it fail. Safe to repeat: savePaymentRecord only lets a payment move
+// forward, so an already-applied payment comes back as a duplicate.
+export async function replayWebhookEvent(eventId, actor) {
+  const event = await loadWebhookEvent(eventId);
+  if (!event) {
+    throw replayError(404, `Webhook event ${eventId} not found`);
+  }
+
+  const provider = getProvider(event.provider);
+  if (!provider) {
+    throw replayError(422, `Unknown payment provider ${event.provider}`);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.payload || '{}');
+  } catch (error) {
+    throw replayError(422, `Webhook event ${eventId} has an unreadable payload`);
+  }
+
+  logger.info('Replaying webhook event', { provider: provider.name, eventId, actor });
+  const result = await processCallback(provider, payload);
+  paymentCallbacks.inc({ provider: provider.name, trigger: 'replay', outcome: result.outcome });
+  const attempt = await recordWebhookAttempt(eventId, { trigger: 'replay', actor, ...result });
+  return { eventId, attempt, result };
+}
+
+router.post('/payment/callback', (req, res) => handleCallback(getProvider('toyyibpay'), req, res));
+
+router.post('/payment/:provider/callback', (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ received: false, error: `Unknown payment provider ${req.params.provider}` });
+  }
+  return handleCallback(provider, req, res);
+});
+
+router.get('/payment/callback', async (req, res) => {
+  const { billcode, status, transaction_id } = req.query;
+  const { androidDeepLink } = req.app.locals.config;
+  try {
+    let redirectUrl = `${androidDeepLink}?billcode=${encodeURIComponent(billcode || '')}`;
+    if (status) {
+      redirectUrl += `&status=${encodeURIComponent(status)}`;
+    }
+    if (transaction_id) {
+      redirectUrl += `&transactionId=${encodeURIComponent(transaction_id)}`;
+    }
+
+    res.redirect(redirectUrl);
+  } catch (error) {
+    logger.error('Callback redirect failed', { err: error });
+    res.redirect(`${androidDeepLink}?error=callback_redirect_failed`);
+  }
+});
+
+export default router;
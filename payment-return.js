@@ -0,0 +1,273 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { resolveOrderStatus } from './order-status.js';
+import { findOrderByBillcode, findOrderFromPayments } from './payments.js';
+import { buildLineItems } from './invoices.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// -----------------------------------------------------------------------------
+// Payment return page
+// -----------------------------------------------------------------------------
+// ToyyibPay sends the customer to /payment/return?billcode=...&status_id=... once
+// they finish paying; Billplz uses billplz[id]=... instead. Nothing in that query string is trusted: the page is built
+// from the order and payment records, and polls /payment/status while the
+// callback is still on its way.
+
+const router = express.Router();
+const TEMPLATE_PATH = path.join(__dirname, 'views', 'payment_return.html');
+const PAID_STATUSES = ['PAID', 'PROCESSING', 'PRINTING', 'COMPLETED'];
+const POLL_INTERVAL_MS = 3000;
+const POLL_TIMEOUT_MS = 2 * 60 * 1000;
+
+// status_id values the app already understands (ToyyibPay's codes)
+const DEEP_LINK_STATUS_IDS = { success: '1', pending: '2', review: '2', failed: '3', unknown: '3' };
+
+const VIEWS = {
+  success: {
+    icon: '✅',
+    iconClass: 'success-icon',
+    badge: 'SUCCESS',
+    badgeClass: 'badge-success',
+    title: 'Payment Successful',
+    titleClass: 'success-title',
+    message: 'Your payment has been processed successfully. Thank you for your order!'
+  },
+  failed: {
+    icon: '❌',
+    iconClass: 'fail-icon',
+    badge: 'FAILED',
+    badgeClass: 'badge-fail',
+    title: 'Payment Failed',
+    titleClass: 'fail-title',
+    message: 'Unfortunately, your payment could not be processed. Please try again or contact support.'
+  },
+  pending: {
+    icon: '⏳',
+    iconClass: 'pending-icon',
+    badge: 'CONFIRMING',
+    badgeClass: 'badge-pending',
+    title: 'Confirming Payment',
+    titleClass: 'pending-title',
+    message: 'We are waiting for the payment gateway to confirm your payment. This page will update automatically.'
+  },
+  review: {
+    icon: '🔎',
+    iconClass: 'pending-icon',
+    badge: 'UNDER REVIEW',
+    badgeClass: 'badge-pending',
+    title: 'Payment Under Review',
+    titleClass: 'pending-title',
+    message: 'We received your payment and our team is verifying it. You will be notified once it is confirmed.'
+  },
+  unknown: {
+    icon: '❔',
+    iconClass: 'fail-icon',
+    badge: 'NOT FOUND',
+    badgeClass: 'badge-fail',
+    title: 'Payment Not Found',
+    titleClass: 'fail-title',
+    message: 'We could not find a payment for this bill. If you were charged, please contact support with your bill code.'
+  }
+};
+
+let template = null;
+
+function loadTemplate() {
+  if (!template) {
+    template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+  }
+  return template;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// {{name}} is HTML-escaped, {{{name}}} is inserted as-is.
+function renderTemplate(html, values) {
+  return html
+    .replace(/\{\{\{(\w+)\}\}\}/g, (match, key) => values[key] ?? '')
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => escapeHtml(values[key]));
+}
+
+function maskEmail(email) {
+  if (!email || !email.includes('@')) {
+    return null;
+  }
+  const [name, domain] = email.split('@');
+  return `${name.slice(0, 2)}${'*'.repeat(Math.max(name.length - 2, 3))}@${domain}`;
+}
+
+function money(amount) {
+  return amount === null || amount === undefined ? '-' : `RM ${Number(amount).toFixed(2)}`;
+}
+
+// Production ETAs are shown in shop time whatever the phone's timezone.
+function shopTime(iso) {
+  if (!iso) {
+    return null;
+  }
+  return new Date(iso).toLocaleString('en-MY', {
+    timeZone: 'Asia/Kuala_Lumpur',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+}
+
+function infoCard(title, rows) {
+  const body = rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `
+            <div class="info-row">
+                <span class="info-label">${escapeHtml(label)}</span>
+                <span class="info-value">${escapeHtml(value)}</span>
+            </div>`)
+    .join('');
+  return `<div class="info-card">
+            <div class="card-title">${escapeHtml(title)}</div>${body}
+        </div>`;
+}
+
+async function findLatestPayment(billcode) {
+  const payments = await getRepositories().payments.findByBillcode(billcode);
+  return payments.find(payment => payment.status === 'success') ||
+    payments.sort((a, b) => Date.parse(b.updatedAt || '') - Date.parse(a.updatedAt || ''))[0] ||
+    null;
+}
+
+export async function lookupPaymentState(billcode) {
+  if (!repositoriesAvailable() || !billcode) {
+    return { state: 'unknown', order: null, payment: null };
+  }
+
+  const order = await findOrderByBillcode(billcode) || await findOrderFromPayments(billcode);
+  const payment = await findLatestPayment(billcode);
+  if (!order && !payment) {
+    return { state: 'unknown', order: null, payment: null };
+  }
+
+  const orderStatus = resolveOrderStatus(order?.status);
+  let state = 'pending';
+  if (PAID_STATUSES.includes(orderStatus) || payment?.status === 'success') {
+    state = 'success';
+  } else if (order?.paymentReview) {
+    state = 'review';
+  } else if (['PAYMENT_FAILED', 'CANCELLED', 'EXPIRED'].includes(orderStatus) || payment?.status === 'failed') {
+    state = 'failed';
+  }
+
+  return { state, order, payment };
+}
+
+function buildDeepLink(androidDeepLink, state, billcode, order, payment) {
+  const params = new URLSearchParams({ status_id: DEEP_LINK_STATUS_IDS[state], billcode: billcode || '' });
+  if (payment?.transactionId) {
+    params.set('transaction_id', payment.transactionId);
+  }
+  if (order?.id) {
+    params.set('order_id', order.id);
+  }
+  params.set('redirect', 'orders');
+  return `${androidDeepLink}?${params.toString()}`;
+}
+
+function buildSections(state, billcode, order, payment) {
+  if (state === 'unknown') {
+    return infoCard('📄 Payment Details', [['Bill Code', billcode || '-']]);
+  }
+
+  const sections = [infoCard('📄 Payment Summary', [
+    ['Order ID', order?.id],
+    ['Bill Code', billcode],
+    ['Transaction ID', payment?.transactionId],
+    ['Amount', money(payment?.amount ?? order?.quote?.total ?? order?.totalAmount)],
+    ['Payment Status', order ? resolveOrderStatus(order.status) : payment?.status],
+    ['Paid At', state === 'success' ? (order?.paymentDetails?.confirmedAt || payment?.createdAt) : null],
+    ['Estimated Ready', state === 'success' ? shopTime(order?.estimatedReadyAt) : null]
+  ])];
+
+  if (order && state !== 'failed') {
+    const items = buildLineItems(order, payment);
+    sections.push(infoCard('🖨️ Items', items.map(item => [
+      `${item.description}${item.quantity > 1 ? ` × ${item.quantity}` : ''}`,
+      money(item.amount)
+    ])));
+  }
+
+  if (order && state === 'success') {
+    sections.push(infoCard('👤 Customer Details', [
+      ['Name', order.customerName || order.name],
+      ['Email', maskEmail(order.customerEmail || order.email)]
+    ]));
+  }
+
+  return sections.join('\n        ');
+}
+
+router.get('/payment/return', async (req, res) => {
+  const billcode = (req.query.billcode || req.query.billCode || req.query.billplz?.id || '').toString().trim();
+
+  try {
+    const { state, order, payment } = await lookupPaymentState(billcode);
+    const deepLink = buildDeepLink(req.app.locals.config.androidDeepLink, state, billcode, order, payment);
+    const waiting = state === 'pending';
+
+    const html = renderTemplate(loadTemplate(), {
+      ...VIEWS[state],
+      deepLink,
+      sections: buildSections(state, billcode, order, payment),
+      footer: waiting
+        ? '<div class="spinner" style="margin-top: 24px;"></div>'
+        : '<div class="countdown">Redirecting automatically in <span class="countdown-time" id="countdown">5</span> seconds...</div>',
+      clientConfig: JSON.stringify({
+        deepLink,
+        autoRedirect: !waiting,
+        statusUrl: waiting ? `/payment/status?billcode=${encodeURIComponent(billcode)}` : null,
+        pollIntervalMs: POLL_INTERVAL_MS,
+        pollTimeoutMs: POLL_TIMEOUT_MS
+      }).replace(/</g, '\\u003c')
+    });
+
+    res.set('Cache-Control', 'no-store');
+    return res.type('html').send(html);
+  } catch (error) {
+    logger.error('Error rendering payment return page', { err: error });
+    return res.status(500).send('Unable to load payment status. Please return to the app.');
+  }
+});
+
+// Polled by the return page while the callback is pending. Exposes no customer data.
+router.get('/payment/status', async (req, res) => {
+  const billcode = (req.query.billcode || '').toString().trim();
+  if (!billcode) {
+    return res.status(400).json({ success: false, error: 'billcode is required' });
+  }
+
+  try {
+    const { state, order } = await lookupPaymentState(billcode);
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      success: true,
+      billcode,
+      status: state,
+      orderStatus: order ? resolveOrderStatus(order.status) : null,
+      estimatedReadyAt: order?.estimatedReadyAt || null
+    });
+  } catch (error) {
+    logger.error('Error loading payment status', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,334 @@
+import { getRepositories } from './repositories/index.js';
+import { logger } from './logger.js';
+import { toSen } from './toyyibpay.js';
+import { updateOrderStatus } from './order-status.js';
+import { verifyQuote } from './pricing.js';
+import { recordPaymentInRollups } from './reports.js';
+import { refreshEstimates } from './production.js';
+import { redeemVoucher, releaseVoucher } from './vouchers.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Payment helpers
+// -----------------------------------------------------------------------------
+
+// Provider adapters translate their own status codes before payments get here.
+export const STATUS_NORMALISER = {
+  success: 'success',
+  pending: 'pending',
+  failed: 'failed',
+  failure: 'failed',
+  cancelled: 'failed'
+};
+
+// A stored payment may only move forward; a resent or late callback never downgrades it.
+const PAYMENT_STATUS_PROGRESSION = {
+  pending: ['success', 'failed'],
+  failed: ['success'],
+  success: []
+};
+
+export function normaliseStatus(status) {
+  if (!status) {
+    return 'pending';
+  }
+  const key = String(status).toLowerCase();
+  return STATUS_NORMALISER[key] || STATUS_NORMALISER[status] || 'pending';
+}
+
+export async function findOrderByBillcode(billcode) {
+  if (!billcode) {
+    return null;
+  }
+  return getRepositories().orders.findByBillcode(billcode);
+}
+
+export async function findOrderFromPayments(billcode) {
+  if (!billcode) {
+    return null;
+  }
+  const { orders, payments } = getRepositories();
+  const [payment] = await payments.findByBillcode(billcode);
+  if (!payment || !payment.orderId) {
+    return null;
+  }
+
+  const order = await orders.get(payment.orderId);
+  if (!order) {
+    return {
+      id: payment.orderId,
+      userId: payment.userId || null
+    };
+  }
+  return order;
+}
+
+export async function savePaymentRecord(paymentData, orderId, userId) {
+  if (!orderId) {
+    throw new Error('Order ID is required to save payment');
+  }
+  if (!userId) {
+    throw new Error('User ID is required to save payment');
+  }
+
+  const paymentId = paymentData.transaction_id || paymentData.paymentId || paymentData.billcode || `PAY-${now().getTime()}`;
+  const status = normaliseStatus(paymentData.status);
+  const amount = Number(paymentData.amount ?? 0);
+
+  const newRecord = {
+    paymentId,
+    orderId,
+    userId,
+    status,
+    amount,
+    provider: paymentData.provider || null,
+    paymentMethod: paymentData.payment_method || paymentData.provider || null,
+    createdAt: paymentData.timestamp || now().toISOString(),
+    billcode: paymentData.billcode || null,
+    transactionId: paymentData.transaction_id || null,
+    externalReference: paymentData.order_id || null,
+    signature: paymentData.signature || null,
+    rawPayload: paymentData.raw || null,
+    updatedAt: now().toISOString()
+  };
+
+  const { payments } = getRepositories();
+
+  // Claim the payment inside a transaction so concurrent resends of the same
+  // callback cannot both write, and an existing record keeps its createdAt.
+  let existing = null;
+  const result = await payments.transaction(paymentId, current => {
+    existing = current;
+    if (!current) {
+      return newRecord;
+    }
+    const allowed = PAYMENT_STATUS_PROGRESSION[current.status] || [];
+    if (!allowed.includes(status)) {
+      return;
+    }
+    return {
+      ...current,
+      ...newRecord,
+      createdAt: current.createdAt || newRecord.createdAt
+    };
+  });
+
+  if (!result.committed) {
+    logger.info('Payment already stored; ignoring callback', { paymentId, orderId, storedStatus: existing?.status || null, status });
+    return { record: existing, duplicate: true };
+  }
+
+  const record = result.value;
+  await recordPaymentInRollups(existing, record);
+  const summary = {
+    paymentId,
+    status,
+    amount,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+  await payments.saveOrderSummary(orderId, paymentId, summary);
+  await payments.saveUserSummary(userId, paymentId, { ...summary, orderId });
+
+  // Bills created through POST /payment/bills leave a pending entry keyed by billcode;
+  // drop it once the real transaction is stored under its own ID.
+  if (record.billcode && record.billcode !== paymentId) {
+    const placeholder = await payments.get(record.billcode);
+    if (placeholder?.status === 'pending') {
+      await payments.remove(orderId, record.billcode, placeholder.userId);
+      await recordPaymentInRollups(placeholder, null);
+    }
+  }
+
+  logger.info('Payment stored', { paymentId, orderId, status, amount });
+  return { record, duplicate: false };
+}
+
+export async function saveUnmatchedPayment(paymentData) {
+  const paymentId = paymentData.transaction_id || paymentData.billcode || `UNMATCHED-${now().getTime()}`;
+
+  // Remove undefined values (Firebase doesn't allow them)
+  const cleanData = {};
+  Object.keys(paymentData).forEach(key => {
+    if (paymentData[key] !== undefined && paymentData[key] !== null) {
+      cleanData[key] = paymentData[key];
+    }
+  });
+  
+  await getRepositories().unmatchedPayments.save(paymentId, {
+    ...cleanData,
+    storedAt: now().toISOString()
+  });
+  logger.warn('Stored unmatched payment', { unmatchedId: paymentId, billcode: paymentData.billcode || null });
+  return paymentId;
+}
+
+export async function savePaymentForReview(paymentData, reason, details = {}) {
+  const merged = { ...paymentData, ...details };
+  const cleanData = {};
+  Object.keys(merged).forEach(key => {
+    if (merged[key] !== undefined && merged[key] !== null) {
+      cleanData[key] = merged[key];
+    }
+  });
+
+  const reviewId = await getRepositories().payments.saveReview({
+    ...cleanData,
+    reason,
+    storedAt: now().toISOString()
+  });
+  logger.warn('Payment flagged for review', { reviewId, reason, billcode: paymentData.billcode || null });
+  return reviewId;
+}
+
+// Total in sen. A server-signed quote (see pricing.js) always wins; a quote that fails
+// verification yields null so the payment goes to review. Orders placed before quotes
+// existed fall back to the client-written total.
+export function getOrderTotal(order) {
+  if (!order) {
+    return null;
+  }
+  if (order.quote) {
+    return verifyQuote(order.quote, order.id) ? order.quote.totalSen : null;
+  }
+  return toSen(order.totalAmount ?? order.total ?? order.totalPrice ?? order.amount);
+}
+
+function getOrderUserId(order) {
+  if (!order) {
+    return null;
+  }
+  return order.userId || order.userID || order.customerId || order.customerID || null;
+}
+
+// Runs the same matching the callback uses: billcode on orders, billcode on
+// payments history, then the external reference / stored order ID.
+export async function resolveOrderForPayment(paymentData) {
+  const billcode = paymentData.billcode;
+
+  let order = await findOrderByBillcode(billcode);
+  if (!order) {
+    logger.warn('Order not found by billcode; checking payments history', { billcode });
+    order = await findOrderFromPayments(billcode);
+  }
+
+  let orderId = order?.id || null;
+  let userId = getOrderUserId(order);
+
+  // If we don't have order yet, try to get it from the order reference in the payload
+  const reference = paymentData.orderId || paymentData.order_id;
+  if (!orderId && reference) {
+    const potentialOrderId = reference.toString().trim();
+    if (paymentData.orderId || potentialOrderId.startsWith('ORD') || potentialOrderId.length > 10) {
+      orderId = potentialOrderId;
+      logger.info('Using order ID from payload', { orderId, billcode });
+
+      // Try to fetch the order to get userId
+      try {
+        const { orders } = getRepositories();
+        const orderData = await orders.get(orderId);
+        if (orderData) {
+          order = orderData;
+          userId = getOrderUserId(orderData);
+          logger.info('Found order from payload reference', { orderId, userId: userId || null });
+
+          // Also check if billcode matches or needs to be updated
+          if (billcode && !orderData.billcode && !orderData.billCode) {
+            logger.info('Backfilling billcode on order', { orderId, billcode });
+            await orders.update(orderId, { billcode });
+          }
+        } else {
+          logger.warn('Order from payload reference not found', { orderId });
+        }
+      } catch (fetchError) {
+        logger.error('Error fetching order', { orderId, err: fetchError });
+      }
+    }
+  }
+
+  return { order, orderId, userId };
+}
+
+// Verifies the amount of a successful payment, stores it and moves the order on.
+// Shared by the callback handler and the reconciler so both apply the same rules.
+export async function applyPayment(paymentData, order, userId) {
+  const orderId = order.id;
+  const status = normaliseStatus(paymentData.status);
+
+  if (status === 'success') {
+    const expectedAmount = getOrderTotal(order);
+    const paidAmount = toSen(paymentData.amount);
+    const reason = expectedAmount === null
+      ? 'order_total_missing'
+      : paidAmount === null || paidAmount < expectedAmount
+        ? 'amount_underpaid'
+        : null;
+
+    if (reason) {
+      const reviewId = await savePaymentForReview(paymentData, reason, {
+        orderId,
+        userId,
+        expectedAmount: expectedAmount === null ? null : expectedAmount / 100,
+        paidAmount: paidAmount === null ? null : paidAmount / 100
+      });
+      await getRepositories().orders.update(orderId, {
+        paymentReview: {
+          reviewId,
+          reason,
+          flaggedAt: now().toISOString()
+        }
+      });
+      return { outcome: 'review', reason, reviewId };
+    }
+  }
+
+  const { record, duplicate } = await savePaymentRecord(paymentData, orderId, userId);
+  if (duplicate) {
+    return { outcome: 'duplicate', record };
+  }
+
+  // Reconciler and expiry runs tag paymentData.source; anything else came in on a callback.
+  const actor = paymentData.source
+    ? { type: 'scheduler', id: paymentData.source }
+    : { type: 'callback', id: paymentData.provider || null };
+
+  let orderUpdate = null;
+  if (status === 'success') {
+    orderUpdate = await updateOrderStatus(orderId, 'success', {
+      paymentId: record.paymentId,
+      billcode: paymentData.billcode,
+      paymentDetails: {
+        transactionId: record.transactionId,
+        method: record.paymentMethod,
+        amount: record.amount,
+        confirmedAt: now().toISOString()
+      }
+    }, { actor, reason: 'payment_succeeded', paymentId: record.paymentId });
+    if (orderUpdate.applied) {
+      if (orderUpdate.from === 'EXPIRED') {
+        // A late payment for an expired order's bill: keep it and put the order back in the queue.
+        logger.warn('Expired order reopened by late payment', { orderId, paymentId: record.paymentId });
+        await getRepositories().orders.update(orderId, { reopenedAt: now().toISOString() });
+      }
+      await redeemVoucher(order, record);
+      // The new job joins the production queue; give the customer an ETA straight away.
+      await refreshEstimates();
+    }
+  } else if (status === 'failed') {
+    orderUpdate = await updateOrderStatus(orderId, 'failed', {
+      paymentId: record.paymentId,
+      billcode: paymentData.billcode,
+      paymentDetails: {
+        transactionId: record.transactionId,
+        method: record.paymentMethod,
+        amount: record.amount,
+        failedAt: now().toISOString()
+      }
+    }, { actor, reason: 'payment_failed', paymentId: record.paymentId });
+    if (orderUpdate.applied) {
+      await releaseVoucher(order, 'payment_failed');
+    }
+  }
+
+  return { outcome: 'saved', record, orderUpdate };
+}
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import express from 'express';
+import QRCode from 'qrcode';
+import { logger } from './logger.js';
+import { requireAuth } from './auth.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Pickup verification
+// -----------------------------------------------------------------------------
+// When an order reaches COMPLETED it gets a one-time pickup code. The customer
+// shows the code (or its QR) at the counter; staff scan it and the order is
+// marked collected. A used or expired code is refused.
+//
+// orders/{orderId}/pickup   { status: 'ready'|'collected', code, qrCode (PNG data URL),
+//                             issuedAt, expiresAt, collectedAt, collectedBy }
+//
+// The QR carries "tinta-pickup:{orderId}:{code}" so the scanner needs no lookup
+// table; staff typing a code by hand send orderId and code instead.
+
+const router = express.Router();
+export const pickupAdminApi = express.Router();
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const QR_PREFIX = 'tinta-pickup';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pickupError(status, message, details = {}) {
+  return Object.assign(new Error(message), { status, details });
+}
+
+// Read lazily so values loaded by dotenv in the entry point are picked up.
+function codeTtlDays() {
+  return Number(process.env.PICKUP_CODE_TTL_DAYS) || 30;
+}
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Codes are shown as ABCD-EFGH; staff may type them with or without the dash.
+export function formatPickupCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function normaliseCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function pickupPayload(orderId, code) {
+  return `${QR_PREFIX}:${orderId}:${code}`;
+}
+
+// Accepts a scanned QR payload or { orderId, code } typed at the counter.
+export function parsePickupInput({ payload, orderId, code } = {}) {
+  if (payload) {
+    const [prefix, scannedOrderId, scannedCode, ...rest] = String(payload).trim().split(':');
+    if (prefix !== QR_PREFIX || !scannedOrderId || !scannedCode || rest.length) {
+      throw pickupError(400, 'Not a Tinta pickup code');
+    }
+    return { orderId: scannedOrderId, code: normaliseCode(scannedCode) };
+  }
+  if (!orderId || !code) {
+    throw pickupError(400, 'payload or orderId and code are required');
+  }
+  return { orderId: String(orderId), code: normaliseCode(code) };
+}
+
+function codesMatch(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function isLive(pickup, at = now()) {
+  return pickup?.status === 'ready' && Date.parse(pickup.expiresAt) > at.getTime();
+}
+
+// Legacy orders may carry the lowercase admin status.
+function isCompleted(order) {
+  return String(order?.status || '').toUpperCase() === 'COMPLETED';
+}
+
+function ownerOf(order) {
+  return order.userId || order.userID || order.customerId || order.customerID || null;
+}
+
+// Issues a code unless the order already has a live one or has been collected.
+// Called by updateOrderStatus when an order becomes COMPLETED, and again when
+// the owner asks for a code that has expired.
+export async function issuePickupCode(orderId) {
+  const { orders } = getRepositories();
+  const existing = await orders.get(orderId);
+  if (!existing || existing.pickup?.status === 'collected' || isLive(existing.pickup)) {
+    return existing?.pickup || null;
+  }
+
+  const code = generateCode();
+  const issuedAt = now();
+  const pickup = {
+    status: 'ready',
+    code,
+    qrCode: await QRCode.toDataURL(pickupPayload(orderId, code), { errorCorrectionLevel: 'M', margin: 2, width: 320 }),
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + codeTtlDays() * DAY_MS).toISOString()
+  };
+
+  const result = await orders.transaction(orderId, current => {
+    if (current === null) {
+      return current;
+    }
+    if (current.pickup?.status === 'collected' || isLive(current.pickup)) {
+      return;
+    }
+    return { ...current, pickup };
+  });
+  if (!result.committed) {
+    return result.value?.pickup || null;
+  }
+  logger.info('Pickup code issued', { orderId, expiresAt: pickup.expiresAt });
+  return pickup;
+}
+
+// Checks a scanned or typed code and marks the order collected by the staff
+// member handing it over. Each code works once.
+export async function collectOrder(input, staff) {
+  const { orderId, code } = parsePickupInput(input);
+  let failure = null;
+  let collected = null;
+
+  const result = await getRepositories().orders.transaction(orderId, current => {
+    failure = null;
+    if (current === null) {
+      failure = pickupError(404, `Order ${orderId} not found`);
+      return current;
+    }
+    const pickup = current.pickup;
+    if (!pickup?.code || !codesMatch(pickup.code, code)) {
+      failure = pickupError(400, 'Pickup code does not match this order', { reason: 'code_mismatch' });
+      return;
+    }
+    if (pickup.status === 'collected') {
+      failure = pickupError(409, `Order ${orderId} was already collected`, {
+        reason: 'code_used',
+        collectedAt: pickup.collectedAt,
+        collectedBy: pickup.collectedBy
+      });
+      return;
+    }
+    if (!isLive(pickup)) {
+      failure = pickupError(410, 'Pickup code has expired; ask the customer to refresh it in the app', {
+        reason: 'code_expired',
+        expiresAt: pickup.expiresAt
+      });
+      return;
+    }
+
+    collected = {
+      ...pickup,
+      status: 'collected',
+      collectedAt: now().toISOString(),
+      collectedBy: { uid: staff.uid, name: staff.email || staff.uid }
+    };
+    return { ...current, pickup: collected };
+  });
+
+  if (failure) {
+    logger.warn('Pickup code rejected', { orderId, by: staff.uid, reason: failure.details.reason || 'order_not_found' });
+    throw failure;
+  }
+  logger.info('Order collected', { orderId, by: staff.uid });
+  return { id: orderId, ...result.value, pickup: collected };
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+  }
+  logger.error(`Error ${context}`, { err: error });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// The owner's code and QR, reissued if the last one expired before collection.
+router.get('/orders/:id/pickup-code', requireAuth, async (req, res) => {
+  try {
+    if (!repositoriesAvailable()) {
+      throw new Error('Firebase Admin is not initialised. Set service credentials.');
+    }
+
+    const orderId = req.params.id;
+    const order = await getRepositories().orders.get(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order ${orderId} not found` });
+    }
+    if (ownerOf(order) !== req.user.uid) {
+      return res.status(403).json({ success: false, error: 'You can only view pickup codes for your own orders' });
+    }
+    if (!isCompleted(order)) {
+      return res.status(409).json({ success: false, error: `Order ${orderId} is not ready for pickup yet` });
+    }
+
+    const pickup = await issuePickupCode(orderId);
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      success: true,
+      orderId,
+      status: pickup.status,
+      code: pickup.status === 'ready' ? formatPickupCode(pickup.code) : null,
+      qrCode: pickup.status === 'ready' ? pickup.qrCode : null,
+      expiresAt: pickup.expiresAt,
+      collectedAt: pickup.collectedAt || null
+    });
+  } catch (error) {
+    return sendError(res, error, 'loading pickup code');
+  }
+});
+
+// Mounted behind requireAdmin by admin-api.js.
+// Body: { payload } from the scanner, or { orderId, code } typed by hand.
+pickupAdminApi.post('/admin/pickup/collect', async (req, res) => {
+  try {
+    const order = await collectOrder(req.body || {}, req.user);
+    return res.json({
+      success: true,
+      orderId: order.id,
+      customerName: order.customerName || order.name || null,
+      collectedAt: order.pickup.collectedAt,
+      collectedBy: order.pickup.collectedBy
+    });
+  } catch (error) {
+    return sendError(res, error, 'collecting order');
+  }
+});
+
+export default router;
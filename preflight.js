@@ -0,0 +1,88 @@
+import { PDFDocument } from 'pdf-lib';
+
+// -----------------------------------------------------------------------------
+// Print file preflight
+// -----------------------------------------------------------------------------
+
+const POINTS_PER_MM = 72 / 25.4;
+const SIZE_TOLERANCE_MM = 3;
+
+// Portrait dimensions in millimetres
+export const PAPER_SIZES = {
+  A3: [297, 420],
+  A4: [210, 297],
+  A5: [148, 210],
+  Letter: [216, 279],
+  Legal: [216, 356]
+};
+
+export const FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', magic: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  'image/png': { extension: '.png', magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  'image/jpeg': { extension: '.jpg', magic: [0xff, 0xd8, 0xff] }
+};
+
+// Trust the file's own signature bytes rather than the client-declared MIME type.
+export function detectFileType(head) {
+  if (!head) {
+    return null;
+  }
+  const match = Object.entries(FILE_TYPES).find(([, { magic }]) =>
+    head.length >= magic.length && magic.every((byte, index) => head[index] === byte));
+  return match ? match[0] : null;
+}
+
+export function matchPaperSize(widthMm, heightMm) {
+  const [shortSide, longSide] = widthMm < heightMm ? [widthMm, heightMm] : [heightMm, widthMm];
+  const match = Object.entries(PAPER_SIZES).find(([, [w, h]]) =>
+    Math.abs(shortSide - w) <= SIZE_TOLERANCE_MM && Math.abs(longSide - h) <= SIZE_TOLERANCE_MM);
+  return match ? match[0] : null;
+}
+
+export async function analysePdf(bytes) {
+  const document = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  const pages = document.getPages();
+  const sizes = new Map();
+
+  pages.forEach(page => {
+    let { width, height } = page.getSize();
+    if (page.getRotation().angle % 180 !== 0) {
+      [width, height] = [height, width];
+    }
+    const widthMm = Math.round(width / POINTS_PER_MM);
+    const heightMm = Math.round(height / POINTS_PER_MM);
+    const key = `${widthMm}x${heightMm}`;
+
+    if (!sizes.has(key)) {
+      sizes.set(key, {
+        widthMm,
+        heightMm,
+        orientation: widthMm > heightMm ? 'landscape' : 'portrait',
+        paperSize: matchPaperSize(widthMm, heightMm),
+        pages: 0
+      });
+    }
+    sizes.get(key).pages += 1;
+  });
+
+  const pageSizes = [...sizes.values()];
+  const warnings = [];
+  if (pages.length === 0) {
+    warnings.push('PDF has no pages');
+  }
+  if (pageSizes.length > 1) {
+    warnings.push('PDF mixes page sizes');
+  }
+  if (pageSizes.some(size => !size.paperSize)) {
+    warnings.push('PDF contains non-standard page sizes');
+  }
+  if (document.isEncrypted) {
+    warnings.push('PDF is encrypted');
+  }
+
+  return {
+    pageCount: pages.length,
+    pageSizes,
+    warnings
+  };
+}
@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { toSen } from './toyyibpay.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Print pricing
+// -----------------------------------------------------------------------------
+// The price table lives at pricing/priceTable. Prices are in ringgit:
+//
+// {
+//   currency: 'MYR',
+//   paper: {                                   price per printed side
+//     A4: { plain: { mono: 0.10, colour: 0.50 }, glossy: { mono: 0.30, colour: 1.00 } },
+//     A3: { plain: { mono: 0.20, colour: 1.00 } }
+//   },
+//   doubleSidedDiscount: 0.1,                  fraction off printing when double-sided
+//   finishing: {
+//     binding: { staple: 0.20, comb: 3.00 },   per copy
+//     lamination: { matte: 1.00 }              per sheet, per copy
+//   }
+// }
+
+const MAX_COPIES = 1000;
+
+function pricingError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function fromSen(sen) {
+  return Math.round(sen) / 100;
+}
+
+function lineItem(code, description, quantity, unitSen) {
+  return {
+    code,
+    description,
+    quantity,
+    unitPrice: fromSen(unitSen),
+    amount: fromSen(quantity * unitSen)
+  };
+}
+
+export function validatePriceTable(table) {
+  if (!table || typeof table !== 'object' || !table.paper || typeof table.paper !== 'object') {
+    throw pricingError('Price table must define paper prices');
+  }
+  Object.entries(table.paper).forEach(([size, types]) => {
+    Object.entries(types || {}).forEach(([type, modes]) => {
+      Object.entries(modes || {}).forEach(([mode, price]) => {
+        if (toSen(price) === null || toSen(price) < 0) {
+          throw pricingError(`Invalid price for ${size}/${type}/${mode}`);
+        }
+      });
+    });
+  });
+  Object.entries(table.finishing || {}).forEach(([kind, choices]) => {
+    if (!choices || typeof choices !== 'object') {
+      throw pricingError(`Finishing ${kind} must map each option to a price`);
+    }
+    // toSen() would price a missing or non-numeric entry at nothing, so demand a number.
+    Object.entries(choices).forEach(([choice, price]) => {
+      if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+        throw pricingError(`Invalid price for finishing ${kind}/${choice}`);
+      }
+    });
+  });
+  const discount = Number(table.doubleSidedDiscount ?? 0);
+  if (!(discount >= 0 && discount < 1)) {
+    throw pricingError('doubleSidedDiscount must be between 0 and 1');
+  }
+  return table;
+}
+
+// Pure price calculation: every amount is worked out in sen and only converted for display.
+export function calculatePrice(table, options) {
+  const paperSize = String(options.paperSize || '').trim();
+  const paperType = String(options.paperType || '').trim();
+  const colour = options.colour === 'colour' || options.colour === 'color' ? 'colour' : 'mono';
+  const doubleSided = options.sides === 'double' || options.doubleSided === true;
+  const copies = Number(options.copies ?? 1);
+  const pageCount = Number(options.pageCount);
+  const binding = options.finishing?.binding || 'none';
+  const lamination = options.finishing?.lamination || 'none';
+
+  if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+    throw pricingError(`copies must be a whole number between 1 and ${MAX_COPIES}`);
+  }
+  if (!Number.isInteger(pageCount) || pageCount < 1) {
+    throw pricingError('pageCount must be a whole number of at least 1');
+  }
+
+  const rate = table.paper?.[paperSize]?.[paperType]?.[colour];
+  if (rate === undefined) {
+    throw pricingError(`No price for ${paperSize || '?'} ${paperType || '?'} ${colour}`);
+  }
+
+  const sheets = doubleSided ? Math.ceil(pageCount / 2) : pageCount;
+  const lineItems = [
+    lineItem('printing', `${paperSize} ${paperType} ${colour}, ${pageCount} page(s) × ${copies} copy(ies)`, pageCount * copies, toSen(rate))
+  ];
+  let totalSen = pageCount * copies * toSen(rate);
+
+  if (doubleSided && table.doubleSidedDiscount) {
+    const discountSen = -Math.round(totalSen * Number(table.doubleSidedDiscount));
+    lineItems.push(lineItem('double_sided_discount', 'Double-sided discount', 1, discountSen));
+    totalSen += discountSen;
+  }
+
+  if (binding !== 'none') {
+    const price = table.finishing?.binding?.[binding];
+    if (price === undefined) {
+      throw pricingError(`Unknown binding option ${binding}`);
+    }
+    lineItems.push(lineItem('binding', `${binding} binding`, copies, toSen(price)));
+    totalSen += copies * toSen(price);
+  }
+
+  if (lamination !== 'none') {
+    const price = table.finishing?.lamination?.[lamination];
+    if (price === undefined) {
+      throw pricingError(`Unknown lamination option ${lamination}`);
+    }
+    lineItems.push(lineItem('lamination', `${lamination} lamination, ${sheets} sheet(s) × ${copies} copy(ies)`, sheets * copies, toSen(price)));
+    totalSen += sheets * copies * toSen(price);
+  }
+
+  return {
+    options: {
+      paperSize,
+      paperType,
+      colour,
+      sides: doubleSided ? 'double' : 'single',
+      copies,
+      pageCount,
+      sheets,
+      finishing: { binding, lamination }
+    },
+    lineItems,
+    totalSen,
+    total: fromSen(totalSen),
+    currency: table.currency || 'MYR'
+  };
+}
+
+export async function loadPriceTable() {
+  if (!repositoriesAvailable()) {
+    throw new Error('Firebase database is not available');
+  }
+  return getRepositories().pricing.getPriceTable();
+}
+
+export async function savePriceTable(table, updatedBy) {
+  validatePriceTable(table);
+  const record = {
+    ...table,
+    updatedAt: now().toISOString(),
+    updatedBy: updatedBy || null
+  };
+  await getRepositories().pricing.savePriceTable(record);
+  return record;
+}
+
+// -----------------------------------------------------------------------------
+// Signed quotes
+// -----------------------------------------------------------------------------
+
+function getSigningSecret() {
+  const secret = process.env.QUOTE_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('QUOTE_SIGNING_SECRET is not configured');
+  }
+  return secret;
+}
+
+// Firebase drops null values and empty objects and may hand arrays back as objects
+// keyed by index, so nested fields are signed in a form that survives the round
+// trip: keys sorted, empty values left out, arrays treated as index-keyed objects.
+function canonical(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  const entries = Object.keys(value)
+    .sort()
+    .map(key => [key, canonical(value[key])])
+    .filter(([, entry]) => entry !== undefined);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
+
+// The print job (options and line items) is signed with the price, so neither can
+// be edited on the order afterwards. Discounted quotes also sign the voucher, so a
+// code cannot be swapped on the order.
+function quoteSignature(quote, secret) {
+  const fields = [
+    quote.quoteId,
+    quote.orderId || '',
+    quote.totalSen,
+    quote.currency,
+    quote.createdAt,
+    quote.expiresAt,
+    JSON.stringify(canonical(quote.options) ?? null),
+    JSON.stringify(canonical(quote.lineItems) ?? null)
+  ];
+  if (quote.discount) {
+    fields.push(quote.discount.code, quote.discount.amountSen, quote.subtotalSen);
+  }
+  return crypto.createHmac('sha256', secret).update(fields.join('|')).digest('hex');
+}
+
+// ttlHours comes from config (quoteTtlHours).
+export function createQuote(table, options, orderId, ttlHours) {
+  const price = calculatePrice(table, options);
+  const createdAt = now();
+  const quote = {
+    quoteId: `QT-${crypto.randomUUID()}`,
+    orderId: orderId || null,
+    ...price,
+    priceTableUpdatedAt: table.updatedAt || null,
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + ttlHours * 60 * 60 * 1000).toISOString()
+  };
+  quote.signature = quoteSignature(quote, getSigningSecret());
+  return quote;
+}
+
+export function verifyQuote(quote, orderId) {
+  if (!quote || !quote.signature || (orderId && quote.orderId !== orderId)) {
+    return false;
+  }
+  const secret = process.env.QUOTE_SIGNING_SECRET;
+  if (!secret) {
+    return false;
+  }
+  const expected = quoteSignature(quote, secret);
+  return expected.length === quote.signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(quote.signature));
+}
+
+// Re-signs a stamped quote with a voucher discount ({ code, amountSen }), or
+// without one when discount is null. The caller must have verified the quote.
+export function discountQuote(quote, discount) {
+  const { subtotalSen, ...rest } = quote;
+  delete rest.discount;
+  const baseSen = subtotalSen ?? quote.totalSen;
+  const lineItems = Object.values(quote.lineItems || {}).filter(item => item.code !== 'voucher');
+
+  const next = discount
+    ? {
+      ...rest,
+      lineItems: [...lineItems, lineItem('voucher', `Voucher ${discount.code}`, 1, -discount.amountSen)],
+      subtotalSen: baseSen,
+      discount: { code: discount.code, amountSen: discount.amountSen, amount: fromSen(discount.amountSen) },
+      totalSen: baseSen - discount.amountSen,
+      total: fromSen(baseSen - discount.amountSen)
+    }
+    : { ...rest, lineItems, totalSen: baseSen, total: fromSen(baseSen) };
+  next.signature = quoteSignature(next, getSigningSecret());
+  return next;
+}
+
+export function isQuoteExpired(quote, at = now()) {
+  return !quote?.expiresAt || Date.parse(quote.expiresAt) <= at.getTime();
+}
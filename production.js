@@ -0,0 +1,517 @@
+import express from 'express';
+import { logger, withLogContext } from './logger.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { PRODUCTION_STAGES, resolveOrderStatus, staffActor, updateOrderStatus } from './order-status.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Production queue
+// -----------------------------------------------------------------------------
+// Paid orders wait here until staff print them: PAID -> PROCESSING (claimed)
+// -> PRINTING -> COMPLETED.
+//
+// orders/{orderId}/production            { priority, stationId, assignee, claimedAt,
+//                                          stages: { PROCESSING|PRINTING: { startedAt, finishedAt, ... } } }
+//                                          (stages are stamped by updateOrderStatus)
+// orders/{orderId}/estimatedReadyAt      ETA shown to the customer, with queuePosition
+// production/stations/{stationId}        { name, active, pagesPerMinute, setupMinutes }
+//
+// ETAs come from replaying the queue across the active stations: each job takes
+// setup time plus its printed pages at the station's speed, counted only inside
+// PRODUCTION_HOURS (e.g. "09:00-18:00", Malaysia time; unset means around the clock).
+
+const router = express.Router();
+
+export const QUEUE_STATUSES = ['PAID', ...PRODUCTION_STAGES];
+export const PRIORITIES = ['rush', 'normal', 'low'];
+const NEXT_STAGE = { PAID: 'PROCESSING', PROCESSING: 'PRINTING', PRINTING: 'COMPLETED' };
+const BUSINESS_UTC_OFFSET_MINUTES = 8 * 60;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const DEFAULT_STATION_ID = 'default';
+
+function productionError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Read lazily so values loaded by dotenv in the entry point are picked up.
+export function getProductionSettings(env = process.env) {
+  return {
+    pagesPerMinute: Number(env.PRODUCTION_PAGES_PER_MINUTE) || 20,
+    setupMinutes: Number(env.PRODUCTION_SETUP_MINUTES ?? 5) || 0,
+    hours: parseProductionHours(env.PRODUCTION_HOURS)
+  };
+}
+
+// "09:00-18:00" -> { open: 540, close: 1080 } in minutes after midnight; null for around the clock.
+export function parseProductionHours(value) {
+  if (!value) {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`PRODUCTION_HOURS must look like 09:00-18:00 (got "${value}")`);
+  }
+  const [, openHour, openMinute, closeHour, closeMinute] = match.map(Number);
+  const open = openHour * 60 + openMinute;
+  const close = closeHour * 60 + closeMinute;
+  if (openMinute > 59 || closeMinute > 59 || close > DAY_MINUTES || open >= close) {
+    throw new Error(`PRODUCTION_HOURS must be an opening time before a closing time (got "${value}")`);
+  }
+  return { open, close };
+}
+
+// ---------------------------------------------------------------------------
+// Estimates
+// ---------------------------------------------------------------------------
+
+// Adds working minutes to a Date, skipping time outside production hours.
+export function addWorkingMinutes(start, minutes, hours) {
+  if (!hours) {
+    return new Date(start.getTime() + minutes * MINUTE_MS);
+  }
+
+  let at = start.getTime();
+  let remaining = minutes;
+  for (;;) {
+    const localMinutes = Math.floor(at / MINUTE_MS) + BUSINESS_UTC_OFFSET_MINUTES;
+    const minuteOfDay = ((localMinutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+    const dayStart = at - minuteOfDay * MINUTE_MS - (at % MINUTE_MS);
+
+    if (minuteOfDay < hours.open) {
+      at = dayStart + hours.open * MINUTE_MS;
+      continue;
+    }
+    if (minuteOfDay >= hours.close) {
+      at = dayStart + (DAY_MINUTES + hours.open) * MINUTE_MS;
+      continue;
+    }
+
+    const available = hours.close - minuteOfDay;
+    if (remaining <= available) {
+      return new Date(at + remaining * MINUTE_MS);
+    }
+    remaining -= available;
+    at = dayStart + (DAY_MINUTES + hours.open) * MINUTE_MS;
+  }
+}
+
+// Printed pages: quoted jobs know their page count and copies; app-built orders
+// fall back to item quantities.
+export function jobPages(order) {
+  const options = order.quote?.options;
+  if (options?.pageCount) {
+    return Number(options.pageCount) * (Number(options.copies) || 1);
+  }
+  if (order.items && typeof order.items === 'object') {
+    return Object.values(order.items)
+      .reduce((sum, item) => sum + (Number(item.pageCount) || 1) * (Number(item.quantity ?? item.copies) || 1), 0) || 1;
+  }
+  return 1;
+}
+
+function jobMinutes(order, station, settings) {
+  const pagesPerMinute = Number(station.pagesPerMinute) || settings.pagesPerMinute;
+  const setupMinutes = Number(station.setupMinutes ?? settings.setupMinutes) || 0;
+  return setupMinutes + jobPages(order) / pagesPerMinute;
+}
+
+function paidAt(order) {
+  return order.paymentDetails?.confirmedAt || order.updatedAt || order.createdAt || '';
+}
+
+function priorityRank(order) {
+  const rank = PRIORITIES.indexOf(order.production?.priority);
+  return rank === -1 ? PRIORITIES.indexOf('normal') : rank;
+}
+
+// Jobs already on a press come first, then by priority, then oldest payment.
+export function sortQueue(orders) {
+  const stageRank = order => (resolveOrderStatus(order.status) === 'PAID' ? 1 : 0);
+  return [...orders].sort((a, b) =>
+    stageRank(a) - stageRank(b) ||
+    priorityRank(a) - priorityRank(b) ||
+    (paidAt(a) < paidAt(b) ? -1 : paidAt(a) > paidAt(b) ? 1 : 0));
+}
+
+// Replays the queue across the active stations and returns one entry per job:
+// { order, position, stationId, minutes, startAt, readyAt }. A job pinned to a
+// station waits for that station; the rest go to whichever frees up first.
+export function estimateQueue(orders, stations, { at = now(), settings = getProductionSettings() } = {}) {
+  const active = stations.filter(station => station.active !== false);
+  const lanes = (active.length ? active : [{ id: DEFAULT_STATION_ID, name: 'Default' }])
+    .map(station => ({ station, freeAt: at }));
+
+  return sortQueue(orders).map((order, index) => {
+    const pinned = lanes.find(lane => lane.station.id === order.production?.stationId);
+    const lane = pinned || lanes.reduce((best, candidate) => (candidate.freeAt < best.freeAt ? candidate : best));
+
+    let minutes = jobMinutes(order, lane.station, settings);
+    const stage = resolveOrderStatus(order.status);
+    const startedAt = Date.parse(order.production?.stages?.[stage]?.startedAt || '');
+    if (stage !== 'PAID' && !Number.isNaN(startedAt)) {
+      // Work already done is taken off, but a job never looks finished until someone says so.
+      minutes = Math.max(minutes - (at.getTime() - startedAt) / MINUTE_MS, 1);
+    }
+
+    const startAt = lane.freeAt;
+    const readyAt = addWorkingMinutes(startAt, minutes, settings.hours);
+    lane.freeAt = readyAt;
+    return {
+      order,
+      position: index + 1,
+      stationId: lane.station.id,
+      minutes: Math.round(minutes),
+      startAt,
+      readyAt
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+export async function loadStations() {
+  if (!repositoriesAvailable()) {
+    return [];
+  }
+  return getRepositories().stations.list();
+}
+
+export async function loadQueue() {
+  const [orders, stations] = await Promise.all([
+    getRepositories().orders.listByStatus(QUEUE_STATUSES),
+    loadStations()
+  ]);
+  return { jobs: estimateQueue(orders, stations), stations };
+}
+
+// Writes each queued order's ETA and position where they changed. Never throws:
+// callers are payment and staff actions that have already succeeded.
+export async function refreshEstimates() {
+  try {
+    const { orders } = getRepositories();
+    const { jobs } = await loadQueue();
+    let updated = 0;
+    for (const { order, position, readyAt } of jobs) {
+      const estimatedReadyAt = readyAt.toISOString();
+      if (order.estimatedReadyAt !== estimatedReadyAt || order.queuePosition !== position) {
+        await orders.update(order.id, { estimatedReadyAt, queuePosition: position });
+        updated += 1;
+      }
+    }
+    logger.debug('Production estimates refreshed', { jobs: jobs.length, updated });
+    return { jobs: jobs.length, updated };
+  } catch (error) {
+    logger.error('Failed to refresh production estimates', { err: error });
+    return null;
+  }
+}
+
+export function startProductionEstimateWorker(intervalMinutes) {
+  const interval = Number(intervalMinutes);
+  if (!repositoriesAvailable() || !Number.isFinite(interval) || interval <= 0) {
+    return null;
+  }
+  const timer = setInterval(() => {
+    withLogContext({ job: 'production-estimates' }, refreshEstimates);
+  }, interval * MINUTE_MS);
+  timer.unref();
+  return timer;
+}
+
+function actorOf(user) {
+  return { uid: user.uid, name: user.email || user.uid };
+}
+
+// Claims (or re-assigns with force) an order for the calling staff member and
+// starts PROCESSING if it has not started yet.
+export async function claimJob(orderId, user, { stationId = null, force = false } = {}) {
+  if (stationId) {
+    const stations = await loadStations();
+    if (!stations.some(station => station.id === stationId)) {
+      throw productionError(400, `Unknown station ${stationId}`);
+    }
+  }
+
+  let failure = null;
+  const result = await getRepositories().orders.transaction(orderId, current => {
+    failure = null;
+    if (current === null) {
+      failure = productionError(404, `Order ${orderId} not found`);
+      return current;
+    }
+    if (!QUEUE_STATUSES.includes(resolveOrderStatus(current.status))) {
+      failure = productionError(409, `Order ${orderId} is ${resolveOrderStatus(current.status)}, not in the production queue`);
+      return;
+    }
+    const holder = current.production?.assignee;
+    if (holder && holder.uid !== user.uid && !force) {
+      failure = productionError(409, `Order ${orderId} is already claimed by ${holder.name || holder.uid}`);
+      return;
+    }
+    return {
+      ...current,
+      production: {
+        ...(current.production || {}),
+        assignee: actorOf(user),
+        stationId: stationId || current.production?.stationId || null,
+        claimedAt: now().toISOString()
+      }
+    };
+  });
+  if (failure) {
+    throw failure;
+  }
+
+  let order = result.value ? { id: orderId, ...result.value } : null;
+  if (resolveOrderStatus(order.status) === 'PAID') {
+    const outcome = await updateOrderStatus(orderId, 'PROCESSING', { statusUpdatedBy: actorOf(user).name }, {
+      actor: staffActor(user),
+      reason: 'production_claimed'
+    });
+    // 'unchanged' means a concurrent claim already started it.
+    if (!outcome.applied && outcome.reason !== 'unchanged') {
+      throw productionError(409, `Order ${orderId} could not move to PROCESSING: ${outcome.reason}`);
+    }
+    order = await getRepositories().orders.get(orderId);
+  }
+  logger.info('Production job claimed', { orderId, by: user.uid, stationId: order.production?.stationId || null });
+  return order;
+}
+
+export async function releaseJob(orderId, user, { force = false } = {}) {
+  let failure = null;
+  const result = await getRepositories().orders.transaction(orderId, current => {
+    failure = null;
+    if (current === null) {
+      failure = productionError(404, `Order ${orderId} not found`);
+      return current;
+    }
+    const holder = current.production?.assignee;
+    if (holder && holder.uid !== user.uid && !force) {
+      failure = productionError(409, `Order ${orderId} is claimed by ${holder.name || holder.uid}`);
+      return;
+    }
+    const { assignee, claimedAt, ...production } = current.production || {};
+    return { ...current, production };
+  });
+  if (failure) {
+    throw failure;
+  }
+  logger.info('Production job released', { orderId, by: user.uid });
+  return { id: orderId, ...result.value };
+}
+
+// Moves a claimed job to its next stage. Only the assignee may, unless forced.
+export async function advanceJob(orderId, user, { force = false } = {}) {
+  const { orders } = getRepositories();
+  const order = await orders.get(orderId);
+  if (!order) {
+    throw productionError(404, `Order ${orderId} not found`);
+  }
+  const status = resolveOrderStatus(order.status);
+  const next = NEXT_STAGE[status];
+  if (!next) {
+    throw productionError(409, `Order ${orderId} is ${status}, not in the production queue`);
+  }
+  const holder = order.production?.assignee;
+  if (status !== 'PAID' && !force && (!holder || holder.uid !== user.uid)) {
+    throw productionError(409, holder ? `Order ${orderId} is claimed by ${holder.name || holder.uid}` : `Claim order ${orderId} first`);
+  }
+  if (status === 'PAID') {
+    return claimJob(orderId, user, { force });
+  }
+
+  const extra = { statusUpdatedBy: actorOf(user).name };
+  if (next === 'COMPLETED') {
+    extra.estimatedReadyAt = null;
+    extra.queuePosition = null;
+  }
+  const outcome = await updateOrderStatus(orderId, next, extra, { actor: staffActor(user), reason: 'production_advanced' });
+  if (!outcome.applied) {
+    throw productionError(409, `Order ${orderId} could not move to ${next}: ${outcome.reason}`);
+  }
+  return orders.get(orderId);
+}
+
+export async function updateJob(orderId, { priority, stationId } = {}) {
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    throw productionError(400, `priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+  if (stationId) {
+    const stations = await loadStations();
+    if (!stations.some(station => station.id === stationId)) {
+      throw productionError(400, `Unknown station ${stationId}`);
+    }
+  }
+
+  let failure = null;
+  const result = await getRepositories().orders.transaction(orderId, current => {
+    failure = null;
+    if (current === null) {
+      failure = productionError(404, `Order ${orderId} not found`);
+      return current;
+    }
+    if (!QUEUE_STATUSES.includes(resolveOrderStatus(current.status))) {
+      failure = productionError(409, `Order ${orderId} is not in the production queue`);
+      return;
+    }
+    const production = { ...(current.production || {}) };
+    if (priority !== undefined) {
+      production.priority = priority;
+    }
+    if (stationId !== undefined) {
+      production.stationId = stationId || null;
+    }
+    return { ...current, production };
+  });
+  if (failure) {
+    throw failure;
+  }
+  return { id: orderId, ...result.value };
+}
+
+export async function saveStation(stationId, { name, active = true, pagesPerMinute = null, setupMinutes = null }) {
+  if (!/^[\w-]{1,64}$/.test(stationId || '')) {
+    throw productionError(400, 'stationId may only contain letters, numbers, _ and -');
+  }
+  if (!name || typeof name !== 'string') {
+    throw productionError(400, 'name is required');
+  }
+  [['pagesPerMinute', pagesPerMinute, 0], ['setupMinutes', setupMinutes, -1]].forEach(([field, value, floor]) => {
+    if (value !== null && !(Number(value) > floor)) {
+      throw productionError(400, `${field} must be a ${floor === 0 ? 'positive' : 'non-negative'} number`);
+    }
+  });
+
+  const station = {
+    name: name.trim(),
+    active: active !== false,
+    pagesPerMinute: pagesPerMinute === null ? null : Number(pagesPerMinute),
+    setupMinutes: setupMinutes === null ? null : Number(setupMinutes),
+    updatedAt: now().toISOString()
+  };
+  await getRepositories().stations.save(stationId, station);
+  return { id: stationId, ...station };
+}
+
+// ---------------------------------------------------------------------------
+// Routes (mounted behind requireAdmin by admin-api.js)
+// ---------------------------------------------------------------------------
+
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  logger.error(`Error ${context}`, { err: error });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function queueEntry({ order, position, stationId, minutes, startAt, readyAt }) {
+  const status = resolveOrderStatus(order.status);
+  return {
+    orderId: order.id,
+    position,
+    status,
+    priority: order.production?.priority || 'normal',
+    stationId,
+    pinnedStationId: order.production?.stationId || null,
+    assignee: order.production?.assignee || null,
+    claimedAt: order.production?.claimedAt || null,
+    stageStartedAt: order.production?.stages?.[status]?.startedAt || null,
+    paidAt: paidAt(order) || null,
+    customerName: order.customerName || order.name || null,
+    pages: jobPages(order),
+    estimatedMinutes: minutes,
+    estimatedStartAt: startAt.toISOString(),
+    estimatedReadyAt: readyAt.toISOString()
+  };
+}
+
+// GET /admin/production/queue?stationId=...&assignee=me
+router.get('/admin/production/queue', async (req, res) => {
+  try {
+    const { jobs, stations } = await loadQueue();
+    const entries = jobs
+      .map(queueEntry)
+      .filter(entry => !req.query.stationId || entry.stationId === req.query.stationId)
+      .filter(entry => req.query.assignee !== 'me' || entry.assignee?.uid === req.user.uid);
+    return res.json({ success: true, total: entries.length, jobs: entries, stations });
+  } catch (error) {
+    return sendError(res, error, 'loading production queue');
+  }
+});
+
+router.get('/admin/production/stations', async (req, res) => {
+  try {
+    return res.json({ success: true, stations: await loadStations() });
+  } catch (error) {
+    return sendError(res, error, 'loading production stations');
+  }
+});
+
+// Body: { name, active?, pagesPerMinute?, setupMinutes? }
+router.put('/admin/production/stations/:stationId', async (req, res) => {
+  try {
+    const station = await saveStation(req.params.stationId, req.body || {});
+    logger.info('Production station saved', { stationId: station.id, by: req.user.uid });
+    await refreshEstimates();
+    return res.json({ success: true, station });
+  } catch (error) {
+    return sendError(res, error, 'saving production station');
+  }
+});
+
+// Body: { stationId?, force? }
+router.post('/admin/production/:orderId/claim', async (req, res) => {
+  try {
+    const order = await claimJob(req.params.orderId, req.user, {
+      stationId: req.body?.stationId || null,
+      force: req.body?.force === true
+    });
+    await refreshEstimates();
+    return res.json({ success: true, order });
+  } catch (error) {
+    return sendError(res, error, 'claiming production job');
+  }
+});
+
+// Body: { force? }
+router.post('/admin/production/:orderId/release', async (req, res) => {
+  try {
+    const order = await releaseJob(req.params.orderId, req.user, { force: req.body?.force === true });
+    await refreshEstimates();
+    return res.json({ success: true, order });
+  } catch (error) {
+    return sendError(res, error, 'releasing production job');
+  }
+});
+
+// Body: { force? }
+router.post('/admin/production/:orderId/advance', async (req, res) => {
+  try {
+    const order = await advanceJob(req.params.orderId, req.user, { force: req.body?.force === true });
+    await refreshEstimates();
+    return res.json({ success: true, order });
+  } catch (error) {
+    return sendError(res, error, 'advancing production job');
+  }
+});
+
+// Body: { priority?, stationId? } (stationId null unpins the job)
+router.patch('/admin/production/:orderId', async (req, res) => {
+  try {
+    const order = await updateJob(req.params.orderId, {
+      priority: req.body?.priority,
+      stationId: req.body?.stationId
+    });
+    await refreshEstimates();
+    return res.json({ success: true, order });
+  } catch (error) {
+    return sendError(res, error, 'updating production job');
+  }
+});
+
+export default router;
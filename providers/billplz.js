@@ -0,0 +1,71 @@
+import { createBill, getBill, parseBillplzDate, verifyXSignature } from '../billplz.js';
+import { now } from '../clock.js';
+
+// -----------------------------------------------------------------------------
+// Billplz adapter
+// -----------------------------------------------------------------------------
+// Billplz identifies a payment by its bill ID, which doubles as our billcode.
+// Amounts are reported in sen and paid is the string "true" / "false".
+
+function normaliseStatus(status) {
+  const key = String(status ?? '').trim().toLowerCase();
+  if (key === 'true' || key === 'paid' || key === 'success') {
+    return 'success';
+  }
+  if (key === 'deleted' || key === 'failed') {
+    return 'failed';
+  }
+  return 'pending';
+}
+
+function billStatus(bill) {
+  return normaliseStatus(String(bill.paid) === 'true' ? 'paid' : bill.state);
+}
+
+function fromSen(value) {
+  const sen = Number(value);
+  return Number.isFinite(sen) ? sen / 100 : null;
+}
+
+function toPaymentData(bill, extra = {}) {
+  return {
+    provider: 'billplz',
+    billcode: String(bill.id || '').trim(),
+    status: billStatus(bill),
+    amount: fromSen(Number(bill.paid_amount) > 0 ? bill.paid_amount : bill.amount),
+    payment_method: 'billplz',
+    timestamp: parseBillplzDate(bill.paid_at) || now().toISOString(),
+    transaction_id: bill.transaction_id || bill.id,
+    order_id: bill.reference_1 || null,
+    raw: bill,
+    ...extra
+  };
+}
+
+function parseCallback(payload) {
+  return {
+    verification: verifyXSignature(payload),
+    paymentData: toPaymentData(payload, { signature: payload.x_signature })
+  };
+}
+
+async function queryStatus(billcode) {
+  const bill = await getBill(billcode);
+  const paymentData = toPaymentData(bill);
+  return paymentData.status === 'pending' ? null : paymentData;
+}
+
+// The Billplz bills API has no refunds; staff return the money by bank transfer.
+async function refund() {
+  return { supported: false };
+}
+
+export default {
+  name: 'billplz',
+  label: 'Billplz',
+  createBill,
+  parseCallback,
+  queryStatus,
+  refund,
+  normaliseStatus
+};
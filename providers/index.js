@@ -0,0 +1,34 @@
+import toyyibpay from './toyyibpay.js';
+import billplz from './billplz.js';
+
+// -----------------------------------------------------------------------------
+// Payment providers
+// -----------------------------------------------------------------------------
+// Every adapter exposes the same interface:
+//   createBill(bill)            -> { billcode, paymentUrl }
+//   parseCallback(payload)      -> { verification: { valid, reason }, paymentData }
+//   queryStatus(billcode)       -> paymentData for a settled payment, or null
+//   refund({ payment, amount }) -> { supported: false } | { reference }
+//   normaliseStatus(status)     -> 'success' | 'pending' | 'failed'
+// paymentData uses the field names payments.js stores (billcode, status,
+// amount, transaction_id, order_id, ...) plus the provider name.
+
+const PROVIDERS = {
+  [toyyibpay.name]: toyyibpay,
+  [billplz.name]: billplz
+};
+
+// Payments recorded before adapters existed carry no provider; they are ToyyibPay.
+export const LEGACY_PROVIDER = 'toyyibpay';
+
+export function getDefaultProviderName() {
+  return (process.env.PAYMENT_PROVIDER || LEGACY_PROVIDER).toLowerCase();
+}
+
+export function getProvider(name) {
+  return PROVIDERS[String(name || getDefaultProviderName()).toLowerCase()] || null;
+}
+
+export function listProviders() {
+  return Object.values(PROVIDERS).map(({ name, label }) => ({ name, label }));
+}
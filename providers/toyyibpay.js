@@ -0,0 +1,80 @@
+import {
+  createBill,
+  getBillTransactions,
+  parseToyyibPayDate,
+  verifyCallbackSignature
+} from '../toyyibpay.js';
+import { now } from '../clock.js';
+
+// -----------------------------------------------------------------------------
+// ToyyibPay adapter
+// -----------------------------------------------------------------------------
+
+// status / status_id / billpaymentStatus codes
+const STATUS_CODES = { '1': 'success', '2': 'pending', '3': 'failed' };
+
+function normaliseStatus(status) {
+  const key = String(status ?? '').trim().toLowerCase();
+  return STATUS_CODES[key] || key || 'pending';
+}
+
+// Callbacks arrive under several field names depending on the ToyyibPay flow.
+function parseCallback(payload) {
+  const billcode = (payload.billcode || payload.billCode || payload.bill_code || '').toString().trim();
+
+  return {
+    verification: verifyCallbackSignature(payload),
+    paymentData: {
+      provider: 'toyyibpay',
+      billcode,
+      status: normaliseStatus(payload.status || payload.status_id || payload.statuscode || payload.billpaymentStatus),
+      amount: payload.amount || payload.billpaymentAmount || payload.totalAmount,
+      payment_method: payload.payment_method || payload.method || 'toyyibpay',
+      timestamp: payload.timestamp || payload.billpaymentTime || now().toISOString(),
+      transaction_id: payload.transaction_id || payload.refno || payload.billpaymentInvoiceNo || payload.invoice_no,
+      order_id: payload.order_id || payload.externalRef || payload.billExternalReferenceNo,
+      signature: payload.hash || payload.signature,
+      raw: payload
+    }
+  };
+}
+
+// A bill can carry several attempts; a successful one wins, otherwise the latest settled one.
+async function queryStatus(billcode) {
+  const settled = (await getBillTransactions(billcode)).filter(transaction => {
+    const status = normaliseStatus(transaction.billpaymentStatus);
+    return status === 'success' || status === 'failed';
+  });
+  const transaction = settled.find(entry => normaliseStatus(entry.billpaymentStatus) === 'success') ||
+    settled[settled.length - 1];
+  if (!transaction) {
+    return null;
+  }
+
+  return {
+    provider: 'toyyibpay',
+    billcode,
+    status: normaliseStatus(transaction.billpaymentStatus),
+    amount: transaction.billpaymentAmount,
+    payment_method: 'toyyibpay',
+    timestamp: parseToyyibPayDate(transaction.billPaymentDate) || now().toISOString(),
+    transaction_id: transaction.billpaymentInvoiceNo,
+    order_id: transaction.billExternalReferenceNo,
+    raw: transaction
+  };
+}
+
+// ToyyibPay has no refund API; refunds are paid out by hand from the merchant portal.
+async function refund() {
+  return { supported: false };
+}
+
+export default {
+  name: 'toyyibpay',
+  label: 'ToyyibPay',
+  createBill,
+  parseCallback,
+  queryStatus,
+  refund,
+  normaliseStatus
+};
@@ -0,0 +1,81 @@
+import express from 'express';
+import { logger } from './logger.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { requireAuth } from './auth.js';
+import { resolveOrderStatus } from './order-status.js';
+import { createQuote, loadPriceTable } from './pricing.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Quotes
+// -----------------------------------------------------------------------------
+
+const router = express.Router();
+const QUOTABLE_STATUSES = ['NEW', 'PENDING_PAYMENT', 'PAYMENT_FAILED'];
+
+// Uploaded print files (see uploads.js) are the source of truth for page count.
+function countUploadedPages(order) {
+  const files = Object.values(order.files || {});
+  return files.length ? files.reduce((sum, file) => sum + (Number(file.pageCount) || 0), 0) : null;
+}
+
+// Body: { orderId?, paperSize, paperType, colour, sides, copies, pageCount?, finishing: { binding, lamination } }
+// Without an orderId the quote is only a price preview and is not stored.
+router.post('/quotes', requireAuth, async (req, res) => {
+  try {
+    if (!repositoriesAvailable()) {
+      throw new Error('Firebase Admin is not initialised. Set service credentials.');
+    }
+
+    const table = await loadPriceTable();
+    if (!table) {
+      return res.status(503).json({ success: false, error: 'Price table has not been configured' });
+    }
+
+    const options = { ...(req.body || {}) };
+    const orderId = (options.orderId || '').toString().trim() || null;
+
+    if (!orderId) {
+      const quote = createQuote(table, options, null, req.app.locals.config.quoteTtlHours);
+      return res.json({ success: true, quote });
+    }
+
+    const order = await getRepositories().orders.get(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order ${orderId} not found` });
+    }
+
+    const ownerId = order.userId || order.userID || order.customerId || order.customerID;
+    if (ownerId !== req.user.uid && !req.user.isAdmin) {
+      return res.status(403).json({ success: false, error: 'You can only quote your own orders' });
+    }
+
+    const status = resolveOrderStatus(order.status);
+    if (!QUOTABLE_STATUSES.includes(status)) {
+      return res.status(409).json({ success: false, error: `Order ${orderId} is ${status} and can no longer be re-quoted` });
+    }
+
+    const uploadedPages = countUploadedPages(order);
+    if (uploadedPages) {
+      options.pageCount = uploadedPages;
+    }
+
+    const quote = createQuote(table, options, orderId, req.app.locals.config.quoteTtlHours);
+    await getRepositories().orders.update(orderId, {
+      quote,
+      totalAmount: quote.total,
+      updatedAt: now().toISOString()
+    });
+
+    logger.info('Quote stamped on order', { quoteId: quote.quoteId, orderId, total: quote.total });
+    return res.status(201).json({ success: true, quote });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error creating quote', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
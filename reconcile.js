@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger, withLogContext } from './logger.js';
+import { getProvider, LEGACY_PROVIDER } from './providers/index.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { applyPayment, resolveOrderForPayment } from './payments.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Payment reconciliation
+// -----------------------------------------------------------------------------
+// Catches up on callbacks that never arrived (orders left in PENDING_PAYMENT)
+// and retries matching for payloads parked in payments_unmatched. Runs on a
+// timer started by server.js and can be invoked directly: `npm run reconcile`.
+
+let running = false;
+
+function describeResult(result) {
+  return {
+    outcome: result.outcome,
+    paymentId: result.record?.paymentId || null,
+    orderStatus: result.orderUpdate?.applied ? result.orderUpdate.to : null,
+    review: result.reason || null
+  };
+}
+
+async function reconcilePendingOrders(report) {
+  const orders = await getRepositories().orders.listByStatus(['PENDING_PAYMENT']);
+
+  for (const { id: orderId, ...orderData } of orders) {
+    const billcode = orderData.billcode || orderData.billCode;
+    if (!billcode) {
+      continue;
+    }
+    report.pendingOrders.checked += 1;
+
+    try {
+      const provider = getProvider(orderData.paymentProvider || LEGACY_PROVIDER);
+      if (!provider) {
+        report.errors.push({ source: 'pending_order', id: orderId, error: `Unknown payment provider ${orderData.paymentProvider}` });
+        continue;
+      }
+
+      const paymentData = await provider.queryStatus(billcode);
+      if (!paymentData) {
+        continue;
+      }
+
+      const userId = orderData.userId || orderData.userID || orderData.customerId || orderData.customerID;
+      if (!userId) {
+        report.errors.push({ source: 'pending_order', id: orderId, error: 'Order has no userId' });
+        continue;
+      }
+
+      const result = await applyPayment({ ...paymentData, source: 'reconciler' }, { id: orderId, ...orderData }, userId);
+      if (result.outcome !== 'duplicate') {
+        report.pendingOrders.updated += 1;
+        report.changes.push({ source: 'pending_order', orderId, billcode, ...describeResult(result) });
+      }
+    } catch (error) {
+      report.errors.push({ source: 'pending_order', id: orderId, error: error.message });
+    }
+  }
+}
+
+async function reconcileUnmatchedPayments(report) {
+  const { unmatchedPayments } = getRepositories();
+  const entries = await unmatchedPayments.list();
+
+  for (const { id: unmatchedId, ...entry } of entries) {
+    report.unmatched.checked += 1;
+
+    try {
+      const { storedAt, note, ...paymentData } = entry;
+      if (!paymentData.billcode) {
+        continue;
+      }
+
+      // Entries parked before adapters existed still hold raw ToyyibPay status codes.
+      const provider = getProvider(paymentData.provider || LEGACY_PROVIDER);
+      if (provider) {
+        paymentData.provider = provider.name;
+        paymentData.status = provider.normaliseStatus(paymentData.status);
+      }
+
+      const { order, orderId, userId } = await resolveOrderForPayment(paymentData);
+      if (!orderId || !userId) {
+        continue;
+      }
+
+      const result = await applyPayment({ ...paymentData, source: 'reconciler' }, order, userId);
+      await unmatchedPayments.remove(unmatchedId);
+
+      report.unmatched.resolved += 1;
+      report.changes.push({
+        source: 'unmatched',
+        unmatchedId,
+        orderId,
+        billcode: paymentData.billcode,
+        ...describeResult(result)
+      });
+    } catch (error) {
+      report.errors.push({ source: 'unmatched', id: unmatchedId, error: error.message });
+    }
+  }
+}
+
+async function runReconciliation() {
+  if (!repositoriesAvailable()) {
+    throw new Error('Firebase Admin is not initialised. Set service credentials.');
+  }
+  if (running) {
+    return { skipped: true, reason: 'already_running' };
+  }
+
+  running = true;
+  const report = {
+    startedAt: now().toISOString(),
+    finishedAt: null,
+    pendingOrders: { checked: 0, updated: 0 },
+    unmatched: { checked: 0, resolved: 0 },
+    changes: [],
+    errors: []
+  };
+
+  try {
+    await reconcilePendingOrders(report);
+    await reconcileUnmatchedPayments(report);
+  } finally {
+    running = false;
+    report.finishedAt = now().toISOString();
+  }
+
+  if (report.changes.length || report.errors.length) {
+    await getRepositories().reconciliationRuns.add(report);
+  }
+
+  logger.info('Reconciliation finished', {
+    pendingOrders: report.pendingOrders,
+    unmatched: report.unmatched,
+    errors: report.errors.length
+  });
+  return report;
+}
+
+// Every log line from one run carries the same runId.
+export function reconcilePayments() {
+  return withLogContext({ job: 'reconcile', runId: crypto.randomUUID() }, runReconciliation);
+}
+
+export function startReconcileScheduler(intervalMinutes) {
+  const interval = Number(intervalMinutes);
+  if (!repositoriesAvailable() || !Number.isFinite(interval) || interval <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    reconcilePayments().catch(error => {
+      logger.error('Scheduled reconciliation failed', { err: error });
+    });
+  }, interval * 60 * 1000);
+  timer.unref();
+
+  logger.info('Payment reconciliation scheduled', { intervalMinutes: interval });
+  return timer;
+}
+
+// CLI: node reconcile.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  reconcilePayments()
+    .then(report => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.errors?.length ? 1 : 0);
+    })
+    .catch(error => {
+      logger.error('Reconciliation failed', { err: error });
+      process.exit(1);
+    });
+}
@@ -0,0 +1,400 @@
+import crypto from 'crypto';
+import express from 'express';
+import { logger } from './logger.js';
+import { getRepositories } from './repositories/index.js';
+import { resolveOrderStatus, staffActor, updateOrderStatus } from './order-status.js';
+import { toSen } from './toyyibpay.js';
+import { getProvider, LEGACY_PROVIDER } from './providers/index.js';
+import { releaseVoucher } from './vouchers.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Refunds and cancellation
+// -----------------------------------------------------------------------------
+// refunds/{refundId}                           full refund record
+// refunds_by_order/{orderId}/{refundId}        summary for the order
+// payments/{paymentId}/refunds/{refundId}      reservation against the original payment
+// payments_by_order/{orderId}/{paymentId}/refunds/{refundId}
+
+export const REFUND_STATUSES = ['requested', 'processed', 'rejected'];
+const PAID_STATUSES = ['PAID', 'PROCESSING', 'PRINTING', 'COMPLETED'];
+
+const router = express.Router();
+
+function refundError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function fromSen(sen) {
+  return Math.round(sen) / 100;
+}
+
+// Rejected refunds release their amount; requested ones stay reserved until decided.
+function reservedSen(refunds) {
+  return Object.values(refunds || {})
+    .filter(refund => refund.status !== 'rejected')
+    .reduce((sum, refund) => sum + (toSen(refund.amount) || 0), 0);
+}
+
+async function loadSuccessfulPayments(orderId) {
+  const payments = (await getRepositories().payments.listByOrder(orderId))
+    .filter(payment => payment.status === 'success');
+  return payments.sort((a, b) => Date.parse(b.createdAt || '') - Date.parse(a.createdAt || ''));
+}
+
+export async function recomputeOrderNetPaid(orderId) {
+  const [payments, refunds] = await Promise.all([
+    loadSuccessfulPayments(orderId),
+    getRepositories().refunds.listByOrder(orderId)
+  ]);
+
+  const paidSen = payments.reduce((sum, payment) => sum + (toSen(payment.amount) || 0), 0);
+  const refundedSen = refunds
+    .filter(refund => refund.status === 'processed')
+    .reduce((sum, refund) => sum + (toSen(refund.amount) || 0), 0);
+
+  const totals = {
+    paidAmount: fromSen(paidSen),
+    refundedAmount: fromSen(refundedSen),
+    netPaid: fromSen(paidSen - refundedSen)
+  };
+  await getRepositories().orders.update(orderId, totals);
+  return totals;
+}
+
+// Reserves the amount on the payment inside a transaction so two refunds cannot
+// together exceed what was paid, then writes the refund and its indexes.
+export async function createRefund({ orderId, paymentId, amount, reason, requestedBy }) {
+  const amountSen = toSen(amount);
+  if (!amountSen || amountSen <= 0) {
+    throw refundError(400, 'Refund amount must be greater than zero');
+  }
+
+  const refundId = `RF-${crypto.randomUUID()}`;
+  const requestedAt = now().toISOString();
+  let failure = null;
+  let payment = null;
+
+  const result = await getRepositories().payments.transaction(paymentId, current => {
+    if (current === null) {
+      failure = refundError(404, `Payment ${paymentId} not found`);
+      return current;
+    }
+    if (current.orderId !== orderId || current.status !== 'success') {
+      failure = refundError(409, `Payment ${paymentId} is not a successful payment for order ${orderId}`);
+      return;
+    }
+    const refundableSen = toSen(current.amount) - reservedSen(current.refunds);
+    if (amountSen > refundableSen) {
+      failure = refundError(409, `Refund exceeds refundable amount of RM ${fromSen(refundableSen).toFixed(2)}`);
+      return;
+    }
+
+    failure = null;
+    payment = current;
+    return {
+      ...current,
+      refunds: {
+        ...(current.refunds || {}),
+        [refundId]: { amount: fromSen(amountSen), status: 'requested' }
+      }
+    };
+  });
+
+  if (!result.committed || !payment) {
+    throw failure || refundError(404, `Payment ${paymentId} not found`);
+  }
+
+  const refund = {
+    refundId,
+    orderId,
+    paymentId,
+    userId: payment.userId || null,
+    provider: payment.provider || LEGACY_PROVIDER,
+    amount: fromSen(amountSen),
+    type: amountSen === toSen(payment.amount) ? 'full' : 'partial',
+    reason: reason || null,
+    status: 'requested',
+    requestedBy: requestedBy || null,
+    requestedAt,
+    updatedAt: requestedAt
+  };
+
+  await getRepositories().refunds.save(refund);
+
+  logger.info('Refund requested', { refundId, orderId, paymentId, amount: refund.amount });
+
+  // Providers with a refund API settle it straight away; otherwise staff pay it
+  // out by hand and mark it processed through PATCH /admin/refunds/:refundId.
+  const provider = getProvider(refund.provider);
+  const outcome = provider ? await provider.refund({ payment, amount: refund.amount, reason: refund.reason }) : null;
+  if (outcome?.reference) {
+    const { refund: processed } = await updateRefundStatus(refundId, 'processed', {
+      actor: provider.name,
+      reference: outcome.reference
+    });
+    return processed;
+  }
+  return refund;
+}
+
+export async function updateRefundStatus(refundId, status, { actor, reference, note } = {}) {
+  if (!['processed', 'rejected'].includes(status)) {
+    throw refundError(400, 'Refund status must be processed or rejected');
+  }
+
+  const { refunds } = getRepositories();
+  let failure = null;
+  const timestamp = now().toISOString();
+
+  const result = await refunds.transaction(refundId, current => {
+    if (current === null) {
+      failure = refundError(404, `Refund ${refundId} not found`);
+      return current;
+    }
+    if (current.status !== 'requested') {
+      failure = refundError(409, `Refund ${refundId} is already ${current.status}`);
+      return;
+    }
+    failure = null;
+    return {
+      ...current,
+      status,
+      reference: reference || current.reference || null,
+      note: note || current.note || null,
+      decidedBy: actor || null,
+      decidedAt: timestamp,
+      updatedAt: timestamp
+    };
+  });
+
+  if (!result.committed || failure) {
+    throw failure || refundError(404, `Refund ${refundId} not found`);
+  }
+
+  const refund = result.value;
+  await refunds.setSummaryStatus(refund, status);
+  const totals = await recomputeOrderNetPaid(refund.orderId);
+
+  logger.info('Refund decided', { refundId, orderId: refund.orderId, status });
+  return { refund, totals };
+}
+
+// Splits a refund across successful payments, newest first, within what each has left.
+// Never refunds less than asked without saying so: an amount over the refundable
+// balance is rejected, and a shortfall from a refund racing this one is a 409
+// that lists the refunds already created.
+async function refundOrder(orderId, amountSen, reason, requestedBy) {
+  const refundableSen = await refundableSenForOrder(orderId);
+  if (amountSen > refundableSen) {
+    throw Object.assign(
+      refundError(409, `Refund exceeds refundable amount of RM ${fromSen(refundableSen).toFixed(2)} for order ${orderId}`),
+      { refundable: fromSen(refundableSen) }
+    );
+  }
+
+  const refunds = [];
+  let remainingSen = amountSen;
+
+  for (const summary of await loadSuccessfulPayments(orderId)) {
+    if (remainingSen <= 0) {
+      break;
+    }
+    const payment = await getRepositories().payments.get(summary.paymentId);
+    if (!payment) {
+      continue;
+    }
+    const availableSen = toSen(payment.amount) - reservedSen(payment.refunds);
+    const portionSen = Math.min(availableSen, remainingSen);
+    if (portionSen <= 0) {
+      continue;
+    }
+    try {
+      refunds.push(await createRefund({
+        orderId,
+        paymentId: summary.paymentId,
+        amount: fromSen(portionSen),
+        reason,
+        requestedBy
+      }));
+    } catch (error) {
+      // Tell the caller which refunds went through before this one failed.
+      throw Object.assign(error, { refunds });
+    }
+    remainingSen -= portionSen;
+  }
+
+  if (remainingSen > 0) {
+    throw Object.assign(
+      refundError(409, `Only RM ${fromSen(amountSen - remainingSen).toFixed(2)} of RM ${fromSen(amountSen).toFixed(2)} could be refunded for order ${orderId}`),
+      { refunds }
+    );
+  }
+  return refunds;
+}
+
+async function refundableSenForOrder(orderId) {
+  let totalSen = 0;
+  for (const summary of await loadSuccessfulPayments(orderId)) {
+    const payment = await getRepositories().payments.get(summary.paymentId);
+    if (payment) {
+      totalSen += toSen(payment.amount) - reservedSen(payment.refunds);
+    }
+  }
+  return totalSen;
+}
+
+// A paid order cannot be cancelled until staff decide what happens to the money.
+// The order is cancelled first; if the refund then fails, what is still owed is
+// kept on cancellation.refundPending so staff can settle it by hand.
+export async function cancelOrder(orderId, { reason, refund, amount } = {}, user) {
+  const decision = (refund || '').toString().trim().toLowerCase();
+  const actor = user.email || user.uid;
+
+  if (!reason) {
+    throw refundError(400, 'reason is required');
+  }
+
+  const order = await getRepositories().orders.get(orderId);
+  if (!order) {
+    throw refundError(404, `Order ${orderId} not found`);
+  }
+
+  const refundableSen = await refundableSenForOrder(orderId);
+  const isPaid = refundableSen > 0 || PAID_STATUSES.includes(resolveOrderStatus(order.status));
+
+  if (isPaid && !['full', 'partial', 'none'].includes(decision)) {
+    throw Object.assign(
+      refundError(409, 'Order has been paid. Provide a refund decision: full, partial or none'),
+      { refundable: fromSen(refundableSen) }
+    );
+  }
+
+  let refundSen = 0;
+  if (isPaid && decision === 'full') {
+    refundSen = refundableSen;
+  } else if (isPaid && decision === 'partial') {
+    refundSen = toSen(amount) || 0;
+    if (refundSen <= 0 || refundSen > refundableSen) {
+      throw refundError(400, `Partial refund amount must be between RM 0.01 and RM ${fromSen(refundableSen).toFixed(2)}`);
+    }
+  }
+
+  const outcome = await updateOrderStatus(orderId, 'CANCELLED', {
+    cancellation: {
+      reason,
+      refundDecision: isPaid ? decision : 'not_paid',
+      cancelledBy: actor,
+      cancelledAt: now().toISOString()
+    }
+  }, { actor: staffActor(user), reason });
+  if (!outcome.applied) {
+    throw Object.assign(refundError(409, outcome.reason), { from: outcome.from || null });
+  }
+
+  // A discounted order that was never paid still holds a use of its voucher.
+  await releaseVoucher(order, 'order_cancelled');
+
+  let refunds = [];
+  let refundPending = null;
+  if (refundSen > 0) {
+    try {
+      refunds = await refundOrder(orderId, refundSen, reason, actor);
+    } catch (error) {
+      refunds = error.refunds || [];
+      const pendingSen = refundSen - refunds.reduce((sum, created) => sum + toSen(created.amount), 0);
+      refundPending = { amount: fromSen(pendingSen), error: error.message, at: now().toISOString() };
+      await getRepositories().orders.update(orderId, { 'cancellation/refundPending': refundPending });
+      logger.error('Refund failed for cancelled order', { orderId, pendingAmount: refundPending.amount, err: error });
+    }
+  }
+  const totals = await recomputeOrderNetPaid(orderId);
+
+  return { orderId, status: outcome.to, refunds, refundPending, ...totals };
+}
+
+// A refund against one payment, or against the order as a whole when no
+// paymentId is given.
+export async function requestOrderRefund(orderId, { paymentId, amount, reason } = {}, user) {
+  const actor = user.email || user.uid;
+  const note = (reason || '').toString().trim();
+  if (!note) {
+    throw refundError(400, 'reason is required');
+  }
+
+  const amountSen = toSen(amount);
+  if (!amountSen || amountSen <= 0) {
+    throw refundError(400, 'amount must be greater than zero');
+  }
+
+  const refunds = paymentId
+    ? [await createRefund({ orderId, paymentId, amount: fromSen(amountSen), reason: note, requestedBy: actor })]
+    : await refundOrder(orderId, amountSen, note, actor);
+  const totals = await recomputeOrderNetPaid(orderId);
+  return { orderId, refunds, ...totals };
+}
+
+function sendError(res, error, context) {
+  if (error.status) {
+    const { refundable, from, refunds } = error;
+    return res.status(error.status).json({ success: false, error: error.message, refundable, from, refunds });
+  }
+  logger.error(`Error ${context}`, { err: error });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// -----------------------------------------------------------------------------
+// Routes (mounted behind requireAdmin by admin-api.js)
+// -----------------------------------------------------------------------------
+
+// Body: { reason, refund: 'full' | 'partial' | 'none', amount? }
+router.post('/admin/orders/:id/cancel', async (req, res) => {
+  try {
+    const reason = (req.body?.reason || '').toString().trim();
+    const result = await cancelOrder(req.params.id, { ...req.body, reason }, req.user);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, 'cancelling order');
+  }
+});
+
+router.get('/admin/orders/:id/refunds', async (req, res) => {
+  try {
+    const { refunds: refundRepository } = getRepositories();
+    const summaries = await refundRepository.listByOrder(req.params.id);
+    const refunds = await Promise.all(summaries.map(({ refundId }) => refundRepository.get(refundId)));
+    return res.json({
+      success: true,
+      orderId: req.params.id,
+      refunds: refunds.filter(Boolean).sort((a, b) => Date.parse(a.requestedAt) - Date.parse(b.requestedAt))
+    });
+  } catch (error) {
+    return sendError(res, error, 'loading refunds');
+  }
+});
+
+// Body: { amount, reason, paymentId? } — refunds without cancelling (e.g. a reprint discount).
+router.post('/admin/orders/:id/refunds', async (req, res) => {
+  try {
+    const result = await requestOrderRefund(req.params.id, req.body || {}, req.user);
+    return res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, 'creating refund');
+  }
+});
+
+// Body: { status: 'processed' | 'rejected', reference?, note? }
+router.patch('/admin/refunds/:refundId', async (req, res) => {
+  try {
+    const { refund, totals } = await updateRefundStatus(req.params.refundId, req.body?.status, {
+      actor: req.user.email || req.user.uid,
+      reference: req.body?.reference,
+      note: req.body?.note
+    });
+    return res.json({ success: true, refund, ...totals });
+  } catch (error) {
+    return sendError(res, error, 'updating refund');
+  }
+});
+
+export default router;
@@ -0,0 +1,530 @@
+import express from 'express';
+import { logger } from './logger.js';
+import { getRepositories } from './repositories/index.js';
+import { resolveOrderStatus } from './order-status.js';
+import { toSen } from './toyyibpay.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Sales and payment reports
+// -----------------------------------------------------------------------------
+// reports_daily/{YYYY-MM-DD}   one rollup per business day (Malaysia time):
+//   { date, byMethod: { [method]: { [status]: { count, amountSen } } }, updatedAt }
+//
+// Payments are moved into their day's rollup as they are stored (see
+// recordPaymentInRollups), so a report over a year reads ~365 small nodes
+// instead of every payment. POST /admin/reports/rollups/rebuild recomputes a
+// range from payments/ (for data stored before rollups existed, or after fixing
+// records by hand).
+//
+// Every report is JSON by default and CSV with ?format=csv. Rebuilds and the
+// top-items report query payments/ and orders/ by createdAt; add
+// ".indexOn": ["createdAt"] to both in the database rules.
+
+const router = express.Router();
+
+// Asia/Kuala_Lumpur has no daylight saving, so a fixed offset is exact.
+const BUSINESS_UTC_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+const GROUPINGS = ['day', 'week', 'month'];
+const PAYMENT_STATUSES = ['success', 'failed', 'pending'];
+const PAID_STATUSES = ['PAID', 'PROCESSING', 'PRINTING', 'COMPLETED'];
+const TOP_ITEM_FIELDS = ['product', 'paperSize', 'paperType', 'colour', 'sides', 'binding', 'lamination'];
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 100;
+
+function reportError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function fromSen(sen) {
+  return Math.round(sen) / 100;
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// ---------------------------------------------------------------------------
+// Business dates
+// ---------------------------------------------------------------------------
+
+export function businessDate(value) {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value || '');
+  return Number.isNaN(time) ? null : new Date(time + BUSINESS_UTC_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Round-trips through Date so 2026-02-31 is refused rather than rolled into March.
+export function parseDate(value) {
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value ? value : null;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+// First and last instant of a business-date range, as ISO strings for createdAt queries.
+function rangeBounds(fromDate, toDate) {
+  return {
+    fromIso: new Date(Date.parse(`${fromDate}T00:00:00Z`) - BUSINESS_UTC_OFFSET_MS).toISOString(),
+    toIso: new Date(Date.parse(`${addDays(toDate, 1)}T00:00:00Z`) - BUSINESS_UTC_OFFSET_MS - 1).toISOString()
+  };
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, inclusive. Defaults to the last 30 days.
+export function parseRange(query = {}) {
+  const to = query.to ? parseDate(query.to) : businessDate(now());
+  const from = query.from ? parseDate(query.from) : addDays(to || businessDate(now()), 1 - DEFAULT_RANGE_DAYS);
+  if (!from || !to) {
+    throw reportError('from and to must be dates in YYYY-MM-DD format');
+  }
+  if (from > to) {
+    throw reportError('from must not be after to');
+  }
+  if (daysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+    throw reportError(`Reports cover at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { from, to };
+}
+
+// Monday-based weeks and calendar months, both keyed by their first day.
+function periodStart(date, groupBy) {
+  if (groupBy === 'month') {
+    return `${date.slice(0, 7)}-01`;
+  }
+  if (groupBy === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+}
+
+function periodEnd(start, groupBy) {
+  if (groupBy === 'month') {
+    const next = new Date(`${start}T00:00:00Z`);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    return addDays(next.toISOString().slice(0, 10), -1);
+  }
+  return groupBy === 'week' ? addDays(start, 6) : start;
+}
+
+// ---------------------------------------------------------------------------
+// Daily rollups
+// ---------------------------------------------------------------------------
+
+// Firebase keys may not contain . # $ [ ] or /.
+function methodKey(payment) {
+  const method = String(payment.paymentMethod || payment.provider || 'unknown').trim().toLowerCase();
+  return method.replace(/[.#$[\]/]/g, '_') || 'unknown';
+}
+
+function paymentStatus(payment) {
+  return PAYMENT_STATUSES.includes(payment.status) ? payment.status : 'pending';
+}
+
+// Adds (sign 1) or takes away (sign -1) one payment. Empty buckets are pruned so
+// a payment moving from pending to success leaves no zero entries behind.
+function applyToRollup(rollup, payment, sign) {
+  const method = methodKey(payment);
+  const status = paymentStatus(payment);
+  const byMethod = { ...(rollup.byMethod || {}) };
+  const statuses = { ...(byMethod[method] || {}) };
+  const bucket = statuses[status] || { count: 0, amountSen: 0 };
+
+  const next = {
+    count: bucket.count + sign,
+    amountSen: bucket.amountSen + sign * (toSen(payment.amount) || 0)
+  };
+  if (next.count > 0) {
+    statuses[status] = next;
+  } else {
+    delete statuses[status];
+  }
+  if (Object.keys(statuses).length) {
+    byMethod[method] = statuses;
+  } else {
+    delete byMethod[method];
+  }
+  return { ...rollup, byMethod };
+}
+
+// Called whenever a payment is written or removed (savePaymentRecord, and the
+// pending placeholder POST /payment/bills creates). `previous` is the stored
+// record being replaced and `record` the new one; either may be null. Failures
+// are logged, not thrown: the payment is already safe and a rebuild repairs the rollup.
+export async function recordPaymentInRollups(previous, record) {
+  try {
+    // Usually both land on the same day (createdAt survives updates), so one transaction.
+    const changes = {};
+    const add = (payment, sign) => {
+      const date = payment && businessDate(payment.createdAt);
+      if (date) {
+        changes[date] = [...(changes[date] || []), [payment, sign]];
+      }
+    };
+    add(previous, -1);
+    add(record, 1);
+
+    const { dailyRollups } = getRepositories();
+    for (const [date, updates] of Object.entries(changes)) {
+      await dailyRollups.transaction(date, current => ({
+        ...updates.reduce((rollup, [payment, sign]) => applyToRollup(rollup, payment, sign), current || { date }),
+        date,
+        updatedAt: now().toISOString()
+      }));
+    }
+  } catch (error) {
+    logger.error('Failed to update daily sales rollup', { paymentId: (record || previous)?.paymentId || null, err: error });
+  }
+}
+
+export function buildRollups(payments) {
+  const rollups = {};
+  payments.forEach(payment => {
+    const date = businessDate(payment.createdAt);
+    if (date) {
+      rollups[date] = applyToRollup(rollups[date] || { date }, payment, 1);
+    }
+  });
+  const updatedAt = now().toISOString();
+  Object.values(rollups).forEach(rollup => {
+    rollup.updatedAt = updatedAt;
+  });
+  return rollups;
+}
+
+export async function rebuildRollups({ from, to }, actor = null) {
+  const { payments, dailyRollups } = getRepositories();
+  const { fromIso, toIso } = rangeBounds(from, to);
+  const records = await payments.listCreatedBetween(fromIso, toIso);
+  const rollups = buildRollups(records);
+  await dailyRollups.replaceRange(from, to, rollups);
+  logger.info('Daily sales rollups rebuilt', { from, to, actor, payments: records.length, days: Object.keys(rollups).length });
+  return { from, to, payments: records.length, days: Object.keys(rollups).length };
+}
+
+// Flattens the rollups inside [from, to] into { date, method, status, count, amountSen }.
+function rollupEntries(rollups, { from, to }) {
+  return rollups.filter(rollup => rollup.date >= from && rollup.date <= to).flatMap(rollup => Object.entries(rollup.byMethod || {}).flatMap(([method, statuses]) =>
+    Object.entries(statuses).map(([status, bucket]) => ({
+      date: rollup.date,
+      method,
+      status,
+      count: Number(bucket.count) || 0,
+      amountSen: Number(bucket.amountSen) || 0
+    }))));
+}
+
+function tally(entries) {
+  const totals = { payments: 0, successful: 0, failed: 0, pending: 0, revenueSen: 0 };
+  entries.forEach(entry => {
+    totals.payments += entry.count;
+    if (entry.status === 'success') {
+      totals.successful += entry.count;
+      totals.revenueSen += entry.amountSen;
+    } else if (entry.status === 'failed') {
+      totals.failed += entry.count;
+    } else {
+      totals.pending += entry.count;
+    }
+  });
+  return {
+    payments: totals.payments,
+    successful: totals.successful,
+    failed: totals.failed,
+    pending: totals.pending,
+    revenue: fromSen(totals.revenueSen),
+    // Rates are over settled payments; pending ones have no outcome yet.
+    successRate: percent(totals.successful, totals.successful + totals.failed),
+    failureRate: percent(totals.failed, totals.successful + totals.failed)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+// Each builder returns { report, columns, rows, ...details }; columns drive the CSV.
+
+const TALLY_COLUMNS = [
+  ['payments', 'Payments'],
+  ['successful', 'Successful'],
+  ['failed', 'Failed'],
+  ['pending', 'Pending'],
+  ['revenue', 'Revenue (RM)'],
+  ['successRate', 'Success rate (%)'],
+  ['failureRate', 'Failure rate (%)']
+];
+
+export function salesReport(rollups, { from, to, groupBy = 'day' }) {
+  if (!GROUPINGS.includes(groupBy)) {
+    throw reportError(`groupBy must be one of ${GROUPINGS.join(', ')}`);
+  }
+
+  const entries = rollupEntries(rollups, { from, to });
+  const rows = [];
+  for (let start = periodStart(from, groupBy); start <= to; start = addDays(periodEnd(start, groupBy), 1)) {
+    const end = periodEnd(start, groupBy);
+    const periodFrom = start < from ? from : start;
+    const periodTo = end > to ? to : end;
+    rows.push({
+      period: start,
+      from: periodFrom,
+      to: periodTo,
+      ...tally(entries.filter(entry => entry.date >= periodFrom && entry.date <= periodTo))
+    });
+  }
+
+  return {
+    report: 'sales',
+    from,
+    to,
+    groupBy,
+    totals: tally(entries),
+    columns: [['period', 'Period'], ['from', 'From'], ['to', 'To'], ...TALLY_COLUMNS],
+    rows
+  };
+}
+
+export function paymentMethodReport(rollups, { from, to }) {
+  const entries = rollupEntries(rollups, { from, to });
+  const totals = tally(entries);
+  const methods = [...new Set(entries.map(entry => entry.method))];
+  const rows = methods
+    .map(method => {
+      const methodTally = tally(entries.filter(entry => entry.method === method));
+      return {
+        method,
+        ...methodTally,
+        revenueShare: percent(methodTally.revenue, totals.revenue)
+      };
+    })
+    .sort((a, b) => b.revenue - a.revenue || b.payments - a.payments);
+
+  return {
+    report: 'payment-methods',
+    from,
+    to,
+    totals,
+    columns: [['method', 'Payment method'], ...TALLY_COLUMNS, ['revenueShare', 'Share of revenue (%)']],
+    rows
+  };
+}
+
+export function paymentStatusReport(rollups, { from, to }) {
+  const entries = rollupEntries(rollups, { from, to });
+  const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+  const rows = PAYMENT_STATUSES.map(status => {
+    const matching = entries.filter(entry => entry.status === status);
+    const count = matching.reduce((sum, entry) => sum + entry.count, 0);
+    return {
+      status,
+      count,
+      amount: fromSen(matching.reduce((sum, entry) => sum + entry.amountSen, 0)),
+      share: percent(count, total)
+    };
+  });
+
+  return {
+    report: 'payment-status',
+    from,
+    to,
+    total,
+    columns: [['status', 'Status'], ['count', 'Payments'], ['amount', 'Amount (RM)'], ['share', 'Share (%)']],
+    rows
+  };
+}
+
+// Unmatched payments are few and are removed once reconciled, so they are
+// counted live rather than rolled up.
+export function summaryReport(rollups, unmatched, { from, to }) {
+  const { fromIso, toIso } = rangeBounds(from, to);
+  const totals = tally(rollupEntries(rollups, { from, to }));
+  const inRange = unmatched.filter(entry => entry.storedAt >= fromIso && entry.storedAt <= toIso).length;
+  const summary = { ...totals, unmatched: inRange, unmatchedOutstanding: unmatched.length };
+  const labels = [...TALLY_COLUMNS, ['unmatched', 'Unmatched in range'], ['unmatchedOutstanding', 'Unmatched outstanding']];
+
+  return {
+    report: 'summary',
+    from,
+    to,
+    summary,
+    columns: [['metric', 'Metric'], ['value', 'Value']],
+    rows: labels.map(([key, label]) => ({ metric: label, value: summary[key] }))
+  };
+}
+
+// Values an order contributes to a top-items report: [{ value, quantity, revenueSen }].
+function orderItems(order, by) {
+  const options = order.quote?.options || {};
+  if (by === 'product') {
+    if (order.items && typeof order.items === 'object') {
+      return Object.values(order.items).map(item => {
+        const quantity = Number(item.quantity ?? item.copies ?? 1) || 1;
+        const amount = item.amount ?? item.subtotal ?? quantity * Number(item.unitPrice ?? item.price ?? 0);
+        return {
+          value: item.name || item.product || item.description || 'Print item',
+          quantity,
+          revenueSen: toSen(amount) || 0
+        };
+      });
+    }
+    if (order.quote) {
+      return [{
+        value: [options.paperSize, options.paperType, options.colour].filter(Boolean).join(' ') || 'Print job',
+        quantity: Number(options.copies) || 1,
+        revenueSen: Number(order.quote.totalSen) || 0
+      }];
+    }
+    return [];
+  }
+
+  const source = ['binding', 'lamination'].includes(by) ? options.finishing || {} : options;
+  const value = source[by] ?? order[by];
+  if (value === undefined || value === null || value === '' || value === 'none') {
+    return [];
+  }
+  return [{
+    value: String(value),
+    quantity: Number(options.copies) || 1,
+    revenueSen: Number(order.quote?.totalSen) || toSen(order.totalAmount ?? order.total ?? order.totalPrice) || 0
+  }];
+}
+
+export function topItemsReport(orders, { from, to, by = 'product', limit = DEFAULT_TOP_LIMIT }) {
+  if (!TOP_ITEM_FIELDS.includes(by)) {
+    throw reportError(`by must be one of ${TOP_ITEM_FIELDS.join(', ')}`);
+  }
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_TOP_LIMIT, 1), MAX_TOP_LIMIT);
+
+  const groups = new Map();
+  orders
+    .filter(order => PAID_STATUSES.includes(resolveOrderStatus(order.status)))
+    .forEach(order => {
+      orderItems(order, by).forEach(({ value, quantity, revenueSen }) => {
+        const group = groups.get(value) || { value, orders: new Set(), quantity: 0, revenueSen: 0 };
+        group.orders.add(order.id);
+        group.quantity += quantity;
+        group.revenueSen += revenueSen;
+        groups.set(value, group);
+      });
+    });
+
+  const rows = [...groups.values()]
+    .map(group => ({
+      value: group.value,
+      orders: group.orders.size,
+      quantity: group.quantity,
+      revenue: fromSen(group.revenueSen)
+    }))
+    .sort((a, b) => b.revenue - a.revenue || b.orders - a.orders || a.value.localeCompare(b.value))
+    .slice(0, size);
+
+  return {
+    report: 'top-items',
+    from,
+    to,
+    by,
+    columns: [['value', by === 'product' ? 'Product' : by], ['orders', 'Orders'], ['quantity', 'Quantity'], ['revenue', 'Revenue (RM)']],
+    rows
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+// Quotes fields that need it and defuses values a spreadsheet would run as a
+// formula (product names come from customers).
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map(([, label]) => csvCell(label)).join(',')];
+  rows.forEach(row => lines.push(columns.map(([key]) => csvCell(row[key])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function sendReport(req, res, { columns, ...report }) {
+  if (String(req.query.format || '').toLowerCase() === 'csv') {
+    const filename = `${report.report}-${report.from}-to-${report.to}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(toCsv(columns, report.rows));
+  }
+  return res.json({ success: true, ...report });
+}
+
+// ---------------------------------------------------------------------------
+// Routes (mounted behind the admin guard in admin-api.js)
+// ---------------------------------------------------------------------------
+
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  logger.error(`Error ${context}`, { err: error });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function loadRollups({ from, to }) {
+  return getRepositories().dailyRollups.range(from, to);
+}
+
+const REPORTS = {
+  sales: async (range, query) => salesReport(await loadRollups(range), { ...range, groupBy: query.groupBy || 'day' }),
+  'payment-methods': async range => paymentMethodReport(await loadRollups(range), range),
+  'payment-status': async range => paymentStatusReport(await loadRollups(range), range),
+  summary: async range => {
+    const [rollups, unmatched] = await Promise.all([loadRollups(range), getRepositories().unmatchedPayments.list()]);
+    return summaryReport(rollups, unmatched, range);
+  },
+  'top-items': async (range, query) => {
+    const { fromIso, toIso } = rangeBounds(range.from, range.to);
+    const orders = await getRepositories().orders.listCreatedBetween(fromIso, toIso);
+    return topItemsReport(orders, { ...range, by: query.by || 'product', limit: query.limit });
+  }
+};
+
+// GET /admin/reports/{sales|payment-methods|payment-status|summary|top-items}
+//   ?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv
+//   sales: &groupBy=day|week|month   top-items: &by=product|paperSize|...&limit=10
+router.get('/admin/reports/:report', async (req, res) => {
+  const build = REPORTS[req.params.report];
+  if (!build) {
+    return res.status(404).json({ success: false, error: `Unknown report. Available: ${Object.keys(REPORTS).join(', ')}` });
+  }
+
+  try {
+    const report = await build(parseRange(req.query), req.query);
+    return sendReport(req, res, report);
+  } catch (error) {
+    return sendError(res, error, `building ${req.params.report} report`);
+  }
+});
+
+// POST /admin/reports/rollups/rebuild { from, to }
+router.post('/admin/reports/rollups/rebuild', async (req, res) => {
+  try {
+    const result = await rebuildRollups(parseRange(req.body || {}), req.user.email || req.user.uid);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, 'rebuilding sales rollups');
+  }
+});
+
+export default router;
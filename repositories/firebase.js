@@ -0,0 +1,367 @@
+// -----------------------------------------------------------------------------
+// Realtime Database repositories
+// -----------------------------------------------------------------------------
+// orders/{orderId}
+// order_notes/{orderId}/{noteId}
+// payments/{paymentId}
+// payments_by_order/{orderId}/{paymentId}
+// payments_by_user/{userId}/{paymentId}
+// payments_review/{reviewId}
+// payments_review_by_billcode/{billcode}/{reviewId}
+// payments_unmatched/{id}
+// refunds/{refundId}
+// refunds_by_order/{orderId}/{refundId}
+// reports_daily/{YYYY-MM-DD}
+// reconciliation_runs/{runId}
+// vouchers/{code}
+// voucher_redemptions/{code}/{orderId}
+// production/stations/{stationId}
+// pricing/priceTable
+// counters/invoice
+// invoices/{invoiceNumber}
+// webhook_events/{eventId}
+// webhook_events/{eventId}/attempts/{attemptId}
+// notification_preferences/{uid}
+// device_tokens/{uid}/{tokenKey}
+// notification_queue/{id}
+// users/{uid}/email
+
+function firstMatch(snapshot) {
+  const entries = Object.entries(snapshot.val() || {});
+  return entries.length ? { id: entries[0][0], ...entries[0][1] } : null;
+}
+
+async function findByChild(ref, fields, value) {
+  for (const field of fields) {
+    const snapshot = await ref.orderByChild(field).equalTo(value).once('value');
+    if (snapshot.exists()) {
+      return snapshot;
+    }
+  }
+  return null;
+}
+
+async function listCreatedBetween(ref, fromIso, toIso) {
+  const snapshot = await ref.orderByChild('createdAt').startAt(fromIso).endAt(toIso).once('value');
+  return Object.entries(snapshot.val() || {}).map(([id, value]) => ({ id, ...value }));
+}
+
+async function runTransaction(ref, fn) {
+  const result = await ref.transaction(fn);
+  return { committed: result.committed, value: result.snapshot.val() };
+}
+
+async function listChildren(ref, idField) {
+  const snapshot = await ref.once('value');
+  return Object.entries(snapshot.val() || {}).map(([id, value]) => ({ [idField]: id, ...value }));
+}
+
+export function createFirebaseRepositories(db) {
+  const orders = {
+    async get(orderId) {
+      const snapshot = await db.ref(`orders/${orderId}`).once('value');
+      return snapshot.exists() ? { id: orderId, ...snapshot.val() } : null;
+    },
+    async findByBillcode(billcode) {
+      const snapshot = await findByChild(db.ref('orders'), ['billcode', 'billCode'], billcode);
+      return snapshot ? firstMatch(snapshot) : null;
+    },
+    async update(orderId, fields) {
+      await db.ref(`orders/${orderId}`).update(fields);
+    },
+    transaction(orderId, fn) {
+      return runTransaction(db.ref(`orders/${orderId}`), fn);
+    },
+    listCreatedBetween(fromIso, toIso) {
+      return listCreatedBetween(db.ref('orders'), fromIso, toIso);
+    },
+    list() {
+      return listChildren(db.ref('orders'), 'id');
+    },
+    async listByStatus(statuses) {
+      const snapshots = await Promise.all(statuses.map(status =>
+        db.ref('orders').orderByChild('status').equalTo(status).once('value')));
+      return snapshots.flatMap(snapshot =>
+        Object.entries(snapshot.val() || {}).map(([id, order]) => ({ id, ...order })));
+    },
+    // Only the canonical field is indexed; `npm run migrate` moves older spellings to it.
+    async listByUser(userId) {
+      const snapshot = await db.ref('orders').orderByChild('userId').equalTo(userId).once('value');
+      return Object.entries(snapshot.val() || {}).map(([id, order]) => ({ id, ...order }));
+    },
+    newFileId(orderId) {
+      return db.ref(`orders/${orderId}/files`).push().key;
+    }
+  };
+
+  const orderNotes = {
+    list(orderId) {
+      return listChildren(db.ref(`order_notes/${orderId}`), 'noteId');
+    },
+    async add(orderId, note) {
+      const ref = await db.ref(`order_notes/${orderId}`).push(note);
+      return ref.key;
+    }
+  };
+
+  const payments = {
+    async get(paymentId) {
+      const snapshot = await db.ref(`payments/${paymentId}`).once('value');
+      return snapshot.val();
+    },
+    async findByBillcode(billcode) {
+      const snapshot = await findByChild(db.ref('payments'), ['billcode', 'billCode'], billcode);
+      return snapshot ? Object.values(snapshot.val()) : [];
+    },
+    transaction(paymentId, fn) {
+      return runTransaction(db.ref(`payments/${paymentId}`), fn);
+    },
+    async listCreatedBetween(fromIso, toIso) {
+      return (await listCreatedBetween(db.ref('payments'), fromIso, toIso))
+        .map(({ id, ...payment }) => ({ paymentId: id, ...payment }));
+    },
+    // Merged, not replaced: refunds.js keeps refund reservations under the same node.
+    async saveOrderSummary(orderId, paymentId, summary) {
+      await db.ref(`payments_by_order/${orderId}/${paymentId}`).update(summary);
+    },
+    async saveUserSummary(userId, paymentId, summary) {
+      await db.ref(`payments_by_user/${userId}/${paymentId}`).update(summary);
+    },
+    async listByOrder(orderId) {
+      const snapshot = await db.ref(`payments_by_order/${orderId}`).once('value');
+      return Object.entries(snapshot.val() || {}).map(([paymentId, summary]) => ({ paymentId, ...summary }));
+    },
+    async listByUser(userId) {
+      const snapshot = await db.ref(`payments_by_user/${userId}`).once('value');
+      return Object.entries(snapshot.val() || {}).map(([paymentId, summary]) => ({ paymentId, ...summary }));
+    },
+    async remove(orderId, paymentId, userId = null) {
+      await db.ref().update({
+        [`payments/${paymentId}`]: null,
+        [`payments_by_order/${orderId}/${paymentId}`]: null,
+        ...(userId ? { [`payments_by_user/${userId}/${paymentId}`]: null } : {})
+      });
+    },
+    // Every flagged payload gets its own push key; repeats for a bill never overwrite each other.
+    async saveReview(record) {
+      const reviewId = db.ref('payments_review').push().key;
+      await db.ref().update({
+        [`payments_review/${reviewId}`]: record,
+        ...(record.billcode ? {
+          [`payments_review_by_billcode/${record.billcode}/${reviewId}`]: { reason: record.reason, storedAt: record.storedAt }
+        } : {})
+      });
+      return reviewId;
+    },
+    async listReviewsByBillcode(billcode) {
+      const snapshot = await db.ref(`payments_review_by_billcode/${billcode}`).once('value');
+      const reviewIds = Object.keys(snapshot.val() || {});
+      const records = await Promise.all(reviewIds.map(reviewId => db.ref(`payments_review/${reviewId}`).once('value')));
+      return records.filter(record => record.exists()).map(record => ({ reviewId: record.key, ...record.val() }));
+    }
+  };
+
+  const refunds = {
+    async get(refundId) {
+      const snapshot = await db.ref(`refunds/${refundId}`).once('value');
+      return snapshot.val();
+    },
+    transaction(refundId, fn) {
+      return runTransaction(db.ref(`refunds/${refundId}`), fn);
+    },
+    listByOrder(orderId) {
+      return listChildren(db.ref(`refunds_by_order/${orderId}`), 'refundId');
+    },
+    // The refund, its order summary and its entry under the payment's index, in one write.
+    async save(refund) {
+      const { refundId, orderId, paymentId, amount, status, requestedAt } = refund;
+      await db.ref().update({
+        [`refunds/${refundId}`]: refund,
+        [`refunds_by_order/${orderId}/${refundId}`]: { refundId, paymentId, amount, status, requestedAt },
+        [`payments_by_order/${orderId}/${paymentId}/refunds/${refundId}`]: { amount, status }
+      });
+    },
+    // Copies a decided status onto the summaries kept beside the order and payment.
+    async setSummaryStatus({ refundId, orderId, paymentId }, status) {
+      await db.ref().update({
+        [`refunds_by_order/${orderId}/${refundId}/status`]: status,
+        [`payments/${paymentId}/refunds/${refundId}/status`]: status,
+        [`payments_by_order/${orderId}/${paymentId}/refunds/${refundId}/status`]: status
+      });
+    }
+  };
+
+  const unmatchedPayments = {
+    async save(id, record) {
+      await db.ref(`payments_unmatched/${id}`).set(record);
+    },
+    async list() {
+      const snapshot = await db.ref('payments_unmatched').once('value');
+      return Object.entries(snapshot.val() || {}).map(([id, record]) => ({ id, ...record }));
+    },
+    async remove(id) {
+      await db.ref(`payments_unmatched/${id}`).remove();
+    }
+  };
+
+  const reconciliationRuns = {
+    async add(report) {
+      const ref = await db.ref('reconciliation_runs').push(report);
+      return ref.key;
+    }
+  };
+
+  const dailyRollups = {
+    transaction(date, fn) {
+      return runTransaction(db.ref(`reports_daily/${date}`), fn);
+    },
+    async range(fromDate, toDate) {
+      const snapshot = await db.ref('reports_daily').orderByKey().startAt(fromDate).endAt(toDate).once('value');
+      return Object.entries(snapshot.val() || {}).map(([date, rollup]) => ({ ...rollup, date }));
+    },
+    // Swaps every rollup in the range for `rollups` ({ [date]: rollup }) in one write.
+    async replaceRange(fromDate, toDate, rollups) {
+      const existing = await dailyRollups.range(fromDate, toDate);
+      const updates = Object.fromEntries(existing.map(({ date }) => [`reports_daily/${date}`, null]));
+      Object.entries(rollups).forEach(([date, rollup]) => {
+        updates[`reports_daily/${date}`] = rollup;
+      });
+      await db.ref().update(updates);
+    }
+  };
+
+  const vouchers = {
+    async get(code) {
+      const snapshot = await db.ref(`vouchers/${code}`).once('value');
+      return snapshot.val();
+    },
+    async list() {
+      const snapshot = await db.ref('vouchers').once('value');
+      return Object.values(snapshot.val() || {});
+    },
+    transaction(code, fn) {
+      return runTransaction(db.ref(`vouchers/${code}`), fn);
+    },
+    async saveRedemption(code, orderId, record) {
+      await db.ref(`voucher_redemptions/${code}/${orderId}`).set(record);
+    },
+    async listRedemptions(code) {
+      const snapshot = await db.ref(`voucher_redemptions/${code}`).once('value');
+      return Object.entries(snapshot.val() || {}).map(([orderId, record]) => ({ orderId, ...record }));
+    }
+  };
+
+  const stations = {
+    list() {
+      return listChildren(db.ref('production/stations'), 'id');
+    },
+    async save(stationId, station) {
+      await db.ref(`production/stations/${stationId}`).set(station);
+    }
+  };
+
+  const pricing = {
+    async getPriceTable() {
+      const snapshot = await db.ref('pricing/priceTable').once('value');
+      return snapshot.val();
+    },
+    async savePriceTable(table) {
+      await db.ref('pricing/priceTable').set(table);
+    }
+  };
+
+  const invoices = {
+    async nextSequence() {
+      const result = await db.ref('counters/invoice').transaction(current => (Number(current) || 0) + 1);
+      return result.snapshot.val();
+    },
+    async register(number, record) {
+      await db.ref(`invoices/${number}`).set(record);
+    }
+  };
+
+  const webhookEvents = {
+    async create(event) {
+      const ref = db.ref('webhook_events').push();
+      await ref.set({ eventId: ref.key, ...event });
+      return ref.key;
+    },
+    async addAttempt(eventId, attempt) {
+      const ref = await db.ref(`webhook_events/${eventId}/attempts`).push(attempt);
+      return ref.key;
+    },
+    async get(eventId) {
+      const snapshot = await db.ref(`webhook_events/${eventId}`).once('value');
+      return snapshot.val();
+    },
+    async list({ provider, before, limit }) {
+      const eventsRef = db.ref('webhook_events');
+      let query;
+      if (provider && before) {
+        // Events for one provider are ordered by key, so endAt(provider, before) pages backwards.
+        query = eventsRef.orderByChild('provider').startAt(provider).endAt(provider, before).limitToLast(limit + 1);
+      } else if (provider) {
+        query = eventsRef.orderByChild('provider').equalTo(provider).limitToLast(limit);
+      } else if (before) {
+        query = eventsRef.orderByKey().endAt(before).limitToLast(limit + 1);
+      } else {
+        query = eventsRef.orderByKey().limitToLast(limit);
+      }
+      const snapshot = await query.once('value');
+      return Object.entries(snapshot.val() || {}).map(([eventId, event]) => ({ ...event, eventId }));
+    }
+  };
+
+  const notifications = {
+    async getPreferences(userId) {
+      const snapshot = await db.ref(`notification_preferences/${userId}`).once('value');
+      return snapshot.val();
+    },
+    async updatePreferences(userId, updates) {
+      await db.ref(`notification_preferences/${userId}`).update(updates);
+    },
+    async listDeviceTokens(userId) {
+      const snapshot = await db.ref(`device_tokens/${userId}`).once('value');
+      return Object.values(snapshot.val() || {});
+    },
+    async saveDeviceToken(userId, tokenKey, record) {
+      await db.ref(`device_tokens/${userId}/${tokenKey}`).set(record);
+    },
+    async removeDeviceTokens(userId, tokenKeys) {
+      await db.ref().update(Object.fromEntries(tokenKeys.map(key => [`device_tokens/${userId}/${key}`, null])));
+    },
+    async getUserEmail(userId) {
+      const snapshot = await db.ref(`users/${userId}/email`).once('value');
+      return snapshot.val();
+    },
+    // Saves a queue entry, giving it an id first if it has none. Returns the id.
+    async saveQueued(entry) {
+      const ref = entry.id ? db.ref(`notification_queue/${entry.id}`) : db.ref('notification_queue').push();
+      await ref.set({ ...entry, id: ref.key });
+      return ref.key;
+    },
+    async removeQueued(id) {
+      await db.ref(`notification_queue/${id}`).remove();
+    },
+    async listQueued(status) {
+      const snapshot = await db.ref('notification_queue').orderByChild('status').equalTo(status).once('value');
+      return Object.values(snapshot.val() || {});
+    }
+  };
+
+  return {
+    orders,
+    orderNotes,
+    payments,
+    refunds,
+    unmatchedPayments,
+    reconciliationRuns,
+    dailyRollups,
+    vouchers,
+    stations,
+    pricing,
+    invoices,
+    webhookEvents,
+    notifications
+  };
+}
@@ -0,0 +1,101 @@
+import { db } from '../firebase.js';
+import { createFirebaseRepositories } from './firebase.js';
+import { createMemoryRepositories } from './memory.js';
+
+// -----------------------------------------------------------------------------
+// Repositories
+// -----------------------------------------------------------------------------
+// All storage sits behind these interfaces so the app can run against Firebase
+// or, in tests, an in-memory store. Only migrate.js and the readiness ping in
+// app.js talk to the database directly.
+//
+// orders
+//   get(orderId)                       -> { id, ...order } | null
+//   findByBillcode(billcode)           -> { id, ...order } | null (billcode, then billCode)
+//   update(orderId, fields)            merge; keys may be child paths (`files/{fileId}`)
+//   transaction(orderId, fn)           -> { committed, value }
+//   listCreatedBetween(fromIso, toIso) -> [{ id, ...order }] by createdAt
+//   listByStatus(statuses)             -> [{ id, ...order }]
+//   listByUser(userId)                 -> [{ id, ...order }] by userId
+//   list()                             -> [{ id, ...order }] every order
+//   newFileId(orderId)                 -> unused key for orders/{orderId}/files
+// orderNotes (order_notes, staff only)
+//   list(orderId) -> [{ noteId, ...note }] / add(orderId, note) -> noteId
+// payments
+//   get(paymentId)                     -> payment | null
+//   findByBillcode(billcode)           -> [payment] (billcode, then billCode)
+//   transaction(paymentId, fn)         -> { committed, value }
+//   listCreatedBetween(fromIso, toIso) -> [payment] by createdAt
+//   saveOrderSummary(orderId, paymentId, summary)   payments_by_order index, merged into the entry
+//   saveUserSummary(userId, paymentId, summary)     payments_by_user index, merged into the entry
+//   listByOrder(orderId) / listByUser(userId)  -> [summary] from those indexes
+//   remove(orderId, paymentId, userId?)  payment and its index entries together
+//   saveReview(record)                 -> reviewId, a new payments_review entry indexed by billcode
+//   listReviewsByBillcode(billcode)    -> [{ reviewId, ...record }]
+// refunds (see refunds.js)
+//   get(refundId) -> refund | null
+//   transaction(refundId, fn)          -> { committed, value }
+//   listByOrder(orderId)               -> [{ refundId, ...summary }] from refunds_by_order
+//   save(refund)                       refund, its order summary and payment index entry together
+//   setSummaryStatus(refund, status)   status on those summaries and on the payment's reservation
+// unmatchedPayments
+//   save(id, record) / list() -> [{ id, ...record }] / remove(id)
+// reconciliationRuns
+//   add(report) -> runId
+// dailyRollups (reports_daily, see reports.js)
+//   transaction(date, fn)              -> { committed, value }
+//   range(fromDate, toDate)            -> [{ date, ...rollup }] oldest first
+//   replaceRange(fromDate, toDate, rollups)  rollups: { [date]: rollup }
+// vouchers (see vouchers.js)
+//   get(code) -> voucher | null / list() -> [voucher]
+//   transaction(code, fn)              -> { committed, value }
+//   saveRedemption(code, orderId, record)   voucher_redemptions
+//   listRedemptions(code)              -> [{ orderId, ...record }]
+// stations (production/stations, see production.js)
+//   list() -> [{ id, ...station }] / save(stationId, station)
+// pricing
+//   getPriceTable() -> table | null / savePriceTable(table)
+// invoices (see invoices.js)
+//   nextSequence()                     -> next value of counters/invoice, never repeated
+//   register(number, record)           invoices/{number}
+// webhookEvents (see webhook-events.js); ids sort in arrival order
+//   create(event) -> eventId / addAttempt(eventId, attempt) -> attemptId
+//   get(eventId) -> event | null
+//   list({ provider, before, limit })  -> [{ eventId, ...event }], unsorted: the newest `limit`,
+//                                      or `limit` + 1 up to and including `before`
+// notifications (see notifications.js)
+//   getPreferences(userId) / updatePreferences(userId, updates)
+//   listDeviceTokens(userId) -> [entry] / saveDeviceToken(userId, tokenKey, entry)
+//   removeDeviceTokens(userId, tokenKeys)
+//   getUserEmail(userId)               -> users/{uid}/email | null
+//   saveQueued(entry) -> id / removeQueued(id) / listQueued(status) -> [entry]
+//
+// transaction(key, fn) follows Realtime Database semantics: fn receives the
+// current value (null if absent) and returns the new value, or undefined to abort.
+
+let override = null;
+let cached = null;
+
+// createApp({ repositories }) installs an implementation; null goes back to Firebase.
+export function setRepositories(repositories) {
+  override = repositories || null;
+}
+
+export function repositoriesAvailable() {
+  return Boolean(override || db);
+}
+
+export function getRepositories() {
+  if (override) {
+    return override;
+  }
+  if (!db) {
+    throw new Error('Firebase Admin is not initialised. Set service credentials.');
+  }
+  if (!cached || cached.db !== db) {
+    cached = { db, repositories: createFirebaseRepositories(db) };
+  }
+  return cached.repositories;
+}
+
+export { createFirebaseRepositories, createMemoryRepositories };
@@ -0,0 +1,351 @@
+// -----------------------------------------------------------------------------
+// In-memory repositories
+// -----------------------------------------------------------------------------
+// Same interface as the Firebase implementation, backed by plain objects laid
+// out like the database (`data.orders`, `data.payments`, ...) so tests can seed
+// and inspect state directly. Values are copied through JSON on the way in and
+// out, which drops undefined fields the way Firebase refuses them.
+
+const COLLECTIONS = [
+  'orders', 'order_notes', 'payments', 'payments_by_order', 'payments_by_user', 'payments_review',
+  'payments_review_by_billcode', 'payments_unmatched', 'refunds', 'refunds_by_order', 'reports_daily',
+  'reconciliation_runs', 'vouchers', 'voucher_redemptions', 'production', 'pricing', 'counters', 'invoices',
+  'webhook_events', 'notification_preferences', 'device_tokens', 'notification_queue', 'users'
+];
+
+function copy(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Writes value at a slash-separated path below root, like one entry of a
+// multi-path update; null removes it.
+function writePath(root, path, value) {
+  const keys = path.split('/');
+  const last = keys.pop();
+  let node = root;
+  for (const key of keys) {
+    if (node[key] === undefined || node[key] === null) {
+      if (value === null) {
+        return;
+      }
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  if (value === null) {
+    delete node[last];
+  } else {
+    node[last] = copy(value);
+  }
+}
+
+export function createMemoryRepositories(seed = {}) {
+  const data = Object.fromEntries(COLLECTIONS.map(name => [name, copy(seed[name]) || {}]));
+
+  // Fixed-width counter so keys sort in creation order, like push keys.
+  let lastKey = 0;
+  const pushKey = () => `k${String(++lastKey).padStart(10, '0')}`;
+
+  const entries = (node, idField) => Object.entries(node || {}).map(([id, value]) => ({ [idField]: id, ...copy(value) }));
+
+  const findByBillcode = collection => billcode => {
+    for (const field of ['billcode', 'billCode']) {
+      const matches = Object.entries(data[collection]).filter(([, value]) => value?.[field] === billcode);
+      if (matches.length) {
+        return matches;
+      }
+    }
+    return [];
+  };
+
+  const createdBetween = collection => (fromIso, toIso) => Object.entries(data[collection])
+    .filter(([, value]) => value?.createdAt >= fromIso && value.createdAt <= toIso)
+    .map(([id, value]) => ({ id, ...copy(value) }));
+
+  // fn runs against the current value; returning undefined aborts, null deletes.
+  // Like Firebase with nothing cached, fn first sees null and is run again with
+  // the stored value, so an updater that aborts on null fails here too.
+  const transaction = collection => async (key, fn) => {
+    let next = fn(null);
+    if (next !== undefined && data[collection][key] !== undefined) {
+      next = fn(copy(data[collection][key]));
+    }
+    if (next === undefined) {
+      return { committed: false, value: copy(data[collection][key]) };
+    }
+    if (next === null) {
+      delete data[collection][key];
+    } else {
+      data[collection][key] = copy(next);
+    }
+    return { committed: true, value: copy(next) };
+  };
+
+  const orders = {
+    async get(orderId) {
+      const order = data.orders[orderId];
+      return order ? { id: orderId, ...copy(order) } : null;
+    },
+    async findByBillcode(billcode) {
+      const [match] = findByBillcode('orders')(billcode);
+      return match ? { id: match[0], ...copy(match[1]) } : null;
+    },
+    // Keys may be child paths (`files/{fileId}`), as in a Firebase update.
+    async update(orderId, fields) {
+      data.orders[orderId] = data.orders[orderId] || {};
+      Object.entries(copy(fields)).forEach(([path, value]) => writePath(data.orders[orderId], path, value));
+    },
+    transaction: transaction('orders'),
+    async listCreatedBetween(fromIso, toIso) {
+      return createdBetween('orders')(fromIso, toIso);
+    },
+    async listByStatus(statuses) {
+      return Object.entries(data.orders)
+        .filter(([, order]) => statuses.includes(order?.status))
+        .map(([id, order]) => ({ id, ...copy(order) }));
+    },
+    async listByUser(userId) {
+      return Object.entries(data.orders)
+        .filter(([, order]) => order?.userId === userId)
+        .map(([id, order]) => ({ id, ...copy(order) }));
+    },
+    async list() {
+      return entries(data.orders, 'id');
+    },
+    newFileId() {
+      return pushKey();
+    }
+  };
+
+  const orderNotes = {
+    async list(orderId) {
+      return entries(data.order_notes[orderId], 'noteId');
+    },
+    async add(orderId, note) {
+      const noteId = pushKey();
+      writePath(data.order_notes, `${orderId}/${noteId}`, note);
+      return noteId;
+    }
+  };
+
+  const payments = {
+    async get(paymentId) {
+      return copy(data.payments[paymentId]);
+    },
+    async findByBillcode(billcode) {
+      return findByBillcode('payments')(billcode).map(([, payment]) => copy(payment));
+    },
+    transaction: transaction('payments'),
+    async listCreatedBetween(fromIso, toIso) {
+      return createdBetween('payments')(fromIso, toIso).map(({ id, ...payment }) => ({ paymentId: id, ...payment }));
+    },
+    async saveOrderSummary(orderId, paymentId, summary) {
+      Object.entries(copy(summary)).forEach(([field, value]) => writePath(data.payments_by_order, `${orderId}/${paymentId}/${field}`, value));
+    },
+    async saveUserSummary(userId, paymentId, summary) {
+      Object.entries(copy(summary)).forEach(([field, value]) => writePath(data.payments_by_user, `${userId}/${paymentId}/${field}`, value));
+    },
+    async listByOrder(orderId) {
+      return Object.entries(data.payments_by_order[orderId] || {}).map(([paymentId, summary]) => ({ paymentId, ...copy(summary) }));
+    },
+    async listByUser(userId) {
+      return Object.entries(data.payments_by_user[userId] || {}).map(([paymentId, summary]) => ({ paymentId, ...copy(summary) }));
+    },
+    async remove(orderId, paymentId, userId = null) {
+      delete data.payments[paymentId];
+      if (data.payments_by_order[orderId]) {
+        delete data.payments_by_order[orderId][paymentId];
+      }
+      if (userId && data.payments_by_user[userId]) {
+        delete data.payments_by_user[userId][paymentId];
+      }
+    },
+    async saveReview(record) {
+      const reviewId = pushKey();
+      data.payments_review[reviewId] = copy(record);
+      if (record.billcode) {
+        writePath(data.payments_review_by_billcode, `${record.billcode}/${reviewId}`, { reason: record.reason, storedAt: record.storedAt });
+      }
+      return reviewId;
+    },
+    async listReviewsByBillcode(billcode) {
+      return Object.keys(data.payments_review_by_billcode[billcode] || {})
+        .filter(reviewId => data.payments_review[reviewId])
+        .map(reviewId => ({ reviewId, ...copy(data.payments_review[reviewId]) }));
+    }
+  };
+
+  const refunds = {
+    async get(refundId) {
+      return copy(data.refunds[refundId]);
+    },
+    transaction: transaction('refunds'),
+    async listByOrder(orderId) {
+      return entries(data.refunds_by_order[orderId], 'refundId');
+    },
+    async save(refund) {
+      const { refundId, orderId, paymentId, amount, status, requestedAt } = refund;
+      data.refunds[refundId] = copy(refund);
+      writePath(data.refunds_by_order, `${orderId}/${refundId}`, { refundId, paymentId, amount, status, requestedAt });
+      writePath(data.payments_by_order, `${orderId}/${paymentId}/refunds/${refundId}`, { amount, status });
+    },
+    async setSummaryStatus({ refundId, orderId, paymentId }, status) {
+      writePath(data.refunds_by_order, `${orderId}/${refundId}/status`, status);
+      writePath(data.payments, `${paymentId}/refunds/${refundId}/status`, status);
+      writePath(data.payments_by_order, `${orderId}/${paymentId}/refunds/${refundId}/status`, status);
+    }
+  };
+
+  const unmatchedPayments = {
+    async save(id, record) {
+      data.payments_unmatched[id] = copy(record);
+    },
+    async list() {
+      return Object.entries(data.payments_unmatched).map(([id, record]) => ({ id, ...copy(record) }));
+    },
+    async remove(id) {
+      delete data.payments_unmatched[id];
+    }
+  };
+
+  const reconciliationRuns = {
+    async add(report) {
+      const runId = pushKey();
+      data.reconciliation_runs[runId] = copy(report);
+      return runId;
+    }
+  };
+
+  const dailyRollups = {
+    transaction: transaction('reports_daily'),
+    async range(fromDate, toDate) {
+      return Object.entries(data.reports_daily)
+        .filter(([date]) => date >= fromDate && date <= toDate)
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([date, rollup]) => ({ ...copy(rollup), date }));
+    },
+    async replaceRange(fromDate, toDate, rollups) {
+      Object.keys(data.reports_daily)
+        .filter(date => date >= fromDate && date <= toDate)
+        .forEach(date => delete data.reports_daily[date]);
+      Object.entries(rollups).forEach(([date, rollup]) => {
+        data.reports_daily[date] = copy(rollup);
+      });
+    }
+  };
+
+  const vouchers = {
+    async get(code) {
+      return copy(data.vouchers[code]);
+    },
+    async list() {
+      return Object.values(data.vouchers).map(copy);
+    },
+    transaction: transaction('vouchers'),
+    async saveRedemption(code, orderId, record) {
+      data.voucher_redemptions[code] = { ...(data.voucher_redemptions[code] || {}), [orderId]: copy(record) };
+    },
+    async listRedemptions(code) {
+      return Object.entries(data.voucher_redemptions[code] || {}).map(([orderId, record]) => ({ orderId, ...copy(record) }));
+    }
+  };
+
+  const stations = {
+    async list() {
+      return entries(data.production.stations, 'id');
+    },
+    async save(stationId, station) {
+      writePath(data.production, `stations/${stationId}`, station);
+    }
+  };
+
+  const pricing = {
+    async getPriceTable() {
+      return copy(data.pricing.priceTable);
+    },
+    async savePriceTable(table) {
+      data.pricing.priceTable = copy(table);
+    }
+  };
+
+  const invoices = {
+    async nextSequence() {
+      data.counters.invoice = (Number(data.counters.invoice) || 0) + 1;
+      return data.counters.invoice;
+    },
+    async register(number, record) {
+      data.invoices[number] = copy(record);
+    }
+  };
+
+  const webhookEvents = {
+    async create(event) {
+      const eventId = pushKey();
+      data.webhook_events[eventId] = copy({ eventId, ...event });
+      return eventId;
+    },
+    async addAttempt(eventId, attempt) {
+      const attemptId = pushKey();
+      writePath(data.webhook_events, `${eventId}/attempts/${attemptId}`, attempt);
+      return attemptId;
+    },
+    async get(eventId) {
+      return copy(data.webhook_events[eventId]);
+    },
+    async list({ provider, before, limit }) {
+      const all = entries(data.webhook_events, 'eventId')
+        .filter(event => !provider || event.provider === provider)
+        .sort((a, b) => (a.eventId < b.eventId ? -1 : 1));
+      return before ? all.filter(event => event.eventId <= before).slice(-(limit + 1)) : all.slice(-limit);
+    }
+  };
+
+  const notifications = {
+    async getPreferences(userId) {
+      return copy(data.notification_preferences[userId]);
+    },
+    async updatePreferences(userId, updates) {
+      data.notification_preferences[userId] = { ...(data.notification_preferences[userId] || {}), ...copy(updates) };
+    },
+    async listDeviceTokens(userId) {
+      return Object.values(data.device_tokens[userId] || {}).map(copy);
+    },
+    async saveDeviceToken(userId, tokenKey, record) {
+      writePath(data.device_tokens, `${userId}/${tokenKey}`, record);
+    },
+    async removeDeviceTokens(userId, tokenKeys) {
+      tokenKeys.forEach(key => writePath(data.device_tokens, `${userId}/${key}`, null));
+    },
+    async getUserEmail(userId) {
+      return data.users[userId]?.email ?? null;
+    },
+    async saveQueued(entry) {
+      const id = entry.id || pushKey();
+      data.notification_queue[id] = copy({ ...entry, id });
+      return id;
+    },
+    async removeQueued(id) {
+      delete data.notification_queue[id];
+    },
+    async listQueued(status) {
+      return Object.values(data.notification_queue).filter(entry => entry?.status === status).map(copy);
+    }
+  };
+
+  return {
+    data,
+    orders,
+    orderNotes,
+    payments,
+    refunds,
+    unmatchedPayments,
+    reconciliationRuns,
+    dailyRollups,
+    vouchers,
+    stations,
+    pricing,
+    invoices,
+    webhookEvents,
+    notifications
+  };
+}
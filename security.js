@@ -0,0 +1,255 @@
+import net from 'net';
+import { logger } from './logger.js';
+import { requestsRejected } from './metrics.js';
+
+// -----------------------------------------------------------------------------
+// Request hardening
+// -----------------------------------------------------------------------------
+// Source allowlists and rate limits for the payment callback routes, per-IP
+// rate limits for everything else, the CORS origin allowlist and response
+// security headers. Every rejection is logged with its reason and counted in
+// http_requests_rejected_total.
+
+// POST /payment/callback (legacy ToyyibPay) and POST /payment/:provider/callback
+const CALLBACK_PATH = /^\/payment\/(?:([^/]+)\/)?callback\/?$/;
+
+// ---------------------------------------------------------------------------
+// IP rules
+// ---------------------------------------------------------------------------
+
+// Splits a comma separated list of addresses and CIDR ranges (IPv4 or IPv6).
+// Returns { rules, invalid } so config can report every bad entry at once.
+export function parseIpRules(value) {
+  const rules = [];
+  const invalid = [];
+  String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [address, prefix, ...rest] = entry.split('/');
+      const family = net.isIP(address);
+      const maxPrefix = family === 6 ? 128 : 32;
+      const validPrefix = prefix === undefined ||
+        (/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix);
+      if (!family || !validPrefix || rest.length) {
+        invalid.push(entry);
+      } else {
+        rules.push(entry);
+      }
+    });
+  return { rules, invalid };
+}
+
+function toBlockList(rules) {
+  const list = new net.BlockList();
+  rules.forEach(rule => {
+    const [address, prefix] = rule.split('/');
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+  });
+  return list;
+}
+
+// Dual-stack sockets report IPv4 clients as ::ffff:a.b.c.d.
+export function clientIp(req) {
+  const ip = String(req.ip || req.socket?.remoteAddress || '');
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+function ipMatches(list, ip) {
+  const family = net.isIP(ip);
+  return family !== 0 && list.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// ---------------------------------------------------------------------------
+// Rejections
+// ---------------------------------------------------------------------------
+
+export function rejectRequest(req, res, status, reason, details = {}) {
+  requestsRejected.inc({ reason });
+  logger.warn('Request rejected', {
+    reason,
+    status,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: clientIp(req),
+    ...details
+  });
+  return res.status(status).json({ success: false, error: reason });
+}
+
+// ---------------------------------------------------------------------------
+// Callback source allowlist
+// ---------------------------------------------------------------------------
+
+export function isCallbackRequest(req) {
+  return req.method === 'POST' && CALLBACK_PATH.test(req.path);
+}
+
+// allowlists: { [provider]: [rule, ...] }. A provider with no rules accepts
+// callbacks from anywhere (signatures are still checked downstream).
+export function callbackAllowlist(allowlists, legacyProvider) {
+  const lists = Object.fromEntries(
+    Object.entries(allowlists || {})
+      .filter(([, rules]) => rules.length)
+      .map(([provider, rules]) => [provider, toBlockList(rules)])
+  );
+
+  return function checkCallbackSource(req, res, next) {
+    if (!isCallbackRequest(req)) {
+      return next();
+    }
+    const provider = (req.path.match(CALLBACK_PATH)[1] || legacyProvider).toLowerCase();
+    const list = lists[provider];
+    if (!list) {
+      return next();
+    }
+    const ip = clientIp(req);
+    if (!ipMatches(list, ip)) {
+      return rejectRequest(req, res, 403, 'callback_source_not_allowed', { provider });
+    }
+    return next();
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting
+// ---------------------------------------------------------------------------
+// Fixed window per key. A store implements
+//   hit(key, windowMs) -> Promise<{ count, resetAt }>
+// so several instances can share counters (e.g. a Redis-backed store) by
+// passing one to createApp({ rateLimitStore }). The default keeps them in memory.
+
+export function createMemoryRateLimitStore() {
+  const windows = new Map();
+  let nextSweepAt = 0;
+
+  // Drop expired windows now and then so one-off clients do not pile up.
+  function sweep(at) {
+    if (at < nextSweepAt) {
+      return;
+    }
+    windows.forEach((window, key) => {
+      if (window.resetAt <= at) {
+        windows.delete(key);
+      }
+    });
+    nextSweepAt = at + 60 * 1000;
+  }
+
+  return {
+    async hit(key, windowMs) {
+      const at = Date.now();
+      sweep(at);
+      let window = windows.get(key);
+      if (!window || window.resetAt <= at) {
+        window = { count: 0, resetAt: at + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    }
+  };
+}
+
+// limit 0 disables the limiter. skip(req) exempts a request (it is then
+// counted by a more specific limiter instead).
+export function rateLimit({ name, limit, windowMs, store, skip = () => false }) {
+  return async function limitRate(req, res, next) {
+    if (!limit || skip(req)) {
+      return next();
+    }
+
+    let usage;
+    try {
+      usage = await store.hit(`${name}:${clientIp(req)}`, windowMs);
+    } catch (error) {
+      // A broken store must not take payments down with it.
+      logger.error('Rate limit store failed; letting request through', { limiter: name, err: error });
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((usage.resetAt - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - usage.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (usage.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return rejectRequest(req, res, 429, 'rate_limited', { limiter: name, limit, count: usage.count });
+    }
+    return next();
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CORS
+// ---------------------------------------------------------------------------
+
+// origins: list of allowed origins, or null to allow any (development only).
+// Requests without an Origin header (gateways, the Android app, curl) are not
+// affected; CORS only concerns browsers.
+export function corsOptions(origins) {
+  if (!origins) {
+    return { origin: true, credentials: true };
+  }
+  return {
+    credentials: true,
+    origin(origin, callback) {
+      callback(null, !origin || origins.includes(origin));
+    }
+  };
+}
+
+// CORS only stops a browser reading the response; a cross-site POST still runs.
+// Refuse state-changing requests from origins outside the allowlist outright.
+export function rejectUnknownOrigins(origins) {
+  return function checkOrigin(req, res, next) {
+    const origin = req.headers.origin;
+    if (!origins || !origin || origins.includes(origin) || isCallbackRequest(req)) {
+      return next();
+    }
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return next();
+    }
+    return rejectRequest(req, res, 403, 'origin_not_allowed', { origin });
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Security headers
+// ---------------------------------------------------------------------------
+
+// The payment return page is the only HTML served; its script and styles are
+// inline and it only talks back to this origin.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+export function securityHeaders({ production = false } = {}) {
+  return function setSecurityHeaders(req, res, next) {
+    res.set({
+      'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'no-referrer',
+      'Cross-Origin-Opener-Policy': 'same-origin'
+    });
+    if (production) {
+      res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    }
+    next();
+  };
+}
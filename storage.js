@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { admin } from './firebase.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// -----------------------------------------------------------------------------
+// File storage drivers
+// -----------------------------------------------------------------------------
+// Both drivers expose the same shape:
+//   save(key, readable, { contentType }) -> { driver, key, location }
+//   createReadStream(key)                -> Readable
+//   remove(key)                          -> void
+
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function resolveKey(key) {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  }
+
+  return {
+    driver: 'local',
+
+    async save(key, readable) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(readable, fs.createWriteStream(target));
+      return { driver: 'local', key, location: target };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+export function createFirebaseStorage(bucketName) {
+  if (!admin.apps.length) {
+    throw new Error('Firebase Admin is not initialised. Set service credentials.');
+  }
+  const bucket = admin.storage().bucket(bucketName || undefined);
+
+  return {
+    driver: 'firebase',
+
+    async save(key, readable, { contentType } = {}) {
+      const file = bucket.file(key);
+      await pipeline(readable, file.createWriteStream({
+        resumable: false,
+        metadata: { contentType }
+      }));
+      return { driver: 'firebase', key, location: `gs://${bucket.name}/${key}` };
+    },
+
+    createReadStream(key) {
+      return bucket.file(key).createReadStream();
+    },
+
+    async remove(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    }
+  };
+}
+
+let storage = null;
+
+// STORAGE_DRIVER=local (default) writes under UPLOAD_DIR; STORAGE_DRIVER=firebase uses the
+// default bucket, or FIREBASE_STORAGE_BUCKET when set.
+export function getStorage() {
+  if (!storage) {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    storage = driver === 'firebase'
+      ? createFirebaseStorage(process.env.FIREBASE_STORAGE_BUCKET)
+      : createLocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+  }
+  return storage;
+}
@@ -0,0 +1,7 @@
+// Imported first by helpers.js so these are in place before any app module loads.
+export const SECRET_KEY = 'test-toyyibpay-secret';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.TOYYIBPAY_MODE = 'sandbox';
+process.env.TOYYIBPAY_SECRET_KEY_SANDBOX = SECRET_KEY;
+process.env.QUOTE_SIGNING_SECRET = 'test-quote-secret';
@@ -0,0 +1,126 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME, postForm, signedCallback, startTestApp } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { expireUnpaidOrders } from '../expiry.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(FIXED_TIME.getTime() - hours * HOUR_MS).toISOString();
+
+// ToyyibPay getBillTransactions, answered per bill code.
+function stubToyyibPay(transactionsByBill) {
+  return mock.method(globalThis, 'fetch', async (url, init) => {
+    const billcode = init.body.get('billCode');
+    const transactions = transactionsByBill[billcode];
+    if (transactions instanceof Error) {
+      throw transactions;
+    }
+    return new Response(JSON.stringify(transactions || []));
+  });
+}
+
+describe('unpaid order expiry', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({
+      orders: {
+        abandoned: {
+          userId: 'user-1',
+          status: 'PENDING_PAYMENT',
+          billcode: 'bc-abandoned',
+          totalAmount: 18,
+          quote: { discount: { code: 'SEM10', amountSen: 200, amount: 2 } },
+          updatedAt: hoursAgo(49)
+        },
+        failed: { userId: 'user-1', status: 'PAYMENT_FAILED', updatedAt: hoursAgo(72) },
+        recent: { userId: 'user-2', status: 'PENDING_PAYMENT', billcode: 'bc-recent', updatedAt: hoursAgo(2) },
+        paidLate: { userId: 'user-3', status: 'PENDING_PAYMENT', billcode: 'bc-paid', totalAmount: 20, updatedAt: hoursAgo(50) },
+        unreachable: { userId: 'user-4', status: 'PENDING_PAYMENT', billcode: 'bc-down', updatedAt: hoursAgo(50) }
+      },
+      vouchers: {
+        SEM10: { code: 'SEM10', usedCount: 0, holds: { abandoned: { userId: 'user-1', heldAt: hoursAgo(49) } } }
+      }
+    });
+    setRepositories(repositories);
+    setClock({ now: () => new Date(FIXED_TIME) });
+    stubToyyibPay({
+      'bc-paid': [{
+        billpaymentStatus: '1',
+        billpaymentAmount: '20.00',
+        billpaymentInvoiceNo: 'TP-6001',
+        billExternalReferenceNo: 'paidLate',
+        billPaymentDate: '15-01-2026 09:00:00'
+      }],
+      'bc-down': new Error('ToyyibPay getBillTransactions failed with HTTP 503')
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('expires orders unpaid past the timeout and releases their voucher hold', async () => {
+    const report = await expireUnpaidOrders(48);
+    const { orders } = repositories.data;
+
+    assert.deepEqual(report.expired.sort(), ['abandoned', 'failed']);
+    assert.equal(orders.abandoned.status, 'EXPIRED');
+    assert.equal(orders.abandoned.adminStatus, 'cancelled');
+    assert.equal(orders.abandoned.expiryReason, 'payment_not_received');
+    assert.equal(orders.abandoned.expiredAt, FIXED_TIME.toISOString());
+    assert.equal(orders.failed.expiryReason, 'no_bill_created');
+    assert.deepEqual(Object.values(orders.abandoned.statusHistory)[0].actor, { type: 'scheduler', id: 'expiry', name: null });
+    assert.deepEqual(repositories.data.vouchers.SEM10.holds, {});
+    assert.equal(orders.recent.status, 'PENDING_PAYMENT');
+  });
+
+  test('applies a payment the provider reports instead of expiring the order', async () => {
+    const report = await expireUnpaidOrders(48);
+
+    assert.deepEqual(report.paid, [{ orderId: 'paidLate', outcome: 'saved' }]);
+    assert.equal(repositories.data.orders.paidLate.status, 'PAID');
+    assert.equal(repositories.data.payments['TP-6001'].status, 'success');
+  });
+
+  test('leaves an order alone when its bill cannot be checked', async () => {
+    const report = await expireUnpaidOrders(48);
+
+    assert.equal(repositories.data.orders.unreachable.status, 'PENDING_PAYMENT');
+    assert.deepEqual(report.errors, [{ orderId: 'unreachable', error: 'ToyyibPay getBillTransactions failed with HTTP 503' }]);
+  });
+});
+
+describe('late payment for an expired order', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  test('reopens the order instead of parking the payment as unmatched', async () => {
+    harness = await startTestApp({
+      orders: {
+        'ORD-9': { userId: 'user-1', status: 'EXPIRED', billcode: 'bc-late', totalAmount: 15, expiredAt: hoursAgo(1) }
+      }
+    });
+
+    const { status, body } = await postForm(harness.baseUrl, '/payment/callback', signedCallback({
+      billcode: 'bc-late',
+      status_id: '1',
+      order_id: 'ORD-9',
+      refno: 'TP-6002',
+      amount: '15.00'
+    }));
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(harness.data.orders['ORD-9'].status, 'PAID');
+    assert.equal(harness.data.orders['ORD-9'].reopenedAt, FIXED_TIME.toISOString());
+    assert.deepEqual(harness.data.payments_unmatched, {});
+  });
+});
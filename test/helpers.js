@@ -0,0 +1,47 @@
+import { SECRET_KEY } from './env.js';
+import { createApp } from '../app.js';
+import { loadConfig } from '../config.js';
+import { createMemoryRepositories } from '../repositories/index.js';
+import { computeCallbackHash } from '../toyyibpay.js';
+
+// -----------------------------------------------------------------------------
+// Test harness
+// -----------------------------------------------------------------------------
+// Builds the real app over in-memory repositories (no Firebase) and a fixed
+// clock, listens on a random port and talks to it over HTTP.
+
+export { SECRET_KEY };
+export const FIXED_TIME = new Date('2026-01-15T08:00:00.000Z');
+
+// env adds settings on top of the defaults loadConfig() would use.
+export async function startTestApp(seed = {}, { env = {} } = {}) {
+  const repositories = createMemoryRepositories(seed);
+  const { config } = loadConfig({ NODE_ENV: 'test', BACKEND_URL: 'http://localhost:3000', ...env });
+  const app = createApp({ db: null, repositories, config, clock: { now: () => new Date(FIXED_TIME) } });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    data: repositories.data,
+    repositories,
+    baseUrl,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Signs the payload the way ToyyibPay does unless it already carries a hash.
+export function signedCallback(fields) {
+  return { ...fields, hash: fields.hash ?? computeCallbackHash(SECRET_KEY, fields) };
+}
+
+export async function postForm(baseUrl, path, fields) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(fields).toString()
+  });
+  return { status: response.status, body: await response.json() };
+}
@@ -0,0 +1,126 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { getCustomerOrder, listCustomerOrders, listCustomerPayments } from '../history.js';
+
+const day = (date, time = '02:00') => `2026-01-${date}T${time}:00.000Z`;
+
+function summary(paymentId, orderId, status, amount, createdAt) {
+  return { paymentId, orderId, status, amount, createdAt, updatedAt: createdAt };
+}
+
+describe('customer history', () => {
+  beforeEach(() => {
+    setRepositories(createMemoryRepositories({
+      orders: {
+        'ORD-1': { userId: 'user-1', status: 'COMPLETED', totalAmount: 12, createdAt: day('10') },
+        'ORD-2': { userId: 'user-1', status: 'approved', totalAmount: 8, createdAt: day('12') },
+        'ORD-3': { userId: 'user-1', status: 'PENDING_PAYMENT', totalAmount: 5, createdAt: day('12') },
+        'ORD-4': {
+          userId: 'user-1',
+          status: 'COMPLETED',
+          createdAt: day('14'),
+          statusUpdatedBy: 'staff@tinta.test',
+          production: { assignee: 'staff-1', stationId: 'press-1' },
+          pickup: { status: 'ready', code: 'ABCD2345', qrCode: 'data:image/png;base64,xx', expiresAt: day('28') }
+        },
+        'ORD-5': {
+          userId: 'user-3',
+          status: 'CANCELLED',
+          createdAt: day('09'),
+          paymentReview: { reviewId: 'k0000000001', reason: 'amount_underpaid' },
+          quote: { quoteId: 'QT-5', totalSen: 1200, signature: 'a1b2c3' },
+          files: {
+            f1: { originalName: 'thesis.pdf', pageCount: 12, storage: { driver: 'local', key: 'orders/ORD-5/f1.pdf' } }
+          },
+          cancellation: {
+            reason: 'duplicate order',
+            refundDecision: 'full',
+            cancelledBy: 'staff@tinta.test',
+            cancelledAt: day('09', '05:00'),
+            refundPending: { amount: 12, error: 'timeout' }
+          }
+        },
+        'ORD-9': { userId: 'user-2', status: 'PAID', createdAt: day('13') }
+      },
+      payments_by_order: {
+        'ORD-1': {
+          'bc-1': { paymentId: 'bc-1', status: 'failed', amount: 12, createdAt: day('10', '02:05') },
+          'TP-1': { paymentId: 'TP-1', status: 'success', amount: 12, createdAt: day('10', '03:00') }
+        }
+      },
+      payments_by_user: {
+        'user-1': {
+          'bc-1': summary('bc-1', 'ORD-1', 'failed', 12, day('10', '02:05')),
+          'TP-1': summary('TP-1', 'ORD-1', 'success', 12, day('10', '03:00')),
+          'TP-2': summary('TP-2', 'ORD-2', 'success', 8, day('12'))
+        },
+        'user-2': { 'TP-9': summary('TP-9', 'ORD-9', 'success', 30, day('13')) }
+      }
+    }));
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('lists only the caller\'s orders, newest first, a page at a time', async () => {
+    const first = await listCustomerOrders('user-1', { limit: '2' });
+    assert.deepEqual(first.orders.map(order => order.id), ['ORD-4', 'ORD-3']);
+    assert.ok(first.nextCursor);
+
+    const second = await listCustomerOrders('user-1', { limit: '2', cursor: first.nextCursor });
+    assert.deepEqual(second.orders.map(order => order.id), ['ORD-2', 'ORD-1']);
+    assert.equal(second.nextCursor, null);
+  });
+
+  test('filters orders by status and Malaysia date', async () => {
+    const paid = await listCustomerOrders('user-1', { status: 'paid,completed' });
+    assert.deepEqual(paid.orders.map(order => order.id), ['ORD-4', 'ORD-2', 'ORD-1']);
+    assert.equal(paid.orders[1].status, 'PAID');
+
+    // 2026-01-12T02:00Z is 10:00 on the 12th in Malaysia.
+    const dated = await listCustomerOrders('user-1', { from: '2026-01-11', to: '2026-01-12' });
+    assert.deepEqual(dated.orders.map(order => order.id), ['ORD-3', 'ORD-2']);
+  });
+
+  test('rejects malformed queries', async () => {
+    await assert.rejects(listCustomerOrders('user-1', { limit: '0' }), { status: 400 });
+    await assert.rejects(listCustomerOrders('user-1', { status: 'SHIPPED' }), { status: 400, message: /Unknown status SHIPPED/ });
+    await assert.rejects(listCustomerOrders('user-1', { from: '2026-02-31' }), { status: 400 });
+    await assert.rejects(listCustomerOrders('user-1', { cursor: 'not-a-cursor' }), { status: 400, message: 'cursor is invalid' });
+  });
+
+  test('an order comes with its payments and without staff-only fields', async () => {
+    const { order, payments } = await getCustomerOrder('user-1', 'ORD-1');
+    assert.equal(order.id, 'ORD-1');
+    assert.deepEqual(payments.map(payment => payment.paymentId), ['TP-1', 'bc-1']);
+
+    const { order: collected } = await getCustomerOrder('user-1', 'ORD-4');
+    assert.equal(collected.production, undefined);
+    assert.equal(collected.statusUpdatedBy, undefined);
+    assert.deepEqual(collected.pickup, { status: 'ready', expiresAt: day('28'), collectedAt: null });
+
+    const { order: cancelled } = await getCustomerOrder('user-3', 'ORD-5');
+    assert.equal(cancelled.paymentReview, undefined);
+    assert.deepEqual(cancelled.quote, { quoteId: 'QT-5', totalSen: 1200 });
+    assert.deepEqual(cancelled.files, { f1: { originalName: 'thesis.pdf', pageCount: 12 } });
+    assert.deepEqual(cancelled.cancellation, { reason: 'duplicate order', cancelledAt: day('09', '05:00'), refundDecision: 'full' });
+  });
+
+  test('another customer\'s order is reported as missing', async () => {
+    await assert.rejects(getCustomerOrder('user-1', 'ORD-9'), { status: 404 });
+    await assert.rejects(getCustomerOrder('user-1', 'ORD-404'), { status: 404 });
+  });
+
+  test('lists the caller\'s payments from payments_by_user', async () => {
+    const all = await listCustomerPayments('user-1', {});
+    assert.deepEqual(all.payments.map(payment => payment.paymentId), ['TP-2', 'TP-1', 'bc-1']);
+
+    const successful = await listCustomerPayments('user-1', { status: 'SUCCESS', limit: '1' });
+    assert.deepEqual(successful.payments.map(payment => payment.paymentId), ['TP-2']);
+    const next = await listCustomerPayments('user-1', { status: 'success', limit: '1', cursor: successful.nextCursor });
+    assert.deepEqual(next.payments.map(payment => payment.paymentId), ['TP-1']);
+    assert.equal(next.nextCursor, null);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { allocateInvoiceNumber } from '../invoices.js';
+
+describe('invoice numbers', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({
+      orders: {
+        'ORD-1': { userId: 'user-1', status: 'PAID', paymentId: 'TP-1' },
+        'ORD-2': { userId: 'user-2', status: 'PAID', paymentId: 'TP-2' }
+      },
+      counters: { invoice: 41 }
+    });
+    setRepositories(repositories);
+    setClock({ now: () => new Date(FIXED_TIME) });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('numbers run on from the counter and are registered', async () => {
+    const first = await allocateInvoiceNumber('ORD-1', 'TP-1');
+    const second = await allocateInvoiceNumber('ORD-2', 'TP-2');
+
+    assert.deepEqual(first, { number: 'INV-000042', issuedAt: FIXED_TIME.toISOString(), paymentId: 'TP-1' });
+    assert.equal(second.number, 'INV-000043');
+    assert.deepEqual(repositories.data.invoices['INV-000042'], {
+      orderId: 'ORD-1',
+      paymentId: 'TP-1',
+      issuedAt: FIXED_TIME.toISOString()
+    });
+    assert.equal(repositories.data.orders['ORD-2'].invoice.number, 'INV-000043');
+  });
+
+  test('an order keeps its first number when the invoice is downloaded again', async () => {
+    const issued = await allocateInvoiceNumber('ORD-1', 'TP-1');
+
+    assert.deepEqual(await allocateInvoiceNumber('ORD-1', 'TP-1'), issued);
+    assert.equal(repositories.data.counters.invoice, 42);
+  });
+
+  test('racing requests for one order leave a gap, never a second number', async () => {
+    const [a, b] = await Promise.all([
+      allocateInvoiceNumber('ORD-1', 'TP-1'),
+      allocateInvoiceNumber('ORD-1', 'TP-1')
+    ]);
+
+    assert.equal(a.number, b.number);
+    assert.equal(repositories.data.orders['ORD-1'].invoice.number, a.number);
+    assert.deepEqual(Object.keys(repositories.data.invoices), [a.number]);
+    assert.equal((await allocateInvoiceNumber('ORD-2', 'TP-2')).number, 'INV-000044');
+  });
+});
@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyToSnapshot, planMigrations } from '../migrate.js';
+
+const CREATED = '2026-01-10T08:00:00.000Z';
+
+function legacyData() {
+  return {
+    orders: {
+      'ORD-1': { userID: 'user-1', billCode: 'bc-1', status: 'PAID' },
+      'ORD-2': { customerId: 'user-2', billcode: 'bc-2', billCode: 'bc-2', status: 'PENDING_PAYMENT' },
+      'ORD-3': { userId: 'user-3', userID: 'user-9', status: 'NEW' },
+      'ORD-4': { status: 'NEW' }
+    },
+    payments: {
+      'TP-1': { orderId: 'ORD-1', billCode: 'bc-1', status: 'success', amount: 12, createdAt: CREATED },
+      'bc-2': { orderId: 'ORD-2', userId: 'user-2', billcode: 'bc-2', status: 'pending', amount: 8, createdAt: CREATED },
+      'TP-9': { status: 'success', amount: 5, createdAt: CREATED }
+    },
+    payments_by_order: {
+      'ORD-2': { 'bc-2': { paymentId: 'bc-2', status: 'pending', amount: 8, createdAt: CREATED, updatedAt: CREATED } },
+      'ORD-GONE': { 'TP-0': { paymentId: 'TP-0', status: 'success', amount: 1 } }
+    },
+    payments_by_user: {}
+  };
+}
+
+const run = data => Object.fromEntries(planMigrations(data).map(result => [result.id, result]));
+
+describe('data migrations', () => {
+  test('moves legacy field spellings to billcode and userId', () => {
+    const data = legacyData();
+    const results = run(data);
+
+    assert.deepEqual(results['001-canonical-order-fields'].updates, {
+      'orders/ORD-1/userId': 'user-1',
+      'orders/ORD-1/userID': null,
+      'orders/ORD-1/billcode': 'bc-1',
+      'orders/ORD-1/billCode': null,
+      'orders/ORD-2/userId': 'user-2',
+      'orders/ORD-2/customerId': null,
+      'orders/ORD-2/billCode': null
+    });
+    assert.deepEqual(data.orders['ORD-1'], { userId: 'user-1', billcode: 'bc-1', status: 'PAID' });
+    assert.deepEqual(data.payments['TP-1'], {
+      orderId: 'ORD-1',
+      userId: 'user-1',
+      billcode: 'bc-1',
+      status: 'success',
+      amount: 12,
+      createdAt: CREATED
+    });
+  });
+
+  test('reports records it cannot fix and leaves them alone', () => {
+    const data = legacyData();
+    const results = run(data);
+
+    assert.deepEqual(results['001-canonical-order-fields'].problems, [
+      { collection: 'orders', id: 'ORD-3', problem: 'conflicting userId values (userId=user-3, userID=user-9)' },
+      { collection: 'orders', id: 'ORD-4', problem: 'no userId' }
+    ]);
+    assert.deepEqual(data.orders['ORD-3'], { userId: 'user-3', userID: 'user-9', status: 'NEW' });
+    assert.deepEqual(results['002-canonical-payment-fields'].problems, [
+      { collection: 'payments', id: 'TP-9', problem: 'no userId on the payment or its order' }
+    ]);
+    assert.deepEqual(results['003-payments-by-order'].problems, [
+      { collection: 'payments', id: 'TP-9', problem: 'not indexed in payments_by_order: no orderId' }
+    ]);
+  });
+
+  test('backfills both payment indexes and drops orphaned entries', () => {
+    const data = legacyData();
+    const results = run(data);
+
+    assert.deepEqual(results['003-payments-by-order'].updates, {
+      'payments_by_order/ORD-1/TP-1': { paymentId: 'TP-1', status: 'success', amount: 12, createdAt: CREATED, updatedAt: CREATED },
+      'payments_by_order/ORD-GONE/TP-0': null
+    });
+    assert.deepEqual(data.payments_by_user, {
+      'user-1': { 'TP-1': { paymentId: 'TP-1', status: 'success', amount: 12, createdAt: CREATED, updatedAt: CREATED, orderId: 'ORD-1' } },
+      'user-2': { 'bc-2': { paymentId: 'bc-2', status: 'pending', amount: 8, createdAt: CREATED, updatedAt: CREATED, orderId: 'ORD-2' } }
+    });
+  });
+
+  test('a second run finds nothing left to change', () => {
+    const data = legacyData();
+    run(data);
+
+    const again = planMigrations(data);
+    again.forEach(result => assert.deepEqual(result.updates, {}, result.id));
+  });
+
+  test('deleting a path never creates its parents', () => {
+    const data = applyToSnapshot({ orders: {} }, { 'orders/ORD-X/billCode': null, 'orders/ORD-Y/billcode': 'bc' });
+
+    assert.deepEqual(data, { orders: { 'ORD-Y': { billcode: 'bc' } } });
+  });
+});
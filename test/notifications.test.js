@@ -0,0 +1,106 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { updateOrderStatus } from '../order-status.js';
+import {
+  createMemoryTransport,
+  notifyOrderStatusChange,
+  processNotificationQueue,
+  setNotificationTransports
+} from '../notifications.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('order status notifications', () => {
+  let repositories;
+  let email;
+  let push;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({
+      orders: {
+        'ORD-1': {
+          userId: 'user-1',
+          status: 'PAID',
+          billcode: 'bc-1',
+          paymentDetails: { transactionId: 'TP-3001', method: 'toyyibpay', amount: 20, confirmedAt: FIXED_TIME.toISOString() }
+        }
+      },
+      users: { 'user-1': { email: 'aina@student.test' } },
+      device_tokens: { 'user-1': { phone: { token: 'fcm-token-1' } } }
+    });
+    setRepositories(repositories);
+    setClock({ now: () => new Date(FIXED_TIME) });
+    email = createMemoryTransport('email');
+    push = createMemoryTransport('push');
+    setNotificationTransports({ email, push });
+  });
+
+  afterEach(() => {
+    setNotificationTransports({ email: null, push: null });
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('tells the customer about a status change by push and email', async () => {
+    await notifyOrderStatusChange('ORD-1', 'PAID');
+
+    assert.deepEqual(push.sent, [{
+      tokens: ['fcm-token-1'],
+      title: 'Payment received',
+      body: 'We have received your payment for order ORD-1.',
+      data: { orderId: 'ORD-1', status: 'PAID' }
+    }]);
+    assert.equal(email.sent.length, 1);
+    assert.equal(email.sent[0].to, 'aina@student.test');
+    assert.equal(email.sent[0].subject, 'Tinta Printing: Payment received (ORD-1)');
+    assert.match(email.sent[0].text, /Transaction ID: TP-3001/);
+    assert.match(email.sent[0].text, /Amount paid: RM 20\.00/);
+    assert.deepEqual(repositories.data.notification_queue, {});
+  });
+
+  test('respects a customer who turned a channel off', async () => {
+    repositories.data.notification_preferences['user-1'] = { email: false };
+
+    await notifyOrderStatusChange('ORD-1', 'COMPLETED');
+
+    assert.deepEqual(email.sent, []);
+    assert.equal(push.sent[0].title, 'Ready for pickup');
+  });
+
+  test('queues a failed delivery and sends it on a later run', async () => {
+    setNotificationTransports({
+      email: { name: 'email', send: async () => { throw new Error('SMTP connection refused'); } }
+    });
+
+    await notifyOrderStatusChange('ORD-1', 'CANCELLED');
+
+    const [queued] = Object.values(repositories.data.notification_queue);
+    assert.equal(push.sent.length, 1);
+    assert.equal(queued.channel, 'email');
+    assert.equal(queued.status, 'pending');
+    assert.equal(queued.attempts, 1);
+    assert.equal(queued.lastError, 'SMTP connection refused');
+    assert.equal(queued.nextAttemptAt, new Date(FIXED_TIME.getTime() + MINUTE_MS).toISOString());
+
+    assert.deepEqual(await processNotificationQueue(FIXED_TIME), { attempted: 0, sent: 0 });
+
+    setNotificationTransports({ email });
+    const run = await processNotificationQueue(new Date(FIXED_TIME.getTime() + MINUTE_MS));
+
+    assert.deepEqual(run, { attempted: 1, sent: 1 });
+    assert.equal(email.sent[0].subject, 'Tinta Printing: Order cancelled (ORD-1)');
+    assert.deepEqual(repositories.data.notification_queue, {});
+  });
+
+  test('a status change does not wait for delivery', async () => {
+    setNotificationTransports({ push: { name: 'push', send: () => new Promise(() => {}) } });
+
+    const outcome = await updateOrderStatus('ORD-1', 'PROCESSING', {}, { actor: { type: 'admin', id: 'staff-1' } });
+
+    assert.equal(outcome.applied, true);
+    assert.equal(repositories.data.orders['ORD-1'].status, 'PROCESSING');
+  });
+});
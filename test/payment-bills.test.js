@@ -0,0 +1,151 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { FIXED_TIME, startTestApp } from './helpers.js';
+import { discountQuote } from '../pricing.js';
+import { statusTimeline } from '../order-status.js';
+import { createPaymentBill } from '../payment-bills.js';
+
+// Bills raised through createPaymentBill (behind POST /payment/bills, which needs a
+// Firebase token) against a local stand-in for the ToyyibPay API.
+
+const ORDER_ID = 'ORD-20260115-0003';
+const MINUTE_MS = 60 * 1000;
+const OWNER = { uid: 'user-1', email: 'aina@student.test', isAdmin: false };
+
+function quote(totalSen = 2000, discount = null) {
+  return discountQuote({
+    quoteId: `QT-${ORDER_ID}-${totalSen}`,
+    orderId: ORDER_ID,
+    lineItems: [{ code: 'print', description: 'A4 colour', quantity: 1, unitPrice: totalSen / 100, amount: totalSen / 100 }],
+    totalSen,
+    total: totalSen / 100,
+    currency: 'MYR',
+    createdAt: FIXED_TIME.toISOString(),
+    expiresAt: new Date(FIXED_TIME.getTime() + 72 * 60 * MINUTE_MS).toISOString()
+  }, discount);
+}
+
+function newOrder(extra = {}) {
+  return { userId: 'user-1', status: 'NEW', quote: quote(), createdAt: FIXED_TIME.toISOString(), ...extra };
+}
+
+describe('POST /payment/bills', () => {
+  let stub;
+  let bills;
+  let harness;
+
+  before(async () => {
+    stub = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        bills.push({ path: req.url, fields: Object.fromEntries(new URLSearchParams(body)) });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify([{ BillCode: `bc-${bills.length}` }]));
+      });
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    process.env.TOYYIBPAY_BASE_URL = `http://127.0.0.1:${stub.address().port}`;
+    process.env.TOYYIBPAY_CATEGORY_CODE_SANDBOX = 'cat-test';
+  });
+
+  after(async () => {
+    delete process.env.TOYYIBPAY_BASE_URL;
+    delete process.env.TOYYIBPAY_CATEGORY_CODE_SANDBOX;
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  async function start(seed) {
+    bills = [];
+    harness = await startTestApp(seed);
+    return harness;
+  }
+
+  function bill(user = OWNER) {
+    return createPaymentBill(ORDER_ID, undefined, user, { backendUrl: 'http://localhost:3000' });
+  }
+
+  test('raises a bill for the quoted total and records the pending payment', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: newOrder() } });
+
+    const created = await bill();
+
+    assert.equal(created.reused, undefined);
+    assert.equal(created.billcode, 'bc-1');
+    assert.equal(bills[0].path, '/index.php/api/createBill');
+    assert.equal(bills[0].fields.billAmount, '2000');
+    assert.equal(bills[0].fields.billExternalReferenceNo, ORDER_ID);
+
+    const order = data.orders[ORDER_ID];
+    assert.equal(order.status, 'PENDING_PAYMENT');
+    assert.equal(order.adminStatus, 'pending');
+    assert.equal(order.billAmountSen, 2000);
+    assert.deepEqual(statusTimeline(order).map(({ to, actor, reason }) => ({ to, actor, reason })), [
+      { to: 'PENDING_PAYMENT', actor: { type: 'customer', id: 'user-1', name: null }, reason: 'bill_created' }
+    ]);
+    assert.equal(data.payments['bc-1'].status, 'pending');
+    assert.equal(data.payments_by_order[ORDER_ID]['bc-1'].amount, 20);
+    assert.equal(data.payments_by_user['user-1']['bc-1'].orderId, ORDER_ID);
+  });
+
+  test('a discounted quote holds a use of its voucher', async () => {
+    const discounted = quote(2000, { code: 'SEM10', amountSen: 200 });
+    const { data } = await start({
+      orders: { [ORDER_ID]: newOrder({ quote: discounted }) },
+      vouchers: { SEM10: { code: 'SEM10', type: 'percentage', value: 10, active: true, usageLimit: 1, usedCount: 0 } }
+    });
+
+    await bill();
+
+    assert.equal(bills[0].fields.billAmount, '1800');
+    assert.equal(data.vouchers.SEM10.holds[ORDER_ID].userId, 'user-1');
+  });
+
+  test('reuses an open bill, and a new total replaces the old placeholder', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: newOrder() } });
+
+    await bill();
+    const reused = await bill();
+    assert.equal(reused.reused, true);
+    assert.equal(reused.billcode, 'bc-1');
+    assert.equal(bills.length, 1);
+
+    data.orders[ORDER_ID].quote = quote(2500);
+    const rebilled = await bill();
+
+    assert.equal(rebilled.billcode, 'bc-2');
+    assert.equal(data.orders[ORDER_ID].billcode, 'bc-2');
+    assert.equal(data.orders[ORDER_ID].billAmountSen, 2500);
+    assert.deepEqual(Object.keys(data.payments), ['bc-2']);
+    assert.deepEqual(Object.keys(data.payments_by_order[ORDER_ID]), ['bc-2']);
+    assert.deepEqual(Object.keys(data.payments_by_user['user-1']), ['bc-2']);
+    assert.deepEqual(data.reports_daily['2026-01-15'].byMethod.toyyibpay, { pending: { count: 1, amountSen: 2500 } });
+    // Swapping the bill on an order already awaiting payment is not a status change.
+    assert.equal(statusTimeline(data.orders[ORDER_ID]).length, 1);
+  });
+
+  test('only the owner or staff can bill an order, and the history records who did', async () => {
+    const { data, baseUrl } = await start({ orders: { [ORDER_ID]: newOrder() } });
+
+    const anonymous = await fetch(`${baseUrl}/payment/bills`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderId: ORDER_ID })
+    });
+    await assert.rejects(bill({ uid: 'user-2', isAdmin: false }), { status: 403 });
+    // Without Firebase Admin, requireAuth turns every request away.
+    assert.equal(anonymous.status, 503);
+    assert.equal(bills.length, 0);
+
+    await bill({ uid: 'staff-1', email: 'staff@tinta.test', isAdmin: true });
+    assert.deepEqual(statusTimeline(data.orders[ORDER_ID])[0].actor, { type: 'admin', id: 'staff-1', name: 'staff@tinta.test' });
+  });
+});
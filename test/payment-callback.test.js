@@ -0,0 +1,324 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME, postForm, signedCallback, startTestApp } from './helpers.js';
+import { computeXSignature } from '../billplz.js';
+
+// End-to-end runs of POST /payment/callback (ToyyibPay) through every branch of
+// processCallback, against the in-memory repositories.
+
+const BILLCODE = 'bc7x2k9q';
+const ORDER_ID = 'ORD-20260115-0001';
+
+function pendingOrder(extra = {}) {
+  return {
+    userId: 'user-1',
+    status: 'PENDING_PAYMENT',
+    adminStatus: 'pending',
+    totalAmount: 25,
+    ...extra
+  };
+}
+
+function callback(fields = {}) {
+  return signedCallback({
+    billcode: BILLCODE,
+    status_id: '1',
+    order_id: ORDER_ID,
+    refno: 'TP-1001',
+    amount: '25.00',
+    ...fields
+  });
+}
+
+describe('POST /payment/callback', () => {
+  let harness;
+
+  async function start(seed) {
+    harness = await startTestApp(seed);
+    return harness;
+  }
+
+  function post(fields) {
+    return postForm(harness.baseUrl, '/payment/callback', fields);
+  }
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  test('acknowledges a callback without a billcode and stores nothing', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    const { status, body } = await post(callback({ billcode: '' }));
+
+    assert.equal(status, 200);
+    assert.equal(body.error, 'Missing billcode');
+    assert.deepEqual(data.payments, {});
+    assert.deepEqual(data.payments_unmatched, {});
+    assert.equal(data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+  });
+
+  test('matches the order by billcode and marks it paid', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    const { status, body } = await post(callback());
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.orderId, ORDER_ID);
+    assert.equal(body.paymentId, 'TP-1001');
+    assert.equal(body.orderStatus, 'PAID');
+
+    const order = data.orders[ORDER_ID];
+    assert.equal(order.status, 'PAID');
+    assert.equal(order.adminStatus, 'approved');
+    assert.equal(order.paymentId, 'TP-1001');
+    assert.equal(order.updatedAt, FIXED_TIME.toISOString());
+
+    const payment = data.payments['TP-1001'];
+    assert.equal(payment.orderId, ORDER_ID);
+    assert.equal(payment.userId, 'user-1');
+    assert.equal(payment.status, 'success');
+    assert.equal(payment.amount, 25);
+    assert.equal(payment.billcode, BILLCODE);
+    assert.equal(data.payments_by_order[ORDER_ID]['TP-1001'].status, 'success');
+  });
+
+  test('matches an order that stores the billcode as billCode', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billCode: BILLCODE }) } });
+
+    const { body } = await post(callback());
+
+    assert.equal(body.orderId, ORDER_ID);
+    assert.equal(data.orders[ORDER_ID].status, 'PAID');
+  });
+
+  test('falls back to the payments history when no order carries the billcode', async () => {
+    const { data } = await start({
+      orders: { [ORDER_ID]: pendingOrder() },
+      payments: {
+        [BILLCODE]: { paymentId: BILLCODE, orderId: ORDER_ID, userId: 'user-1', billcode: BILLCODE, status: 'pending' }
+      }
+    });
+
+    const { body } = await post(callback({ order_id: 'ref-1' }));
+
+    assert.equal(body.orderId, ORDER_ID);
+    assert.equal(data.orders[ORDER_ID].status, 'PAID');
+    assert.ok(data.payments['TP-1001']);
+    // The pending placeholder written when the bill was created is replaced.
+    assert.equal(data.payments[BILLCODE], undefined);
+  });
+
+  test('falls back to the order_id in the payload and backfills the billcode', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder() } });
+
+    const { body } = await post(callback());
+
+    assert.equal(body.orderId, ORDER_ID);
+    assert.equal(data.orders[ORDER_ID].status, 'PAID');
+    assert.equal(data.orders[ORDER_ID].billcode, BILLCODE);
+    assert.equal(data.orders[ORDER_ID].billCode, undefined);
+  });
+
+  test('queues the payment as unmatched when no order can be resolved', async () => {
+    const { data } = await start();
+
+    const { body } = await post(callback({ order_id: 'x1' }));
+
+    assert.equal(body.saved, false);
+    assert.match(body.warning, /Order ID not resolved/);
+    assert.equal(data.payments_unmatched['TP-1001'].billcode, BILLCODE);
+    assert.equal(data.payments_unmatched['TP-1001'].storedAt, FIXED_TIME.toISOString());
+    assert.deepEqual(data.payments, {});
+  });
+
+  test('queues the payment as unmatched with the order reference when the order has no userId', async () => {
+    const { data } = await start({
+      orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE, userId: undefined }) }
+    });
+
+    const { body } = await post(callback());
+
+    assert.equal(body.saved, false);
+    assert.match(body.warning, /userId is missing/);
+    assert.equal(data.payments_unmatched['TP-1001'].orderId, ORDER_ID);
+    assert.equal(data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+  });
+
+  test('accepts the legacy userID field as the order owner', async () => {
+    const { data } = await start({
+      orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE, userId: undefined, userID: 'user-2' }) }
+    });
+
+    await post(callback());
+
+    assert.equal(data.payments['TP-1001'].userId, 'user-2');
+  });
+
+  test('marks the order PAYMENT_FAILED on a failed payment', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    const { body } = await post(callback({ status_id: '3' }));
+
+    assert.equal(body.status, 'failed');
+    assert.equal(body.orderStatus, 'PAYMENT_FAILED');
+    assert.equal(data.orders[ORDER_ID].status, 'PAYMENT_FAILED');
+    assert.equal(data.orders[ORDER_ID].paymentDetails.failedAt, FIXED_TIME.toISOString());
+    assert.equal(data.payments['TP-1001'].status, 'failed');
+  });
+
+  test('stores a pending payment without moving the order', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    const { body } = await post(callback({ status_id: '2' }));
+
+    assert.equal(body.status, 'pending');
+    assert.equal(body.orderStatus, undefined);
+    assert.equal(data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+  });
+
+  test('treats a resent callback as a duplicate', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    await post(callback());
+    const { body } = await post(callback());
+
+    assert.equal(body.duplicate, true);
+    assert.equal(body.status, 'success');
+    assert.equal(data.orders[ORDER_ID].status, 'PAID');
+  });
+
+  test('never downgrades a successful payment on a late failure callback', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    await post(callback());
+    const { body } = await post(callback({ status_id: '3' }));
+
+    assert.equal(body.duplicate, true);
+    assert.equal(data.payments['TP-1001'].status, 'success');
+    assert.equal(data.orders[ORDER_ID].status, 'PAID');
+  });
+
+  test('sends an underpaid payment to review', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    const { body } = await post(callback({ amount: '20.00' }));
+
+    assert.equal(body.review, 'amount_underpaid');
+    const [review] = Object.values(data.payments_review);
+    assert.equal(review.transaction_id, 'TP-1001');
+    assert.equal(review.expectedAmount, 25);
+    assert.equal(data.orders[ORDER_ID].paymentReview.reason, 'amount_underpaid');
+    assert.equal(data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+  });
+
+  test('keeps every review entry for a bill', async () => {
+    const { data, repositories } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    await post(callback({ amount: '20.00' }));
+    await post(callback({ hash: 'not-the-signature' }));
+
+    const reviews = await repositories.payments.listReviewsByBillcode(BILLCODE);
+    assert.deepEqual(reviews.map(review => review.reason), ['amount_underpaid', 'invalid_signature']);
+    assert.equal(Object.keys(data.payments_review).length, 2);
+  });
+
+  test('sends a callback with a bad signature to review', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    const { body } = await post(callback({ hash: 'not-the-signature' }));
+
+    assert.equal(body.review, 'invalid_signature');
+    const reviewIds = Object.keys(data.payments_review_by_billcode[BILLCODE]);
+    assert.equal(data.payments_review[reviewIds[0]].reason, 'invalid_signature');
+    assert.deepEqual(data.payments, {});
+    assert.equal(data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+  });
+
+  test('sends a multibyte signature of the right length to review instead of failing', async () => {
+    const { data } = await start({ orders: { [ORDER_ID]: pendingOrder({ billcode: BILLCODE }) } });
+
+    // 32 characters like an md5 hex digest, but 64 bytes.
+    const { status, body } = await post(callback({ hash: 'é'.repeat(32) }));
+
+    assert.equal(status, 200);
+    assert.equal(body.review, 'invalid_signature');
+    assert.equal(data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+  });
+});
+
+describe('GET /payment/callback', () => {
+  test('sends the browser back to the app deep link from the config', async () => {
+    const harness = await startTestApp({}, { env: { ANDROID_APP_DEEP_LINK: 'tintastaging://payment' } });
+    try {
+      const response = await fetch(`${harness.baseUrl}/payment/callback?billcode=${BILLCODE}&status=1&transaction_id=TP-1001`, {
+        redirect: 'manual'
+      });
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.get('location'), `tintastaging://payment?billcode=${BILLCODE}&status=1&transactionId=TP-1001`);
+    } finally {
+      await harness.close();
+    }
+  });
+});
+
+describe('POST /payment/billplz/callback', () => {
+  const X_SIGNATURE_KEY = 'test-billplz-key';
+  let harness;
+
+  function bill(fields = {}) {
+    return { id: 'bp-1', paid: 'true', state: 'paid', amount: '2500', paid_amount: '2500', reference_1: ORDER_ID, ...fields };
+  }
+
+  function signed(fields) {
+    return { ...fields, x_signature: computeXSignature(X_SIGNATURE_KEY, fields) };
+  }
+
+  before(() => {
+    process.env.BILLPLZ_X_SIGNATURE_KEY = X_SIGNATURE_KEY;
+  });
+
+  after(() => {
+    delete process.env.BILLPLZ_X_SIGNATURE_KEY;
+  });
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  test('accepts a bill signed with the X-Signature key', async () => {
+    harness = await startTestApp({ orders: { [ORDER_ID]: pendingOrder({ billcode: 'bp-1' }) } });
+
+    const { body } = await postForm(harness.baseUrl, '/payment/billplz/callback', signed(bill()));
+
+    assert.equal(body.success, true);
+    assert.equal(harness.data.orders[ORDER_ID].status, 'PAID');
+  });
+
+  test('sends a bill edited after signing, or unsigned, to review', async () => {
+    harness = await startTestApp({ orders: { [ORDER_ID]: pendingOrder({ billcode: 'bp-1' }) } });
+    const tampered = { ...signed(bill({ paid: 'false', state: 'due' })), paid: 'true', state: 'paid' };
+
+    const edited = await postForm(harness.baseUrl, '/payment/billplz/callback', tampered);
+    const unsigned = await postForm(harness.baseUrl, '/payment/billplz/callback', bill());
+    // 64 characters like a SHA-256 hex digest, but 128 bytes.
+    const multibyte = await postForm(harness.baseUrl, '/payment/billplz/callback', { ...bill(), x_signature: 'é'.repeat(64) });
+
+    assert.equal(edited.body.review, 'invalid_signature');
+    assert.equal(unsigned.body.review, 'missing_signature');
+    assert.equal(multibyte.status, 200);
+    assert.equal(multibyte.body.review, 'invalid_signature');
+    const reviews = Object.values(harness.data.payments_review);
+    assert.deepEqual(reviews.map(({ provider, reason }) => [provider, reason]), [
+      ['billplz', 'invalid_signature'],
+      ['billplz', 'missing_signature'],
+      ['billplz', 'invalid_signature']
+    ]);
+    assert.deepEqual(harness.data.payments, {});
+    assert.equal(harness.data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+  });
+});
@@ -0,0 +1,83 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { updateOrderStatus } from '../order-status.js';
+import { collectOrder, formatPickupCode, issuePickupCode, parsePickupInput, pickupPayload } from '../pickup.js';
+
+const STAFF = { uid: 'staff-1', email: 'ali@tinta.test' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('pickup codes', () => {
+  let repositories;
+  let clock;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({ orders: { o1: { userId: 'user-1', status: 'PRINTING' } } });
+    setRepositories(repositories);
+    clock = new Date(FIXED_TIME);
+    setClock({ now: () => new Date(clock) });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    setClock(null);
+  });
+
+  async function complete() {
+    await updateOrderStatus('o1', 'COMPLETED');
+    return repositories.data.orders.o1.pickup;
+  }
+
+  test('completing an order issues a code and QR image', async () => {
+    const pickup = await complete();
+
+    assert.equal(pickup.status, 'ready');
+    assert.match(pickup.code, /^[A-HJ-NP-Z2-9]{8}$/);
+    assert.match(pickup.qrCode, /^data:image\/png;base64,/);
+    assert.equal(pickup.expiresAt, new Date(FIXED_TIME.getTime() + 30 * DAY_MS).toISOString());
+  });
+
+  test('a scanned code marks the order collected once', async () => {
+    const { code } = await complete();
+
+    const order = await collectOrder({ payload: pickupPayload('o1', code) }, STAFF);
+
+    assert.equal(order.pickup.status, 'collected');
+    assert.equal(order.pickup.collectedAt, FIXED_TIME.toISOString());
+    assert.deepEqual(order.pickup.collectedBy, { uid: 'staff-1', name: 'ali@tinta.test' });
+    await assert.rejects(
+      collectOrder({ orderId: 'o1', code: formatPickupCode(code).toLowerCase() }, STAFF),
+      { status: 409, details: { reason: 'code_used', collectedAt: FIXED_TIME.toISOString(), collectedBy: order.pickup.collectedBy } }
+    );
+  });
+
+  test('refuses wrong and expired codes', async () => {
+    const { code } = await complete();
+
+    await assert.rejects(collectOrder({ orderId: 'o1', code: 'AAAA-AAAA' }, STAFF), { status: 400 });
+    await assert.rejects(collectOrder({ orderId: 'o2', code }, STAFF), { status: 404 });
+
+    clock = new Date(FIXED_TIME.getTime() + 31 * DAY_MS);
+    await assert.rejects(collectOrder({ orderId: 'o1', code }, STAFF), { status: 410 });
+  });
+
+  test('an expired code is replaced on request but a live one is kept', async () => {
+    const first = await complete();
+    assert.equal((await issuePickupCode('o1')).code, first.code);
+
+    clock = new Date(FIXED_TIME.getTime() + 31 * DAY_MS);
+    const second = await issuePickupCode('o1');
+
+    assert.notEqual(second.code, first.code);
+    await assert.rejects(collectOrder({ orderId: 'o1', code: first.code }, STAFF), { status: 400 });
+    assert.equal((await collectOrder({ orderId: 'o1', code: second.code }, STAFF)).pickup.status, 'collected');
+  });
+
+  test('rejects payloads that are not pickup codes', () => {
+    assert.throws(() => parsePickupInput({ payload: 'https://example.com' }), { status: 400 });
+    assert.throws(() => parsePickupInput({ orderId: 'o1' }), { status: 400 });
+    assert.deepEqual(parsePickupInput({ payload: 'tinta-pickup:o1:abcd-efgh' }), { orderId: 'o1', code: 'ABCDEFGH' });
+  });
+});
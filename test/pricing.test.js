@@ -0,0 +1,80 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME } from './helpers.js';
+import { setClock } from '../clock.js';
+import { createQuote, discountQuote, validatePriceTable, verifyQuote } from '../pricing.js';
+import { getOrderTotal } from '../payments.js';
+
+const TABLE = {
+  currency: 'MYR',
+  paper: { A4: { plain: { mono: 0.1, colour: 0.5 } } },
+  doubleSidedDiscount: 0.1,
+  finishing: { binding: { staple: 0.2 } }
+};
+
+const OPTIONS = { paperSize: 'A4', paperType: 'plain', colour: 'colour', sides: 'double', copies: 2, pageCount: 10 };
+
+describe('quotes', () => {
+  beforeEach(() => {
+    setClock({ now: () => new Date(FIXED_TIME) });
+  });
+
+  afterEach(() => {
+    setClock(null);
+  });
+
+  test('prices in sen and signs the quote for its order', () => {
+    const quote = createQuote(TABLE, { ...OPTIONS, finishing: { binding: 'staple' } }, 'ORD-1', 72);
+
+    // 20 colour sides at RM 0.50, 10% off for double-sided, plus two staples.
+    assert.equal(quote.totalSen, 940);
+    assert.equal(quote.total, 9.4);
+    assert.equal(quote.expiresAt, '2026-01-18T08:00:00.000Z');
+    assert.equal(verifyQuote(quote, 'ORD-1'), true);
+    assert.equal(getOrderTotal({ id: 'ORD-1', quote }), 940);
+  });
+
+  test('rejects a quote edited after signing or moved to another order', () => {
+    const quote = createQuote(TABLE, OPTIONS, 'ORD-1', 72);
+
+    assert.equal(verifyQuote({ ...quote, totalSen: 1 }, 'ORD-1'), false);
+    assert.equal(verifyQuote({ ...quote, expiresAt: '2027-01-01T00:00:00.000Z' }, 'ORD-1'), false);
+    assert.equal(verifyQuote(quote, 'ORD-2'), false);
+    assert.equal(verifyQuote({ ...quote, signature: undefined }, 'ORD-1'), false);
+    assert.equal(getOrderTotal({ id: 'ORD-1', quote: { ...quote, totalSen: 1 } }), null);
+  });
+
+  test('signs the print job, in a form that survives a Firebase round trip', () => {
+    const quote = createQuote(TABLE, OPTIONS, 'ORD-1', 72);
+
+    assert.equal(verifyQuote({ ...quote, options: { ...quote.options, copies: 200 } }, 'ORD-1'), false);
+    assert.equal(verifyQuote({ ...quote, options: { ...quote.options, paperSize: 'A3' } }, 'ORD-1'), false);
+    assert.equal(verifyQuote({ ...quote, lineItems: quote.lineItems.slice(0, 1) }, 'ORD-1'), false);
+
+    // Firebase hands arrays back as index-keyed objects and keeps keys in its own order.
+    const stored = JSON.parse(JSON.stringify({
+      ...quote,
+      lineItems: Object.fromEntries(quote.lineItems.map((item, index) => [String(index), item])),
+      options: Object.fromEntries(Object.entries(quote.options).reverse())
+    }));
+    assert.equal(verifyQuote(stored, 'ORD-1'), true);
+  });
+
+  test('a discount is signed with its voucher code', () => {
+    const discounted = discountQuote(createQuote(TABLE, OPTIONS, 'ORD-1', 72), { code: 'SEM10', amountSen: 90 });
+
+    assert.equal(verifyQuote(discounted, 'ORD-1'), true);
+    assert.equal(discounted.totalSen, 810);
+    assert.equal(verifyQuote({ ...discounted, discount: { ...discounted.discount, code: 'FREE50' } }, 'ORD-1'), false);
+  });
+});
+
+describe('price table', () => {
+  test('rejects finishing prices that are missing or not numbers', () => {
+    assert.equal(validatePriceTable(TABLE), TABLE);
+    assert.throws(() => validatePriceTable({ ...TABLE, finishing: { binding: { staple: null } } }), { status: 400, message: /binding\/staple/ });
+    assert.throws(() => validatePriceTable({ ...TABLE, finishing: { binding: { comb: 'three' } } }), { status: 400, message: /binding\/comb/ });
+    assert.throws(() => validatePriceTable({ ...TABLE, finishing: { lamination: { matte: -1 } } }), { status: 400 });
+    assert.throws(() => validatePriceTable({ ...TABLE, finishing: { binding: 0.2 } }), { status: 400 });
+  });
+});
@@ -0,0 +1,206 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME, postForm, signedCallback, startTestApp } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import {
+  addWorkingMinutes,
+  advanceJob,
+  claimJob,
+  estimateQueue,
+  parseProductionHours,
+  releaseJob
+} from '../production.js';
+
+const SETTINGS = { pagesPerMinute: 20, setupMinutes: 5, hours: null };
+const MINUTE = 60 * 1000;
+
+function job(id, status, { pages = 1, priority, stationId, startedAt, confirmedAt = '2026-01-15T01:00:00.000Z' } = {}) {
+  return {
+    id,
+    status,
+    quote: { options: { pageCount: pages, copies: 1 } },
+    paymentDetails: { confirmedAt },
+    production: {
+      priority,
+      stationId,
+      stages: startedAt ? { [status]: { startedAt } } : {}
+    }
+  };
+}
+
+describe('production estimates', () => {
+  test('working minutes skip closed hours in Kuala Lumpur time', () => {
+    const hours = parseProductionHours('09:00-18:00');
+
+    // 08:00Z is 16:00 locally: two hours today, the last one after opening tomorrow.
+    assert.equal(addWorkingMinutes(FIXED_TIME, 180, hours).toISOString(), '2026-01-16T02:00:00.000Z');
+    // Before opening the clock starts at 09:00.
+    assert.equal(addWorkingMinutes(new Date('2026-01-15T00:00:00.000Z'), 30, hours).toISOString(), '2026-01-15T01:30:00.000Z');
+    assert.equal(addWorkingMinutes(FIXED_TIME, 30, null).toISOString(), '2026-01-15T08:30:00.000Z');
+  });
+
+  test('rejects malformed production hours', () => {
+    assert.throws(() => parseProductionHours('18:00-09:00'), /opening time before a closing time/);
+    assert.throws(() => parseProductionHours('9am-6pm'), /must look like/);
+    assert.equal(parseProductionHours(''), null);
+  });
+
+  test('orders the queue and spreads jobs across stations', () => {
+    const stations = [{ id: 'press-1' }, { id: 'press-2' }, { id: 'retired', active: false }];
+    const orders = [
+      job('normal', 'PAID', { pages: 20, confirmedAt: '2026-01-15T01:00:00.000Z' }),
+      job('rush', 'PAID', { priority: 'rush', confirmedAt: '2026-01-15T02:00:00.000Z' }),
+      // 15 minutes of work, 10 of them already done.
+      job('printing', 'PRINTING', { pages: 200, startedAt: new Date(FIXED_TIME.getTime() - 10 * MINUTE).toISOString() })
+    ];
+
+    const jobs = estimateQueue(orders, stations, { at: FIXED_TIME, settings: SETTINGS });
+
+    assert.deepEqual(jobs.map(entry => [entry.order.id, entry.position, entry.stationId, entry.minutes]), [
+      ['printing', 1, 'press-1', 5],
+      ['rush', 2, 'press-2', 5],
+      ['normal', 3, 'press-1', 6]
+    ]);
+    assert.equal(jobs[2].readyAt.toISOString(), '2026-01-15T08:11:00.000Z');
+  });
+
+  test('a job pinned to a station waits for it', () => {
+    const stations = [{ id: 'press-1' }, { id: 'press-2', pagesPerMinute: 10, setupMinutes: 0 }];
+    const orders = [
+      job('first', 'PAID', { pages: 100, stationId: 'press-2', confirmedAt: '2026-01-15T01:00:00.000Z' }),
+      job('second', 'PAID', { pages: 50, stationId: 'press-2', confirmedAt: '2026-01-15T02:00:00.000Z' })
+    ];
+
+    const jobs = estimateQueue(orders, stations, { at: FIXED_TIME, settings: SETTINGS });
+
+    assert.deepEqual(jobs.map(entry => [entry.stationId, entry.readyAt.toISOString()]), [
+      ['press-2', '2026-01-15T08:10:00.000Z'],
+      ['press-2', '2026-01-15T08:15:00.000Z']
+    ]);
+  });
+});
+
+describe('production jobs', () => {
+  const operator = { uid: 'staff-1', email: 'ali@tinta.test' };
+  const other = { uid: 'staff-2', email: 'mei@tinta.test' };
+  let repositories;
+
+  function seed(orders) {
+    repositories = createMemoryRepositories({ orders, production: { stations: { 'press-1': { name: 'Press 1' } } } });
+    setRepositories(repositories);
+    setClock({ now: () => new Date(FIXED_TIME) });
+  }
+
+  afterEach(() => {
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('claiming starts processing and stamps each stage through to completion', async () => {
+    seed({ o1: { status: 'PAID', estimatedReadyAt: '2026-01-15T09:00:00.000Z', queuePosition: 1 } });
+
+    const claimed = await claimJob('o1', operator, { stationId: 'press-1' });
+    assert.equal(claimed.status, 'PROCESSING');
+    assert.deepEqual(claimed.production.assignee, { uid: 'staff-1', name: 'ali@tinta.test' });
+    assert.equal(claimed.production.stationId, 'press-1');
+
+    await advanceJob('o1', operator);
+    const completed = await advanceJob('o1', operator);
+
+    assert.equal(completed.status, 'COMPLETED');
+    assert.deepEqual(completed.production.stages, {
+      PROCESSING: {
+        startedAt: FIXED_TIME.toISOString(),
+        startedBy: 'ali@tinta.test',
+        finishedAt: FIXED_TIME.toISOString(),
+        finishedBy: 'ali@tinta.test'
+      },
+      PRINTING: {
+        startedAt: FIXED_TIME.toISOString(),
+        startedBy: 'ali@tinta.test',
+        finishedAt: FIXED_TIME.toISOString(),
+        finishedBy: 'ali@tinta.test'
+      }
+    });
+    assert.equal(completed.estimatedReadyAt, null);
+  });
+
+  test('a claimed job is held until released or forced', async () => {
+    seed({ o1: { status: 'PAID' } });
+    await claimJob('o1', operator);
+
+    await assert.rejects(claimJob('o1', other), { status: 409 });
+    await assert.rejects(advanceJob('o1', other), { status: 409 });
+
+    await releaseJob('o1', operator);
+    const reclaimed = await claimJob('o1', other);
+    assert.equal(reclaimed.production.assignee.uid, 'staff-2');
+    assert.equal((await claimJob('o1', operator, { force: true })).production.assignee.uid, 'staff-1');
+  });
+
+  test('a claim fails if the order leaves the queue before processing starts', async () => {
+    seed({ o1: { status: 'PAID' }, o2: { status: 'PAID' } });
+    const transaction = repositories.orders.transaction;
+    mock.method(repositories.orders, 'transaction', async (orderId, update) => {
+      const result = await transaction(orderId, update);
+      if (orderId === 'o1') {
+        repositories.data.orders.o1.status = 'CANCELLED';
+      }
+      return result;
+    });
+
+    await assert.rejects(claimJob('o1', operator), { status: 409, message: /transition_not_allowed/ });
+
+    // A double submit by the same operator is not a conflict.
+    const claims = await Promise.all([claimJob('o2', operator), claimJob('o2', operator)]);
+    assert.deepEqual(claims.map(({ status }) => status), ['PROCESSING', 'PROCESSING']);
+    mock.restoreAll();
+  });
+
+  test('orders outside the queue and unknown stations cannot be claimed', async () => {
+    seed({ o1: { status: 'PENDING_PAYMENT' }, o2: { status: 'PAID' } });
+
+    await assert.rejects(claimJob('o2', operator, { stationId: 'press-9' }), { status: 400, message: /press-9/ });
+    assert.equal(repositories.data.orders.o2.production, undefined);
+
+    await assert.rejects(claimJob('o1', operator), { status: 409 });
+    await assert.rejects(claimJob('missing', operator), { status: 404 });
+  });
+});
+
+describe('customer ETA', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  test('a paid order gets an estimate and queue position', async () => {
+    harness = await startTestApp({
+      orders: {
+        'ORD-1': {
+          userId: 'user-1',
+          status: 'PENDING_PAYMENT',
+          totalAmount: 12,
+          billcode: 'bc-eta-1',
+          items: { a: { name: 'Notes', pageCount: 10, quantity: 2, amount: 12 } }
+        }
+      }
+    });
+
+    await postForm(harness.baseUrl, '/payment/callback', signedCallback({
+      billcode: 'bc-eta-1',
+      status_id: '1',
+      order_id: 'ORD-1',
+      refno: 'TP-4001',
+      amount: '12.00'
+    }));
+
+    // Five minutes' setup plus 20 pages at 20 a minute.
+    assert.equal(harness.data.orders['ORD-1'].status, 'PAID');
+    assert.equal(harness.data.orders['ORD-1'].estimatedReadyAt, '2026-01-15T08:06:00.000Z');
+    assert.equal(harness.data.orders['ORD-1'].queuePosition, 1);
+  });
+});
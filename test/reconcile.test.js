@@ -0,0 +1,99 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { reconcilePayments } from '../reconcile.js';
+import { expireUnpaidOrders } from '../expiry.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ToyyibPay getBillTransactions, answered per bill code.
+function stubToyyibPay(transactionsByBill) {
+  return mock.method(globalThis, 'fetch', async (url, init) => {
+    return new Response(JSON.stringify(transactionsByBill[init.body.get('billCode')] || []));
+  });
+}
+
+function transaction(status, amount, invoiceNo = 'TP-3001') {
+  return {
+    billpaymentStatus: status,
+    billpaymentAmount: amount,
+    billpaymentInvoiceNo: invoiceNo,
+    billExternalReferenceNo: 'ORD-1',
+    billPaymentDate: '15-01-2026 15:30:00'
+  };
+}
+
+describe('payment reconciliation', () => {
+  let repositories;
+  let clockTime;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({
+      orders: {
+        'ORD-1': {
+          userId: 'user-1',
+          status: 'PENDING_PAYMENT',
+          billcode: 'bc-1',
+          totalAmount: 20,
+          createdAt: FIXED_TIME.toISOString(),
+          updatedAt: FIXED_TIME.toISOString()
+        }
+      }
+    });
+    setRepositories(repositories);
+    clockTime = new Date(FIXED_TIME);
+    setClock({ now: () => new Date(clockTime) });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('applies a payment whose callback never arrived', async () => {
+    stubToyyibPay({ 'bc-1': [transaction('1', '20.00')] });
+
+    const report = await reconcilePayments();
+
+    const { data } = repositories;
+    assert.deepEqual(report.pendingOrders, { checked: 1, updated: 1 });
+    assert.equal(report.changes[0].orderStatus, 'PAID');
+    assert.equal(data.orders['ORD-1'].status, 'PAID');
+    assert.equal(data.payments['TP-3001'].status, 'success');
+    assert.equal(data.payments['TP-3001'].createdAt, '2026-01-15T07:30:00.000Z');
+    assert.equal(Object.keys(data.reconciliation_runs).length, 1);
+  });
+
+  test('leaves a bill still awaiting payment alone until the order expires', async () => {
+    stubToyyibPay({ 'bc-1': [transaction('2', '20.00')] });
+
+    const report = await reconcilePayments();
+
+    assert.deepEqual(report.pendingOrders, { checked: 1, updated: 0 });
+    assert.deepEqual(report.changes, []);
+    assert.equal(repositories.data.orders['ORD-1'].status, 'PENDING_PAYMENT');
+    assert.deepEqual(repositories.data.reconciliation_runs, {});
+
+    clockTime = new Date(FIXED_TIME.getTime() + 49 * HOUR_MS);
+    await expireUnpaidOrders(48);
+
+    assert.equal(repositories.data.orders['ORD-1'].status, 'EXPIRED');
+    assert.deepEqual(repositories.data.payments, {});
+  });
+
+  test('sends a payment for the wrong amount to review', async () => {
+    stubToyyibPay({ 'bc-1': [transaction('1', '15.00')] });
+
+    const report = await reconcilePayments();
+
+    const order = repositories.data.orders['ORD-1'];
+    assert.equal(report.changes[0].review, 'amount_underpaid');
+    assert.equal(report.changes[0].orderStatus, null);
+    assert.equal(order.status, 'PENDING_PAYMENT');
+    assert.equal(order.paymentReview.reason, 'amount_underpaid');
+    assert.equal(Object.values(repositories.data.payments_review)[0].expectedAmount, 20);
+  });
+});
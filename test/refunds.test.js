@@ -0,0 +1,108 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { cancelOrder, requestOrderRefund } from '../refunds.js';
+
+const STAFF = { uid: 'staff-1', email: 'staff@tinta.test' };
+
+function payment(paymentId, createdAt) {
+  return { paymentId, orderId: 'ORD-1', userId: 'user-1', status: 'success', amount: 10, provider: 'toyyibpay', createdAt };
+}
+
+describe('refunds and cancellation', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({
+      orders: {
+        'ORD-1': { userId: 'user-1', status: 'PROCESSING' },
+        'ORD-2': {
+          userId: 'user-1',
+          status: 'PENDING_PAYMENT',
+          billcode: 'bc-2',
+          quote: { quoteId: 'QT-2', totalSen: 1800, discount: { code: 'SEM10', amountSen: 200 } }
+        }
+      },
+      payments: {
+        'TP-1': payment('TP-1', '2026-01-15T07:00:00.000Z'),
+        'TP-2': payment('TP-2', '2026-01-15T07:30:00.000Z')
+      },
+      payments_by_order: {
+        'ORD-1': {
+          'TP-1': { status: 'success', amount: 10, createdAt: '2026-01-15T07:00:00.000Z' },
+          'TP-2': { status: 'success', amount: 10, createdAt: '2026-01-15T07:30:00.000Z' }
+        }
+      },
+      vouchers: {
+        SEM10: { code: 'SEM10', active: true, usedCount: 0, holds: { 'ORD-2': { userId: 'user-1' } } }
+      }
+    });
+    setRepositories(repositories);
+    setClock({ now: () => new Date(FIXED_TIME) });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('a paid order needs a refund decision before it is cancelled', async () => {
+    await assert.rejects(cancelOrder('ORD-1', { reason: 'duplicate' }, STAFF), { status: 409, refundable: 20 });
+    assert.equal(repositories.data.orders['ORD-1'].status, 'PROCESSING');
+  });
+
+  test('a refund that fails after cancelling is kept as pending on the order', async () => {
+    const save = repositories.refunds.save;
+    mock.method(repositories.refunds, 'save', async refund => {
+      if (refund.paymentId === 'TP-1') {
+        throw new Error('database unavailable');
+      }
+      return save(refund);
+    });
+
+    const result = await cancelOrder('ORD-1', { reason: 'duplicate', refund: 'full' }, STAFF);
+
+    const order = repositories.data.orders['ORD-1'];
+    assert.equal(result.status, 'CANCELLED');
+    assert.deepEqual(result.refunds.map(({ paymentId }) => paymentId), ['TP-2']);
+    assert.equal(result.refundPending.amount, 10);
+    assert.equal(order.status, 'CANCELLED');
+    assert.deepEqual(order.cancellation.refundPending, {
+      amount: 10,
+      error: 'database unavailable',
+      at: FIXED_TIME.toISOString()
+    });
+  });
+
+  test('cancelling an unpaid order frees its voucher hold', async () => {
+    const result = await cancelOrder('ORD-2', { reason: 'customer changed their mind' }, STAFF);
+
+    assert.equal(result.status, 'CANCELLED');
+    assert.equal(repositories.data.orders['ORD-2'].cancellation.refundDecision, 'not_paid');
+    assert.equal(repositories.data.vouchers.SEM10.holds?.['ORD-2'], undefined);
+  });
+
+  test('an order refund over the refundable balance is refused, not cut down', async () => {
+    await assert.rejects(
+      requestOrderRefund('ORD-1', { amount: 25, reason: 'misprint' }, STAFF),
+      { status: 409, refundable: 20 }
+    );
+    assert.deepEqual(repositories.data.refunds, {});
+
+    const { refunds } = await requestOrderRefund('ORD-1', { amount: 15, reason: 'misprint' }, STAFF);
+    assert.deepEqual(refunds.map(({ paymentId, amount }) => [paymentId, amount]), [['TP-2', 10], ['TP-1', 5]]);
+  });
+
+  test('re-saving a payment summary keeps the refunds reserved under it', async () => {
+    await requestOrderRefund('ORD-1', { paymentId: 'TP-2', amount: 4, reason: 'misprint' }, STAFF);
+
+    await repositories.payments.saveOrderSummary('ORD-1', 'TP-2', { status: 'success', amount: 10, updatedAt: FIXED_TIME.toISOString() });
+
+    const summary = repositories.data.payments_by_order['ORD-1']['TP-2'];
+    assert.deepEqual(Object.values(summary.refunds), [{ amount: 4, status: 'requested' }]);
+    assert.equal(summary.createdAt, '2026-01-15T07:30:00.000Z');
+  });
+});
@@ -0,0 +1,194 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME, postForm, signedCallback, startTestApp } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import {
+  businessDate,
+  parseRange,
+  paymentMethodReport,
+  rebuildRollups,
+  salesReport,
+  summaryReport,
+  toCsv,
+  topItemsReport
+} from '../reports.js';
+
+const ORDER_ID = 'ORD-20260115-0001';
+const BILLCODE = 'bc-report-1';
+
+function rollup(date, byMethod) {
+  return { date, byMethod };
+}
+
+describe('daily rollups', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+    setRepositories(null);
+  });
+
+  // 2026-01-14T17:30Z is 01:30 on the 15th in Kuala Lumpur.
+  const placeholder = {
+    paymentId: BILLCODE,
+    orderId: ORDER_ID,
+    userId: 'user-1',
+    status: 'pending',
+    amount: 25,
+    provider: 'toyyibpay',
+    paymentMethod: 'toyyibpay',
+    billcode: BILLCODE,
+    createdAt: '2026-01-14T17:30:00.000Z'
+  };
+
+  test('a paid bill moves from pending to success in its business day', async () => {
+    harness = await startTestApp({
+      orders: { [ORDER_ID]: { userId: 'user-1', status: 'PENDING_PAYMENT', totalAmount: 25, billcode: BILLCODE } },
+      payments: { [BILLCODE]: placeholder },
+      reports_daily: {
+        '2026-01-15': rollup('2026-01-15', { toyyibpay: { pending: { count: 1, amountSen: 2500 } } })
+      }
+    });
+
+    await postForm(harness.baseUrl, '/payment/callback', signedCallback({
+      billcode: BILLCODE,
+      status_id: '1',
+      order_id: ORDER_ID,
+      refno: 'TP-3001',
+      amount: '25.00',
+      timestamp: '2026-01-15T02:00:00.000Z'
+    }));
+
+    assert.deepEqual(harness.data.reports_daily['2026-01-15'].byMethod, {
+      toyyibpay: { success: { count: 1, amountSen: 2500 } }
+    });
+    assert.equal(harness.data.reports_daily['2026-01-15'].updatedAt, FIXED_TIME.toISOString());
+  });
+
+  test('a failed payment that later succeeds is counted once', async () => {
+    harness = await startTestApp({
+      orders: { [ORDER_ID]: { userId: 'user-1', status: 'PENDING_PAYMENT', totalAmount: 25, billcode: BILLCODE } }
+    });
+    const fields = { billcode: BILLCODE, order_id: ORDER_ID, refno: 'TP-3002', amount: '25.00' };
+
+    await postForm(harness.baseUrl, '/payment/callback', signedCallback({ ...fields, status_id: '3' }));
+    await postForm(harness.baseUrl, '/payment/callback', signedCallback({ ...fields, status_id: '1' }));
+
+    assert.deepEqual(harness.data.reports_daily['2026-01-15'].byMethod, {
+      toyyibpay: { success: { count: 1, amountSen: 2500 } }
+    });
+  });
+
+  test('rebuild recomputes a range from payments', async () => {
+    const repositories = createMemoryRepositories({
+      payments: {
+        'TP-1': { status: 'success', amount: 10.5, paymentMethod: 'fpx', createdAt: '2026-01-01T03:00:00.000Z' },
+        'TP-2': { status: 'failed', amount: 10.5, paymentMethod: 'fpx', createdAt: '2026-01-01T20:00:00.000Z' },
+        'TP-3': { status: 'success', amount: 99, paymentMethod: 'fpx', createdAt: '2026-03-01T00:00:00.000Z' }
+      },
+      reports_daily: { '2026-01-01': rollup('2026-01-01', { stale: { success: { count: 9, amountSen: 9 } } }) }
+    });
+    setRepositories(repositories);
+
+    const result = await rebuildRollups({ from: '2026-01-01', to: '2026-01-31' });
+
+    assert.deepEqual(result, { from: '2026-01-01', to: '2026-01-31', payments: 2, days: 2 });
+    assert.deepEqual(repositories.data.reports_daily['2026-01-01'].byMethod, { fpx: { success: { count: 1, amountSen: 1050 } } });
+    assert.deepEqual(repositories.data.reports_daily['2026-01-02'].byMethod, { fpx: { failed: { count: 1, amountSen: 1050 } } });
+  });
+});
+
+describe('report builders', () => {
+  const rollups = [
+    rollup('2026-01-05', { fpx: { success: { count: 2, amountSen: 5000 }, failed: { count: 1, amountSen: 2500 } } }),
+    rollup('2026-01-11', { card: { success: { count: 1, amountSen: 1000 } } }),
+    rollup('2026-02-02', { fpx: { pending: { count: 1, amountSen: 700 }, success: { count: 1, amountSen: 300 } } })
+  ];
+
+  test('groups sales by Monday-based week and fills empty periods', () => {
+    const report = salesReport(rollups, { from: '2026-01-07', to: '2026-01-20', groupBy: 'week' });
+
+    assert.deepEqual(report.rows.map(row => [row.period, row.from, row.to, row.payments]), [
+      ['2026-01-05', '2026-01-07', '2026-01-11', 1],
+      ['2026-01-12', '2026-01-12', '2026-01-18', 0],
+      ['2026-01-19', '2026-01-19', '2026-01-20', 0]
+    ]);
+  });
+
+  test('groups sales by month with revenue and settled-payment rates', () => {
+    const report = salesReport(rollups, { from: '2026-01-01', to: '2026-02-28', groupBy: 'month' });
+
+    assert.deepEqual(report.rows.map(row => [row.period, row.revenue, row.successRate, row.failureRate]), [
+      ['2026-01-01', 60, 75, 25],
+      ['2026-02-01', 3, 100, 0]
+    ]);
+    assert.equal(report.totals.payments, 6);
+    assert.equal(report.totals.pending, 1);
+  });
+
+  test('ranks payment methods by revenue', () => {
+    const report = paymentMethodReport(rollups, { from: '2026-01-01', to: '2026-02-28' });
+
+    assert.deepEqual(report.rows.map(row => [row.method, row.revenue, row.revenueShare]), [
+      ['fpx', 53, 84.1],
+      ['card', 10, 15.9]
+    ]);
+  });
+
+  test('counts unmatched payments in the range and outstanding', () => {
+    const unmatched = [{ storedAt: '2026-01-10T00:00:00.000Z' }, { storedAt: '2025-12-01T00:00:00.000Z' }];
+
+    const { summary } = summaryReport(rollups, unmatched, { from: '2026-01-01', to: '2026-01-31' });
+
+    assert.equal(summary.unmatched, 1);
+    assert.equal(summary.unmatchedOutstanding, 2);
+    assert.equal(summary.revenue, 60);
+  });
+
+  test('lists top products and print options from paid orders', () => {
+    const orders = [
+      { id: 'o1', status: 'PAID', items: { a: { name: 'Business cards', quantity: 2, amount: 30 } } },
+      { id: 'o2', status: 'COMPLETED', items: [{ name: 'Poster', quantity: 1, price: 12 }, { name: 'Business cards', quantity: 1, amount: 15 }] },
+      { id: 'o3', status: 'PENDING_PAYMENT', items: [{ name: 'Poster', quantity: 5, amount: 60 }] },
+      {
+        id: 'o4',
+        status: 'approved',
+        quote: { totalSen: 450, options: { paperSize: 'A4', paperType: 'plain', colour: 'colour', copies: 3, finishing: { binding: 'comb' } } }
+      }
+    ];
+
+    const products = topItemsReport(orders, { from: '2026-01-01', to: '2026-01-31' });
+    const bindings = topItemsReport(orders, { from: '2026-01-01', to: '2026-01-31', by: 'binding' });
+
+    assert.deepEqual(products.rows, [
+      { value: 'Business cards', orders: 2, quantity: 3, revenue: 45 },
+      { value: 'Poster', orders: 1, quantity: 1, revenue: 12 },
+      { value: 'A4 plain colour', orders: 1, quantity: 3, revenue: 4.5 }
+    ]);
+    assert.deepEqual(bindings.rows, [{ value: 'comb', orders: 1, quantity: 3, revenue: 4.5 }]);
+  });
+
+  test('exports CSV with quoting and formula-safe cells', () => {
+    const csv = toCsv([['value', 'Product'], ['revenue', 'Revenue (RM)']], [
+      { value: 'Cards, "premium"', revenue: 10 },
+      { value: '=HYPERLINK("x")', revenue: -1 }
+    ]);
+
+    assert.equal(csv, 'Product,Revenue (RM)\r\n"Cards, ""premium""",10\r\n"\'=HYPERLINK(""x"")",-1\r\n');
+  });
+});
+
+describe('report ranges', () => {
+  test('business dates follow Kuala Lumpur time', () => {
+    assert.equal(businessDate('2026-01-14T16:00:00.000Z'), '2026-01-15');
+    assert.equal(businessDate('2026-01-14T15:59:59.999Z'), '2026-01-14');
+  });
+
+  test('rejects bad or oversized ranges', () => {
+    assert.throws(() => parseRange({ from: '2026-02-31', to: '2026-03-01' }), { status: 400 });
+    assert.throws(() => parseRange({ from: '2026-03-02', to: '2026-03-01' }), { status: 400 });
+    assert.throws(() => parseRange({ from: '2020-01-01', to: '2026-01-01' }), { status: 400 });
+    assert.deepEqual(parseRange({ from: '2026-01-01', to: '2026-12-31' }), { from: '2026-01-01', to: '2026-12-31' });
+  });
+});
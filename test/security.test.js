@@ -0,0 +1,159 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../config.js';
+import { parseIpRules } from '../security.js';
+import { postForm, signedCallback, startTestApp } from './helpers.js';
+
+// Callback allowlists, rate limits, body caps, CORS and security headers,
+// exercised over HTTP from 127.0.0.1.
+
+const CALLBACK = { billcode: 'bc-sec-1', status_id: '1', order_id: 'x1', refno: 'TP-2001', amount: '10.00' };
+
+describe('parseIpRules', () => {
+  test('accepts addresses and CIDR ranges and reports the rest', () => {
+    const { rules, invalid } = parseIpRules(' 203.0.113.10, 198.51.100.0/24,2001:db8::/32, 10.0.0.0/33, nope ,');
+    assert.deepEqual(rules, ['203.0.113.10', '198.51.100.0/24', '2001:db8::/32']);
+    assert.deepEqual(invalid, ['10.0.0.0/33', 'nope']);
+  });
+
+  test('config refuses invalid allowlist entries', () => {
+    assert.throws(
+      () => loadConfig({ CALLBACK_ALLOWED_IPS: '1.2.3.4/40' }),
+      error => error.problems.some(problem => problem.startsWith('CALLBACK_ALLOWED_IPS has invalid'))
+    );
+  });
+
+  test('config refuses a wildcard CORS origin in production', () => {
+    assert.throws(
+      () => loadConfig({
+        NODE_ENV: 'production',
+        BACKEND_URL: 'https://api.example.com',
+        QUOTE_SIGNING_SECRET: 'secret',
+        CORS_ALLOWED_ORIGINS: '*'
+      }),
+      error => error.problems.includes('CORS_ALLOWED_ORIGINS=* is not allowed in production')
+    );
+  });
+});
+
+describe('request hardening', () => {
+  let harness;
+
+  async function start(env) {
+    harness = await startTestApp({}, { env });
+    return harness;
+  }
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  test('refuses callbacks from outside the allowlist', async () => {
+    const { baseUrl, data } = await start({ CALLBACK_ALLOWED_IPS: '203.0.113.0/24' });
+
+    const { status, body } = await postForm(baseUrl, '/payment/callback', signedCallback(CALLBACK));
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'callback_source_not_allowed');
+    assert.deepEqual(data.payments_unmatched, {});
+  });
+
+  test('accepts callbacks from an allowlisted range', async () => {
+    const { baseUrl, data } = await start({ CALLBACK_ALLOWED_IPS: '127.0.0.0/8' });
+
+    const { status } = await postForm(baseUrl, '/payment/callback', signedCallback(CALLBACK));
+
+    assert.equal(status, 200);
+    assert.ok(data.payments_unmatched['TP-2001']);
+  });
+
+  test('a per-provider allowlist replaces the shared one', async () => {
+    const { baseUrl } = await start({
+      CALLBACK_ALLOWED_IPS: '203.0.113.10',
+      CALLBACK_ALLOWED_IPS_BILLPLZ: '127.0.0.1'
+    });
+
+    const toyyibpay = await postForm(baseUrl, '/payment/toyyibpay/callback', signedCallback(CALLBACK));
+    const billplz = await postForm(baseUrl, '/payment/billplz/callback', { id: 'bp-1', paid: 'true' });
+
+    assert.equal(toyyibpay.status, 403);
+    assert.equal(billplz.status, 200);
+  });
+
+  test('rate limits callbacks per IP', async () => {
+    const { baseUrl } = await start({ CALLBACK_RATE_LIMIT: '2' });
+
+    const statuses = [];
+    for (let i = 0; i < 3; i += 1) {
+      statuses.push((await postForm(baseUrl, '/payment/callback', signedCallback(CALLBACK))).status);
+    }
+    const response = await fetch(`${baseUrl}/payment/callback`, { method: 'POST' });
+
+    assert.deepEqual(statuses, [200, 200, 429]);
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+  });
+
+  test('callbacks and other routes have separate limits', async () => {
+    const { baseUrl } = await start({ API_RATE_LIMIT: '1' });
+
+    const first = await fetch(`${baseUrl}/`);
+    const second = await fetch(`${baseUrl}/`);
+    const callback = await postForm(baseUrl, '/payment/callback', signedCallback(CALLBACK));
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '1');
+    assert.equal(second.status, 429);
+    assert.equal(callback.status, 200);
+  });
+
+  test('caps multipart callback bodies', async () => {
+    const { baseUrl } = await start({ CALLBACK_MAX_BODY_KB: '1' });
+    const form = new FormData();
+    form.append('billcode', 'bc-sec-1');
+    form.append('padding', 'x'.repeat(4096));
+
+    const response = await fetch(`${baseUrl}/payment/callback`, { method: 'POST', body: form });
+
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).error, 'body_too_large');
+  });
+
+  test('caps urlencoded callback bodies', async () => {
+    const { baseUrl } = await start({ CALLBACK_MAX_BODY_KB: '1' });
+
+    const { status, body } = await postForm(baseUrl, '/payment/callback', { ...CALLBACK, padding: 'x'.repeat(4096) });
+
+    assert.equal(status, 413);
+    assert.equal(body.error, 'body_too_large');
+  });
+
+  test('only allowlisted browser origins get CORS headers or may post', async () => {
+    const { baseUrl } = await start({ CORS_ALLOWED_ORIGINS: 'https://admin.example.com' });
+
+    const allowed = await fetch(`${baseUrl}/`, { headers: { Origin: 'https://admin.example.com' } });
+    const foreignRead = await fetch(`${baseUrl}/`, { headers: { Origin: 'https://evil.example.com' } });
+    const foreignWrite = await fetch(`${baseUrl}/payment/bills`, {
+      method: 'POST',
+      headers: { Origin: 'https://evil.example.com', 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://admin.example.com');
+    assert.equal(foreignRead.headers.get('access-control-allow-origin'), null);
+    assert.equal(foreignWrite.status, 403);
+  });
+
+  test('sets security headers', async () => {
+    const { baseUrl } = await start();
+
+    const response = await fetch(`${baseUrl}/`);
+
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(response.headers.get('x-frame-options'), 'DENY');
+    assert.match(response.headers.get('content-security-policy'), /frame-ancestors 'none'/);
+    assert.equal(response.headers.get('x-powered-by'), null);
+    assert.equal(response.headers.get('strict-transport-security'), null);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME, postForm, signedCallback, startTestApp } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { customerTimeline, staffActor, statusTimeline, updateOrderStatus } from '../order-status.js';
+import { getCustomerTimeline } from '../history.js';
+
+const STAFF = { uid: 'staff-1', email: 'staff@tinta.test' };
+
+describe('order status history', () => {
+  let repositories;
+  let clockTime;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({
+      orders: { 'ORD-1': { userId: 'user-1', status: 'PAID', createdAt: '2026-01-14T08:00:00.000Z' } }
+    });
+    setRepositories(repositories);
+    clockTime = new Date(FIXED_TIME);
+    setClock({ now: () => new Date(clockTime) });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('appends one entry per applied change, in order', async () => {
+    await updateOrderStatus('ORD-1', 'PROCESSING', {}, { actor: staffActor(STAFF), reason: 'production_claimed' });
+    clockTime = new Date(FIXED_TIME.getTime() + 60 * 60 * 1000);
+    await updateOrderStatus('ORD-1', 'PRINTING', {}, { actor: staffActor(STAFF) });
+
+    const order = repositories.data.orders['ORD-1'];
+    assert.deepEqual(Object.keys(order.statusHistory), ['h00001', 'h00002']);
+    assert.deepEqual(statusTimeline(order), [
+      {
+        entryId: 'h00001',
+        from: 'PAID',
+        to: 'PROCESSING',
+        at: FIXED_TIME.toISOString(),
+        actor: { type: 'admin', id: 'staff-1', name: 'staff@tinta.test' },
+        reason: 'production_claimed',
+        paymentId: null
+      },
+      {
+        entryId: 'h00002',
+        from: 'PROCESSING',
+        to: 'PRINTING',
+        at: clockTime.toISOString(),
+        actor: { type: 'admin', id: 'staff-1', name: 'staff@tinta.test' },
+        reason: null,
+        paymentId: null
+      }
+    ]);
+  });
+
+  test('a refused change records nothing and extra fields cannot replace the history', async () => {
+    await updateOrderStatus('ORD-1', 'PROCESSING', { statusHistory: null });
+    await updateOrderStatus('ORD-1', 'COMPLETED');
+
+    const entries = statusTimeline(repositories.data.orders['ORD-1']);
+    assert.equal(entries.length, 1);
+    assert.deepEqual(entries[0].actor, { type: 'system', id: null, name: null });
+  });
+
+  test('customers see statuses and times only, and only for their own orders', async () => {
+    await updateOrderStatus('ORD-1', 'PROCESSING', {}, { actor: staffActor(STAFF), reason: 'production_claimed' });
+
+    assert.deepEqual(customerTimeline(repositories.data.orders['ORD-1']), [{ status: 'PROCESSING', at: FIXED_TIME.toISOString() }]);
+    assert.deepEqual(await getCustomerTimeline('user-1', 'ORD-1'), {
+      orderId: 'ORD-1',
+      status: 'PROCESSING',
+      timeline: [{ status: 'PROCESSING', at: FIXED_TIME.toISOString() }]
+    });
+    await assert.rejects(getCustomerTimeline('user-2', 'ORD-1'), { status: 404 });
+  });
+});
+
+describe('status history from payment callbacks', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  test('records the provider, outcome and payment behind the change', async () => {
+    harness = await startTestApp({
+      orders: { 'ORD-7': { userId: 'user-1', status: 'PENDING_PAYMENT', billcode: 'bc-7', totalAmount: 10 } }
+    });
+
+    await postForm(harness.baseUrl, '/payment/callback', signedCallback({
+      billcode: 'bc-7',
+      status_id: '1',
+      order_id: 'ORD-7',
+      refno: 'TP-7001',
+      amount: '10.00'
+    }));
+
+    assert.deepEqual(statusTimeline(harness.data.orders['ORD-7']), [{
+      entryId: 'h00001',
+      from: 'PENDING_PAYMENT',
+      to: 'PAID',
+      at: FIXED_TIME.toISOString(),
+      actor: { type: 'callback', id: 'toyyibpay', name: null },
+      reason: 'payment_succeeded',
+      paymentId: 'TP-7001'
+    }]);
+  });
+});
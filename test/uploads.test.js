@@ -0,0 +1,141 @@
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PDFDocument } from 'pdf-lib';
+import { FIXED_TIME } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { loadUploadableOrder, saveUploadedFiles } from '../uploads.js';
+import { analysePdf, detectFileType } from '../preflight.js';
+
+const OWNER = { uid: 'user-1' };
+const A4 = [595.28, 841.89];
+const A5_LANDSCAPE = [595.28, 419.53];
+const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// A file as receiveFiles leaves it: streamed to a temp path with its leading bytes kept.
+async function receivedFile(name, bytes) {
+  const tmpPath = path.join(os.tmpdir(), `tinta-test-${crypto.randomUUID()}`);
+  await fs.promises.writeFile(tmpPath, bytes);
+  return { originalName: name, tmpPath, head: Buffer.from(bytes).subarray(0, 8), size: bytes.length };
+}
+
+async function pdf(pageSizes) {
+  const document = await PDFDocument.create();
+  pageSizes.forEach(size => document.addPage(size));
+  return document.save();
+}
+
+describe('print file uploads', () => {
+  let uploadDir;
+  let repositories;
+
+  before(async () => {
+    // getStorage() picks its directory on first use.
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tinta-uploads-'));
+    process.env.UPLOAD_DIR = uploadDir;
+  });
+
+  after(async () => {
+    delete process.env.UPLOAD_DIR;
+    await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await fs.promises.rm(path.join(uploadDir, 'orders'), { recursive: true, force: true });
+    repositories = createMemoryRepositories({
+      orders: {
+        'ORD-1': { userId: 'user-1', status: 'NEW', quote: { quoteId: 'QT-1', totalSen: 500 } },
+        'ORD-2': { userId: 'user-1', status: 'PENDING_PAYMENT', billcode: 'bc-2' },
+        'ORD-3': { userId: 'user-1', status: 'PAYMENT_FAILED', billcode: 'bc-3' }
+      }
+    });
+    setRepositories(repositories);
+    setClock({ now: () => new Date(FIXED_TIME) });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('stores preflighted files on the order with their page counts and warnings', async () => {
+    const files = [
+      await receivedFile('thesis.pdf', await pdf([A4, A4, A5_LANDSCAPE])),
+      await receivedFile('cover.png', Buffer.from([...PNG_HEADER, 0, 0, 0, 0]))
+    ];
+
+    const { files: saved } = await saveUploadedFiles('ORD-1', files, OWNER);
+
+    assert.deepEqual(saved.map(({ contentType, pageCount }) => [contentType, pageCount]), [
+      ['application/pdf', 3],
+      ['image/png', 1]
+    ]);
+    assert.deepEqual(saved[0].warnings, ['PDF mixes page sizes']);
+    assert.deepEqual(saved[0].pageSizes.map(({ paperSize, orientation, pages }) => [paperSize, orientation, pages]), [
+      ['A4', 'portrait', 2],
+      ['A5', 'landscape', 1]
+    ]);
+    const stored = repositories.data.orders['ORD-1'].files[saved[0].fileId];
+    assert.equal(stored.originalName, 'thesis.pdf');
+    assert.equal(stored.uploadedBy, 'user-1');
+    assert.ok(fs.existsSync(path.join(uploadDir, stored.storage.key)));
+    await Promise.all(files.map(file => fs.promises.rm(file.tmpPath, { force: true })));
+  });
+
+  test('one unreadable file rejects the whole batch before anything is stored', async () => {
+    const good = await receivedFile('flyer.pdf', await pdf([A4]));
+    const text = await receivedFile('notes.txt', Buffer.from('just some text'));
+    const broken = await receivedFile('broken.pdf', Buffer.from('%PDF-1.7 not really a pdf'));
+
+    await assert.rejects(saveUploadedFiles('ORD-1', [good, text], OWNER), { status: 415, message: /notes\.txt/ });
+    await assert.rejects(saveUploadedFiles('ORD-1', [good, broken], OWNER), { status: 422, message: /broken\.pdf/ });
+
+    assert.equal(repositories.data.orders['ORD-1'].files, undefined);
+    assert.equal(fs.existsSync(path.join(uploadDir, 'orders', 'ORD-1')), false);
+    await Promise.all([good, text, broken].map(file => fs.promises.rm(file.tmpPath, { force: true })));
+  });
+
+  test('file types come from their signature bytes', async () => {
+    assert.equal(detectFileType(Buffer.from('%PDF-1.4')), 'application/pdf');
+    assert.equal(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(detectFileType(Buffer.from('GIF89a')), null);
+    assert.deepEqual((await analysePdf(await pdf([[300, 300]]))).warnings, ['PDF contains non-standard page sizes']);
+  });
+
+  test('files are locked once the order has a bill', async () => {
+    await assert.rejects(loadUploadableOrder('ORD-2', OWNER), { status: 409, message: /PENDING_PAYMENT/ });
+    await assert.rejects(loadUploadableOrder('ORD-3', OWNER), { status: 409 });
+    await assert.rejects(loadUploadableOrder('ORD-1', { uid: 'user-2' }), { status: 403 });
+    assert.equal((await loadUploadableOrder('ORD-1', OWNER)).id, 'ORD-1');
+  });
+
+  test('new files drop the quote priced from the old ones', async () => {
+    const file = await receivedFile('flyer.pdf', await pdf([A4]));
+
+    const { quoteCleared } = await saveUploadedFiles('ORD-1', [file], OWNER);
+
+    const order = repositories.data.orders['ORD-1'];
+    assert.equal(quoteCleared, true);
+    assert.equal(order.quote, undefined);
+    assert.equal(Object.keys(order.files).length, 1);
+    await fs.promises.rm(file.tmpPath, { force: true });
+  });
+
+  test('an order billed while files were arriving keeps its quote and stores nothing', async () => {
+    const file = await receivedFile('flyer.pdf', await pdf([A4]));
+    repositories.data.orders['ORD-1'].billcode = 'bc-1';
+    repositories.data.orders['ORD-1'].status = 'PENDING_PAYMENT';
+
+    await assert.rejects(saveUploadedFiles('ORD-1', [file], OWNER), { status: 409 });
+
+    const order = repositories.data.orders['ORD-1'];
+    assert.equal(order.quote.quoteId, 'QT-1');
+    assert.equal(order.files, undefined);
+    assert.deepEqual(await fs.promises.readdir(path.join(uploadDir, 'orders', 'ORD-1')), []);
+    await fs.promises.rm(file.tmpPath, { force: true });
+  });
+});
@@ -0,0 +1,188 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_TIME, postForm, signedCallback, startTestApp } from './helpers.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+import { setClock } from '../clock.js';
+import { discountQuote, verifyQuote } from '../pricing.js';
+import { getOrderTotal } from '../payments.js';
+import { applyVoucherToOrder, evaluateVoucher, holdVoucher, parseVoucherSettings } from '../vouchers.js';
+
+const ORDER_ID = 'ORD-20260115-0002';
+const BILLCODE = 'bc-voucher-1';
+const USER = { uid: 'user-1' };
+const MINUTE_MS = 60 * 1000;
+
+// A signed RM 20.00 quote, as POST /quotes would stamp it.
+function quote(orderId = ORDER_ID) {
+  return discountQuote({
+    quoteId: `QT-${orderId}`,
+    orderId,
+    lineItems: [{ code: 'print', description: 'A4 colour', quantity: 40, unitPrice: 0.5, amount: 20 }],
+    totalSen: 2000,
+    total: 20,
+    currency: 'MYR',
+    createdAt: FIXED_TIME.toISOString(),
+    expiresAt: new Date(FIXED_TIME.getTime() + 72 * 60 * MINUTE_MS).toISOString()
+  }, null);
+}
+
+function voucher(fields = {}) {
+  return { code: 'SEM10', type: 'percentage', value: 10, minSpend: 0, active: true, usedCount: 0, ...fields };
+}
+
+describe('voucher rules', () => {
+  const at = FIXED_TIME;
+
+  test('percentage discounts respect the cap and never take the total under RM 1', () => {
+    assert.equal(evaluateVoucher(voucher(), { subtotalSen: 2000, userId: 'u1', at }), 200);
+    assert.equal(evaluateVoucher(voucher({ maxDiscount: 1.5 }), { subtotalSen: 2000, userId: 'u1', at }), 150);
+    assert.equal(evaluateVoucher(voucher({ type: 'fixed', value: 50 }), { subtotalSen: 2000, userId: 'u1', at }), 1900);
+  });
+
+  test('checks activity, validity window and minimum spend', () => {
+    const check = fields => () => evaluateVoucher(voucher(fields), { subtotalSen: 2000, userId: 'u1', at });
+
+    assert.throws(check({ active: false }), { reason: 'voucher_inactive' });
+    assert.throws(check({ validFrom: '2026-02-01T00:00:00.000Z' }), { reason: 'voucher_not_started' });
+    assert.throws(check({ validUntil: '2026-01-15T08:00:00.000Z' }), { reason: 'voucher_expired' });
+    assert.throws(check({ minSpend: 25 }), { reason: 'min_spend_not_met', status: 422 });
+    assert.throws(() => evaluateVoucher(null, { subtotalSen: 2000, userId: 'u1', at }), { status: 404 });
+  });
+
+  test('open bills count against the limits until their hold lapses', () => {
+    const held = voucher({
+      usageLimit: 2,
+      perUserLimit: 1,
+      usedCount: 1,
+      holds: { other: { userId: 'u2', heldAt: new Date(at.getTime() - 30 * MINUTE_MS).toISOString() } }
+    });
+
+    assert.throws(() => evaluateVoucher(held, { subtotalSen: 2000, userId: 'u1', orderId: 'mine', at }), { reason: 'usage_limit_reached' });
+    // The order holding the use may still be billed again.
+    assert.equal(evaluateVoucher(held, { subtotalSen: 2000, userId: 'u2', orderId: 'other', at }), 200);
+    const later = new Date(at.getTime() + 180 * MINUTE_MS);
+    assert.equal(evaluateVoucher(held, { subtotalSen: 2000, userId: 'u1', orderId: 'mine', at: later }), 200);
+    assert.throws(
+      () => evaluateVoucher(voucher({ perUserLimit: 1, usedBy: { u1: 1 } }), { subtotalSen: 2000, userId: 'u1', at }),
+      { reason: 'per_user_limit_reached' }
+    );
+  });
+
+  test('rejects malformed admin settings', () => {
+    assert.throws(() => parseVoucherSettings({ type: 'percentage', value: 120 }), { status: 400 });
+    assert.throws(() => parseVoucherSettings({ type: 'fixed', value: 5, usageLimit: 1.5 }), /usageLimit/);
+    assert.throws(
+      () => parseVoucherSettings({ type: 'fixed', value: 5, validFrom: '2026-02-01', validUntil: '2026-01-01' }),
+      /validFrom must be before validUntil/
+    );
+    assert.equal(parseVoucherSettings({ type: 'fixed', value: 5, maxDiscount: 3 }).maxDiscount, null);
+  });
+});
+
+describe('vouchers at checkout', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({
+      orders: { [ORDER_ID]: { userId: 'user-1', status: 'NEW', quote: quote(), totalAmount: 20 } },
+      vouchers: { SEM10: voucher({ usageLimit: 1 }) }
+    });
+    setRepositories(repositories);
+    setClock({ now: () => new Date(FIXED_TIME) });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    setClock(null);
+  });
+
+  test('applying a voucher re-signs the quote with the discounted total', async () => {
+    const discounted = await applyVoucherToOrder(ORDER_ID, ' sem10 ', USER);
+    const order = { id: ORDER_ID, ...repositories.data.orders[ORDER_ID] };
+
+    assert.equal(discounted.totalSen, 1800);
+    assert.equal(discounted.subtotalSen, 2000);
+    assert.deepEqual(discounted.discount, { code: 'SEM10', amountSen: 200, amount: 2 });
+    assert.equal(order.totalAmount, 18);
+    assert.equal(getOrderTotal(order), 1800);
+    assert.equal(verifyQuote({ ...order.quote, discount: { ...order.quote.discount, code: 'OTHER' } }, ORDER_ID), false);
+  });
+
+  test('removing the voucher restores the full price', async () => {
+    await applyVoucherToOrder(ORDER_ID, 'SEM10', USER);
+    const restored = discountQuote(repositories.data.orders[ORDER_ID].quote, null);
+
+    assert.equal(restored.totalSen, 2000);
+    assert.equal(restored.discount, undefined);
+    assert.equal(Object.values(restored.lineItems).length, 1);
+    assert.ok(verifyQuote(restored, ORDER_ID));
+  });
+
+  test('only the owner may apply a voucher', async () => {
+    await assert.rejects(applyVoucherToOrder(ORDER_ID, 'SEM10', { uid: 'someone-else' }), { status: 403 });
+    await assert.rejects(applyVoucherToOrder(ORDER_ID, 'NOPE', USER), { status: 404 });
+  });
+
+  test('a bill holds the last use so a second order cannot take it', async () => {
+    await applyVoucherToOrder(ORDER_ID, 'SEM10', USER);
+    await holdVoucher({ id: ORDER_ID, ...repositories.data.orders[ORDER_ID] }, 'user-1');
+    repositories.data.orders['ORD-2'] = { userId: 'user-2', status: 'NEW', quote: quote('ORD-2') };
+
+    await assert.rejects(applyVoucherToOrder('ORD-2', 'SEM10', { uid: 'user-2' }), { reason: 'usage_limit_reached' });
+    assert.equal(repositories.data.vouchers.SEM10.holds[ORDER_ID].userId, 'user-1');
+  });
+});
+
+describe('voucher redemption through the callback', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  async function start() {
+    const discounted = discountQuote(quote(), { code: 'SEM10', amountSen: 200 });
+    harness = await startTestApp({
+      orders: {
+        [ORDER_ID]: { userId: 'user-1', status: 'PENDING_PAYMENT', quote: discounted, totalAmount: 18, billcode: BILLCODE }
+      },
+      vouchers: {
+        SEM10: voucher({ usageLimit: 5, holds: { [ORDER_ID]: { userId: 'user-1', heldAt: FIXED_TIME.toISOString() } } })
+      }
+    });
+    return harness;
+  }
+
+  const callback = fields => signedCallback({ billcode: BILLCODE, order_id: ORDER_ID, refno: 'TP-5001', ...fields });
+
+  test('a successful payment of the discounted total counts the use', async () => {
+    const { baseUrl, data } = await start();
+
+    const { status } = await postForm(baseUrl, '/payment/callback', callback({ status_id: '1', amount: '18.00' }));
+
+    assert.equal(status, 200);
+    assert.equal(data.orders[ORDER_ID].status, 'PAID');
+    assert.deepEqual(data.orders[ORDER_ID].voucher, { code: 'SEM10', discount: 2, redeemedAt: FIXED_TIME.toISOString() });
+    assert.equal(data.vouchers.SEM10.usedCount, 1);
+    assert.deepEqual(data.vouchers.SEM10.usedBy, { 'user-1': 1 });
+    assert.equal(data.vouchers.SEM10.holds[ORDER_ID], undefined);
+    assert.deepEqual(data.voucher_redemptions.SEM10[ORDER_ID], {
+      userId: 'user-1',
+      paymentId: 'TP-5001',
+      discount: 2,
+      redeemedAt: FIXED_TIME.toISOString()
+    });
+  });
+
+  test('a failed payment releases the hold without counting a use', async () => {
+    const { baseUrl, data } = await start();
+
+    await postForm(baseUrl, '/payment/callback', callback({ status_id: '3', amount: '18.00' }));
+
+    assert.equal(data.orders[ORDER_ID].status, 'PAYMENT_FAILED');
+    assert.equal(data.vouchers.SEM10.usedCount, 0);
+    assert.equal(data.vouchers.SEM10.holds[ORDER_ID], undefined);
+    assert.equal(data.voucher_redemptions.SEM10, undefined);
+  });
+});
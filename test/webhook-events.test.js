@@ -0,0 +1,83 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { postForm, signedCallback, startTestApp } from './helpers.js';
+import { replayWebhookEvent } from '../payment-callback.js';
+import { listWebhookEvents, loadWebhookEvent } from '../webhook-events.js';
+import { createMemoryRepositories, setRepositories } from '../repositories/index.js';
+
+// A delivery that failed to apply is fixed up and run again from the event log.
+
+const BILLCODE = 'bc-replay-1';
+const ORDER_ID = 'ORD-20260115-0004';
+
+describe('webhook replay', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness?.close();
+    harness = null;
+  });
+
+  test('replays a logged callback once the order can take it, and only applies it once', async () => {
+    harness = await startTestApp({
+      orders: { [ORDER_ID]: { status: 'PENDING_PAYMENT', billcode: BILLCODE, totalAmount: 25 } }
+    });
+    const { data, baseUrl } = harness;
+
+    const delivery = await postForm(baseUrl, '/payment/callback', signedCallback({
+      billcode: BILLCODE,
+      status_id: '1',
+      order_id: ORDER_ID,
+      refno: 'TP-2001',
+      amount: '25.00'
+    }));
+    assert.equal(delivery.body.saved, false);
+    assert.equal(data.orders[ORDER_ID].status, 'PENDING_PAYMENT');
+
+    // Staff restore the missing owner, then replay the stored request.
+    data.orders[ORDER_ID].userId = 'user-1';
+    const first = await replayWebhookEvent(delivery.body.eventId, 'staff@tinta.test');
+    const second = await replayWebhookEvent(delivery.body.eventId, 'staff@tinta.test');
+
+    assert.equal(first.result.outcome, 'saved');
+    assert.equal(second.result.outcome, 'duplicate');
+    assert.equal(data.orders[ORDER_ID].status, 'PAID');
+    assert.deepEqual(Object.keys(data.payments), ['TP-2001']);
+
+    const event = await loadWebhookEvent(delivery.body.eventId);
+    assert.deepEqual(event.attempts.map(({ trigger, outcome, actor }) => [trigger, outcome, actor]), [
+      ['delivery', 'unmatched', null],
+      ['replay', 'saved', 'staff@tinta.test'],
+      ['replay', 'duplicate', 'staff@tinta.test']
+    ]);
+  });
+
+  test('rejects an unknown event', async () => {
+    harness = await startTestApp();
+
+    await assert.rejects(replayWebhookEvent('missing-event', 'staff@tinta.test'), { status: 404 });
+  });
+});
+
+describe('webhook event list', () => {
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('pages one provider\'s events newest first', async () => {
+    const provider = index => (index % 3 === 0 ? 'billplz' : 'toyyibpay');
+    setRepositories(createMemoryRepositories({
+      webhook_events: Object.fromEntries(Array.from({ length: 9 }, (unused, index) => [
+        `e${index + 1}`,
+        { provider: provider(index), receivedAt: `2026-01-15T08:0${index}:00.000Z`, parsed: {} }
+      ]))
+    }));
+
+    const first = await listWebhookEvents({ provider: 'toyyibpay', limit: 4 });
+    const second = await listWebhookEvents({ provider: 'toyyibpay', limit: 4, before: first.nextBefore });
+
+    assert.deepEqual(first.events.map(({ eventId }) => eventId), ['e9', 'e8', 'e6', 'e5']);
+    assert.deepEqual(second.events.map(({ eventId }) => eventId), ['e3', 'e2']);
+    assert.equal(second.nextBefore, null);
+  });
+});
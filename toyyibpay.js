@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+
+// -----------------------------------------------------------------------------
+// ToyyibPay configuration
+// -----------------------------------------------------------------------------
+
+const DEFAULT_BASE_URLS = {
+  sandbox: 'https://dev.toyyibpay.com',
+  production: 'https://toyyibpay.com'
+};
+
+// Read lazily so values loaded by dotenv in the entry point are picked up.
+export function getToyyibPayConfig() {
+  const mode = (process.env.TOYYIBPAY_MODE || 'sandbox').toLowerCase() === 'production' ? 'production' : 'sandbox';
+  const suffix = mode === 'production' ? 'PROD' : 'SANDBOX';
+
+  return {
+    mode,
+    baseUrl: (process.env.TOYYIBPAY_BASE_URL || DEFAULT_BASE_URLS[mode]).replace(/\/+$/, ''),
+    secretKey: process.env[`TOYYIBPAY_SECRET_KEY_${suffix}`] || process.env.TOYYIBPAY_SECRET_KEY || null,
+    categoryCode: process.env[`TOYYIBPAY_CATEGORY_CODE_${suffix}`] || process.env.TOYYIBPAY_CATEGORY_CODE || null
+  };
+}
+
+// -----------------------------------------------------------------------------
+// API client
+// -----------------------------------------------------------------------------
+
+async function callApi(endpoint, params, config) {
+  if (!config.secretKey) {
+    throw new Error('ToyyibPay secret key is not configured');
+  }
+
+  const response = await fetch(`${config.baseUrl}/index.php/api/${endpoint}`, {
+    method: 'POST',
+    body: new URLSearchParams({ userSecretKey: config.secretKey, ...params })
+  });
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`ToyyibPay ${endpoint} failed with HTTP ${response.status}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Unexpected ToyyibPay ${endpoint} response: ${text.slice(0, 200)}`);
+  }
+}
+
+// ToyyibPay only accepts letters, digits, spaces and underscores in bill names/descriptions.
+function sanitiseBillText(value, maxLength) {
+  return String(value || '').replace(/[^A-Za-z0-9 _]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+export async function createBill(bill, config = getToyyibPayConfig()) {
+  if (!config.categoryCode) {
+    throw new Error('ToyyibPay category code is not configured');
+  }
+
+  const data = await callApi('createBill', {
+    categoryCode: config.categoryCode,
+    billName: sanitiseBillText(bill.name, 30),
+    billDescription: sanitiseBillText(bill.description, 100),
+    billPriceSetting: 1,
+    billPayorInfo: bill.email ? 1 : 0,
+    billAmount: bill.amountSen,
+    billReturnUrl: bill.returnUrl,
+    billCallbackUrl: bill.callbackUrl,
+    billExternalReferenceNo: bill.externalReference,
+    billTo: bill.customerName || '',
+    billEmail: bill.email || '',
+    billPhone: bill.phone || '',
+    billPaymentChannel: 0
+  }, config);
+
+  const billcode = Array.isArray(data) ? data[0]?.BillCode : data?.BillCode;
+  if (!billcode) {
+    throw new Error(`ToyyibPay createBill did not return a bill code: ${JSON.stringify(data).slice(0, 200)}`);
+  }
+
+  return {
+    billcode,
+    paymentUrl: `${config.baseUrl}/${billcode}`
+  };
+}
+
+// Returns every transaction ToyyibPay has recorded against a bill (may be empty).
+export async function getBillTransactions(billcode, config = getToyyibPayConfig()) {
+  const data = await callApi('getBillTransactions', { billCode: billcode }, config);
+  return Array.isArray(data) ? data : [];
+}
+
+// getBillTransactions reports payment dates as "dd-mm-yyyy hh:mm:ss" in Malaysia time.
+export function parseToyyibPayDate(value) {
+  const match = String(value || '').match(/^(\d{2})-(\d{2})-(\d{4}) (\d{2}):(\d{2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const [, day, month, year, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+08:00`).toISOString();
+}
+
+// -----------------------------------------------------------------------------
+// Callback verification
+// -----------------------------------------------------------------------------
+
+// ToyyibPay signs callbacks with md5(userSecretKey + status + order_id + refno + 'ok').
+export function computeCallbackHash(secretKey, payload) {
+  const status = payload.status ?? payload.status_id ?? '';
+  const orderId = payload.order_id ?? '';
+  const refno = payload.refno ?? payload.transaction_id ?? '';
+  return crypto
+    .createHash('md5')
+    .update(`${secretKey}${status}${orderId}${refno}ok`)
+    .digest('hex');
+}
+
+export function verifyCallbackSignature(payload, secretKey = getToyyibPayConfig().secretKey) {
+  if (!secretKey) {
+    return { valid: false, reason: 'secret_key_not_configured' };
+  }
+
+  const received = String(payload.hash || payload.signature || '').trim().toLowerCase();
+  if (!received) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const expected = computeCallbackHash(secretKey, payload);
+  // Compare byte lengths: a multibyte value with the right character count would
+  // make timingSafeEqual throw instead of failing the check.
+  const receivedBytes = Buffer.from(received);
+  const expectedBytes = Buffer.from(expected);
+  const matches = receivedBytes.length === expectedBytes.length &&
+    crypto.timingSafeEqual(receivedBytes, expectedBytes);
+
+  return matches ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+}
+
+// -----------------------------------------------------------------------------
+// Amounts
+// -----------------------------------------------------------------------------
+
+// Callback amounts are in ringgit ("12.50"); compare in sen to avoid float drift.
+export function toSen(amount) {
+  if (amount === undefined || amount === null || amount === '') {
+    return null;
+  }
+  const value = Number(String(amount).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(value) ? Math.round(value * 100) : null;
+}
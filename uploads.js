@@ -0,0 +1,243 @@
+import busboy from 'busboy';
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { logger } from './logger.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { requireAuth } from './auth.js';
+import { resolveOrderStatus } from './order-status.js';
+import { analysePdf, detectFileType, FILE_TYPES } from './preflight.js';
+import { getStorage } from './storage.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Print file uploads
+// -----------------------------------------------------------------------------
+
+const router = express.Router();
+const MAX_FILE_MB = Number(process.env.UPLOAD_MAX_FILE_MB) || 50;
+const MAX_FILES = Number(process.env.UPLOAD_MAX_FILES) || 10;
+const UPLOADABLE_STATUSES = ['NEW'];
+
+function uploadError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+async function removeTempFiles(files) {
+  await Promise.all(files.map(file => fs.promises.rm(file.tmpPath, { force: true })));
+}
+
+// Streams every file part to a temp file, keeping only the leading bytes in memory
+// for type sniffing. Rejects (and cleans up) if any part breaks the limits.
+function receiveFiles(req) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: MAX_FILES }
+      });
+    } catch (error) {
+      reject(uploadError(400, error.message));
+      return;
+    }
+
+    const files = [];
+    const writes = [];
+    let failure = null;
+
+    parser.on('file', (fieldName, stream, info) => {
+      const entry = {
+        fieldName,
+        originalName: info.filename || 'upload',
+        declaredType: info.mimeType,
+        tmpPath: path.join(os.tmpdir(), `tinta-upload-${crypto.randomUUID()}`),
+        head: null,
+        size: 0
+      };
+      files.push(entry);
+
+      stream.on('data', chunk => {
+        if (!entry.head) {
+          entry.head = chunk.subarray(0, 8);
+        }
+        entry.size += chunk.length;
+      });
+      stream.on('limit', () => {
+        failure = failure || uploadError(413, `${entry.originalName} exceeds the ${MAX_FILE_MB} MB limit`);
+      });
+      writes.push(pipeline(stream, fs.createWriteStream(entry.tmpPath)));
+    });
+
+    parser.on('filesLimit', () => {
+      failure = failure || uploadError(413, `At most ${MAX_FILES} files can be uploaded at once`);
+    });
+
+    parser.on('error', async error => {
+      await Promise.allSettled(writes);
+      await removeTempFiles(files);
+      reject(uploadError(400, `Malformed upload: ${error.message}`));
+    });
+
+    parser.on('close', async () => {
+      const results = await Promise.allSettled(writes);
+      const writeFailure = results.find(result => result.status === 'rejected');
+      failure = failure || (writeFailure && writeFailure.reason);
+
+      if (failure) {
+        await removeTempFiles(files);
+        reject(failure);
+        return;
+      }
+      resolve(files);
+    });
+
+    req.pipe(parser);
+  });
+}
+
+async function inspectFile(file) {
+  const contentType = detectFileType(file.head);
+  if (!contentType) {
+    throw uploadError(415, `${file.originalName} is not a PDF, JPG or PNG file`);
+  }
+
+  if (contentType !== 'application/pdf') {
+    return { contentType, pageCount: 1, pageSizes: [], warnings: [] };
+  }
+
+  try {
+    const analysis = await analysePdf(await fs.promises.readFile(file.tmpPath));
+    return { contentType, ...analysis };
+  } catch (error) {
+    throw uploadError(422, `${file.originalName} could not be read as a PDF: ${error.message}`);
+  }
+}
+
+function ownerOf(order) {
+  return order.userId || order.userID || order.customerId || order.customerID || null;
+}
+
+// Files can only change until a bill is raised: the bill charges the quoted
+// total, and the quote is priced from the uploaded page count.
+function assertUploadable(orderId, order) {
+  const status = resolveOrderStatus(order.status);
+  if (!UPLOADABLE_STATUSES.includes(status) || order.billcode || order.billCode) {
+    throw uploadError(409, `Order ${orderId} is ${status}; files can no longer be changed`);
+  }
+}
+
+export async function loadUploadableOrder(orderId, user) {
+  const order = await getRepositories().orders.get(orderId);
+  if (!order) {
+    throw uploadError(404, `Order ${orderId} not found`);
+  }
+  if (ownerOf(order) !== user.uid && !user.isAdmin) {
+    throw uploadError(403, 'You can only upload files to your own orders');
+  }
+  assertUploadable(orderId, order);
+  return order;
+}
+
+// Preflights and stores received files, then attaches them to the order. Any
+// quote on the order no longer matches its files, so it is dropped and the
+// customer must request a fresh one (POST /quotes) before billing.
+export async function saveUploadedFiles(orderId, files, user) {
+  // Preflight everything before anything reaches storage so a bad file rejects the whole batch.
+  const inspected = [];
+  for (const file of files) {
+    inspected.push({ file, ...(await inspectFile(file)) });
+  }
+
+  const { orders } = getRepositories();
+  const storage = getStorage();
+  const uploadedAt = now().toISOString();
+  const saved = [];
+
+  for (const { file, contentType, pageCount, pageSizes, warnings } of inspected) {
+    const fileId = orders.newFileId(orderId);
+    const key = `orders/${orderId}/${fileId}${FILE_TYPES[contentType].extension}`;
+    const stored = await storage.save(key, fs.createReadStream(file.tmpPath), { contentType });
+    saved.push({
+      fileId,
+      originalName: file.originalName,
+      contentType,
+      size: file.size,
+      pageCount,
+      pageSizes,
+      warnings,
+      storage: { driver: stored.driver, key: stored.key },
+      uploadedAt,
+      uploadedBy: user.uid
+    });
+  }
+
+  // The order may have been billed while the files were streaming in.
+  let failure = null;
+  let quoteCleared = false;
+  await orders.transaction(orderId, current => {
+    failure = null;
+    if (current === null) {
+      failure = uploadError(404, `Order ${orderId} not found`);
+      return current;
+    }
+    try {
+      assertUploadable(orderId, current);
+    } catch (error) {
+      failure = error;
+      return;
+    }
+    quoteCleared = Boolean(current.quote);
+    const { quote, ...rest } = current;
+    return {
+      ...rest,
+      files: { ...(current.files || {}), ...Object.fromEntries(saved.map(metadata => [metadata.fileId, metadata])) },
+      updatedAt: uploadedAt
+    };
+  });
+
+  if (failure) {
+    await Promise.all(saved.map(metadata => storage.remove(metadata.storage.key)));
+    throw failure;
+  }
+
+  logger.info('Files uploaded', { orderId, count: saved.length, quoteCleared });
+  return { files: saved, quoteCleared };
+}
+
+router.post('/orders/:id/files', requireAuth, async (req, res) => {
+  let files = [];
+  try {
+    if (!repositoriesAvailable()) {
+      throw new Error('Firebase Admin is not initialised. Set service credentials.');
+    }
+
+    const orderId = req.params.id;
+    await loadUploadableOrder(orderId, req.user);
+
+    if (!(req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+      return res.status(415).json({ success: false, error: 'Expected a multipart/form-data upload' });
+    }
+
+    files = await receiveFiles(req);
+    if (!files.length) {
+      return res.status(400).json({ success: false, error: 'No files were uploaded' });
+    }
+
+    const result = await saveUploadedFiles(orderId, files, req.user);
+    return res.status(201).json({ success: true, orderId, ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error handling file upload', { err: error });
+    return res.status(500).json({ success: false, error: error.message });
+  } finally {
+    await removeTempFiles(files);
+  }
+});
+
+export default router;
@@ -0,0 +1,526 @@
+import express from 'express';
+import { logger } from './logger.js';
+import { requireAuth } from './auth.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { resolveOrderStatus } from './order-status.js';
+import { discountQuote, isQuoteExpired, verifyQuote } from './pricing.js';
+import { toSen } from './toyyibpay.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Vouchers
+// -----------------------------------------------------------------------------
+// vouchers/{code}   { code, type: 'percentage'|'fixed', value, maxDiscount, minSpend,
+//                     validFrom, validUntil, usageLimit, perUserLimit, active, description,
+//                     usedCount, usedBy: { [userId]: n }, holds: { [orderId]: { userId, heldAt } } }
+// voucher_redemptions/{code}/{orderId}   { userId, paymentId, discount, redeemedAt }
+//
+// A voucher applied to an order re-signs its quote with the discount (see
+// discountQuote in pricing.js), so the bill and the callback amount check both
+// use the discounted total. Raising the bill holds one use; the use is counted
+// when the payment succeeds and the hold dropped if it fails. Holds older than
+// VOUCHER_HOLD_MINUTES no longer count against the limits.
+
+const router = express.Router();
+export const voucherAdminApi = express.Router();
+
+const TYPES = ['percentage', 'fixed'];
+const APPLICABLE_STATUSES = ['NEW', 'PENDING_PAYMENT', 'PAYMENT_FAILED'];
+// Gateways refuse bills below RM 1, so a voucher never takes the total under it.
+const MIN_CHARGE_SEN = 100;
+const MINUTE_MS = 60 * 1000;
+
+function voucherError(status, message, reason = null) {
+  return Object.assign(new Error(message), { status, reason });
+}
+
+function fromSen(sen) {
+  return Math.round(sen) / 100;
+}
+
+// Read lazily so values loaded by dotenv in the entry point are picked up.
+function holdMinutes() {
+  return Number(process.env.VOUCHER_HOLD_MINUTES) || 120;
+}
+
+export function normaliseVoucherCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function ownerOf(order) {
+  return order.userId || order.userID || order.customerId || order.customerID || null;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+function withoutHold(holds, orderId) {
+  return Object.fromEntries(Object.entries(holds || {}).filter(([heldFor]) => heldFor !== orderId));
+}
+
+function liveHolds(voucher, at) {
+  return Object.entries(voucher.holds || {})
+    .filter(([, hold]) => Date.parse(hold.heldAt) + holdMinutes() * MINUTE_MS > at.getTime());
+}
+
+// Uses already counted plus uses held by other orders' open bills.
+function usage(voucher, { userId, orderId, at }) {
+  const holds = liveHolds(voucher, at).filter(([heldFor]) => heldFor !== orderId);
+  return {
+    total: (Number(voucher.usedCount) || 0) + holds.length,
+    byUser: (Number(voucher.usedBy?.[userId]) || 0) + holds.filter(([, hold]) => hold.userId === userId).length
+  };
+}
+
+// Returns the discount in sen for an order subtotal, or throws with a reason
+// the app can show.
+export function evaluateVoucher(voucher, { subtotalSen, userId, orderId = null, at = now() }) {
+  if (!voucher) {
+    throw voucherError(404, 'Voucher not found', 'voucher_not_found');
+  }
+  if (voucher.active === false) {
+    throw voucherError(422, 'This voucher is no longer active', 'voucher_inactive');
+  }
+  if (voucher.validFrom && Date.parse(voucher.validFrom) > at.getTime()) {
+    throw voucherError(422, `This voucher can be used from ${voucher.validFrom}`, 'voucher_not_started');
+  }
+  if (voucher.validUntil && Date.parse(voucher.validUntil) <= at.getTime()) {
+    throw voucherError(422, 'This voucher has expired', 'voucher_expired');
+  }
+  const minSpendSen = toSen(voucher.minSpend || 0);
+  if (subtotalSen < minSpendSen) {
+    throw voucherError(422, `This voucher needs a minimum spend of RM ${fromSen(minSpendSen).toFixed(2)}`, 'min_spend_not_met');
+  }
+
+  const used = usage(voucher, { userId, orderId, at });
+  if (voucher.usageLimit && used.total >= voucher.usageLimit) {
+    throw voucherError(422, 'This voucher has been fully redeemed', 'usage_limit_reached');
+  }
+  if (voucher.perUserLimit && used.byUser >= voucher.perUserLimit) {
+    throw voucherError(422, 'You have already used this voucher', 'per_user_limit_reached');
+  }
+
+  let discountSen = voucher.type === 'percentage'
+    ? Math.floor(subtotalSen * Number(voucher.value) / 100)
+    : toSen(voucher.value);
+  if (voucher.type === 'percentage' && voucher.maxDiscount) {
+    discountSen = Math.min(discountSen, toSen(voucher.maxDiscount));
+  }
+  discountSen = Math.min(discountSen, subtotalSen - MIN_CHARGE_SEN);
+  if (discountSen <= 0) {
+    throw voucherError(422, 'This voucher does not apply to this order', 'no_discount');
+  }
+  return discountSen;
+}
+
+function optionalNumber(body, field, problems, { integer = false, max = Infinity } = {}) {
+  const value = body[field];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+    problems.push(`${field} must be a positive ${integer ? 'integer' : 'number'}${max < Infinity ? ` up to ${max}` : ''}`);
+  }
+  return number;
+}
+
+function optionalDate(body, field, problems) {
+  const value = body[field];
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    problems.push(`${field} must be an ISO date`);
+    return null;
+  }
+  return new Date(time).toISOString();
+}
+
+// Admin input -> stored settings. Usage counters are never taken from the body.
+export function parseVoucherSettings(body = {}) {
+  const problems = [];
+  const type = body.type;
+  if (!TYPES.includes(type)) {
+    problems.push(`type must be one of ${TYPES.join(', ')}`);
+  }
+  const value = optionalNumber(body, 'value', problems, { max: type === 'percentage' ? 100 : Infinity });
+  if (value === null) {
+    problems.push('value is required');
+  }
+  const settings = {
+    type,
+    value,
+    maxDiscount: type === 'percentage' ? optionalNumber(body, 'maxDiscount', problems) : null,
+    minSpend: optionalNumber(body, 'minSpend', problems) || 0,
+    validFrom: optionalDate(body, 'validFrom', problems),
+    validUntil: optionalDate(body, 'validUntil', problems),
+    usageLimit: optionalNumber(body, 'usageLimit', problems, { integer: true }),
+    perUserLimit: optionalNumber(body, 'perUserLimit', problems, { integer: true }),
+    active: body.active !== false,
+    description: body.description ? String(body.description).slice(0, 200) : null
+  };
+  if (settings.validFrom && settings.validUntil && settings.validFrom >= settings.validUntil) {
+    problems.push('validFrom must be before validUntil');
+  }
+  if (problems.length) {
+    throw voucherError(400, problems.join('; '));
+  }
+  return settings;
+}
+
+// ---------------------------------------------------------------------------
+// Checkout
+// ---------------------------------------------------------------------------
+
+async function loadVoucher(code) {
+  const normalised = normaliseVoucherCode(code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(normalised)) {
+    throw voucherError(404, 'Voucher not found', 'voucher_not_found');
+  }
+  return getRepositories().vouchers.get(normalised);
+}
+
+// The quote total before any voucher; the quote must carry a valid signature.
+function orderSubtotalSen(order) {
+  if (!order.quote || !verifyQuote(order.quote, order.id)) {
+    throw voucherError(422, `Order ${order.id} has no quote. Request one from POST /quotes first`);
+  }
+  if (isQuoteExpired(order.quote)) {
+    throw voucherError(409, `Quote for order ${order.id} has expired. Request a new one`);
+  }
+  return order.quote.subtotalSen ?? order.quote.totalSen;
+}
+
+async function loadOwnOrder(orderId, user) {
+  const order = await getRepositories().orders.get(orderId);
+  if (!order) {
+    throw voucherError(404, `Order ${orderId} not found`);
+  }
+  if (ownerOf(order) !== user.uid) {
+    throw voucherError(403, 'You can only use vouchers on your own orders');
+  }
+  const status = resolveOrderStatus(order.status);
+  if (!APPLICABLE_STATUSES.includes(status)) {
+    throw voucherError(409, `Order ${orderId} is ${status} and can no longer be changed`);
+  }
+  return order;
+}
+
+export async function applyVoucherToOrder(orderId, code, user) {
+  const order = await loadOwnOrder(orderId, user);
+  const subtotalSen = orderSubtotalSen(order);
+  const voucher = await loadVoucher(code);
+  const amountSen = evaluateVoucher(voucher, { subtotalSen, userId: user.uid, orderId });
+
+  const quote = discountQuote(order.quote, { code: voucher.code, amountSen });
+  await getRepositories().orders.update(orderId, {
+    quote,
+    totalAmount: quote.total,
+    updatedAt: now().toISOString()
+  });
+  logger.info('Voucher applied', { orderId, code: voucher.code, discount: fromSen(amountSen) });
+  return quote;
+}
+
+export async function removeVoucherFromOrder(orderId, user) {
+  const order = await loadOwnOrder(orderId, user);
+  orderSubtotalSen(order);
+  if (!order.quote.discount) {
+    return order.quote;
+  }
+  const quote = discountQuote(order.quote, null);
+  await getRepositories().orders.update(orderId, {
+    quote,
+    totalAmount: quote.total,
+    updatedAt: now().toISOString()
+  });
+  logger.info('Voucher removed', { orderId, code: order.quote.discount.code });
+  return quote;
+}
+
+// Reserves one use while the order has an open bill. Throws when the voucher
+// can no longer be used, so the bill is not raised at the discounted price.
+export async function holdVoucher(order, userId) {
+  const discount = order.quote?.discount;
+  if (!discount) {
+    return;
+  }
+  const at = now();
+  let failure = null;
+  await getRepositories().vouchers.transaction(discount.code, current => {
+    failure = null;
+    // Firebase runs this first with its cached value, null when nothing is cached;
+    // aborting then would abort for good, so only the stored value is checked.
+    if (current === null) {
+      failure = voucherError(404, 'Voucher not found', 'voucher_not_found');
+      return current;
+    }
+    try {
+      evaluateVoucher(current, { subtotalSen: order.quote.subtotalSen, userId, orderId: order.id, at });
+    } catch (error) {
+      failure = error;
+      return;
+    }
+    return {
+      ...current,
+      holds: { ...(current.holds || {}), [order.id]: { userId, heldAt: at.toISOString() } }
+    };
+  });
+  if (failure) {
+    throw Object.assign(failure, { message: `Voucher ${discount.code}: ${failure.message}`, status: 409 });
+  }
+}
+
+// Drops the hold for an order whose payment failed or whose bill was not raised.
+// Never throws: the payment outcome has already been stored.
+export async function releaseVoucher(order, reason) {
+  const code = order.quote?.discount?.code;
+  if (!code) {
+    return;
+  }
+  try {
+    await getRepositories().vouchers.transaction(code, current => {
+      if (current === null) {
+        return current;
+      }
+      if (!current.holds?.[order.id]) {
+        return;
+      }
+      return { ...current, holds: withoutHold(current.holds, order.id) };
+    });
+    logger.info('Voucher hold released', { orderId: order.id, code, reason });
+  } catch (error) {
+    logger.error('Failed to release voucher hold', { orderId: order.id, code, err: error });
+  }
+}
+
+// Counts the use once the payment has succeeded. The customer has paid the
+// discounted price by now, so it is counted even if a limit was reached in the
+// meantime. Called once per order, when it moves to PAID. Never throws.
+export async function redeemVoucher(order, payment) {
+  const discount = order.quote?.discount;
+  if (!discount) {
+    return;
+  }
+  const userId = ownerOf(order);
+  try {
+    const redeemedAt = now().toISOString();
+    const result = await getRepositories().vouchers.transaction(discount.code, current => {
+      if (current === null) {
+        return current;
+      }
+      return {
+        ...current,
+        holds: withoutHold(current.holds, order.id),
+        usedCount: (Number(current.usedCount) || 0) + 1,
+        usedBy: { ...(current.usedBy || {}), [userId]: (Number(current.usedBy?.[userId]) || 0) + 1 }
+      };
+    });
+    const voucher = result.value;
+    if (voucher?.usageLimit && voucher.usedCount > voucher.usageLimit) {
+      logger.warn('Voucher redeemed beyond its usage limit', { orderId: order.id, code: discount.code, usedCount: voucher.usedCount });
+    }
+
+    const redemption = { code: discount.code, discount: discount.amount, redeemedAt };
+    await getRepositories().vouchers.saveRedemption(discount.code, order.id, {
+      userId,
+      paymentId: payment?.paymentId || null,
+      discount: discount.amount,
+      redeemedAt
+    });
+    await getRepositories().orders.update(order.id, { voucher: redemption });
+    logger.info('Voucher redeemed', { orderId: order.id, code: discount.code, discount: discount.amount });
+  } catch (error) {
+    logger.error('Failed to record voucher redemption', { orderId: order.id, code: discount.code, err: error });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message, ...(error.reason ? { reason: error.reason } : {}) });
+  }
+  logger.error(`Error ${context}`, { err: error });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function requireRepositories(req, res, next) {
+  if (!repositoriesAvailable()) {
+    return res.status(503).json({ success: false, error: 'Firebase Admin is not initialised. Set service credentials.' });
+  }
+  return next();
+}
+
+// What the app may show about a voucher; usage details stay with staff.
+function publicVoucher(voucher) {
+  const { code, type, value, maxDiscount, minSpend, validUntil, description } = voucher;
+  return { code, type, value, maxDiscount, minSpend, validUntil, description };
+}
+
+function adminVoucher(voucher, at = now()) {
+  const { holds, usedBy, ...rest } = voucher;
+  return { ...rest, usedCount: Number(voucher.usedCount) || 0, held: liveHolds(voucher, at).length };
+}
+
+// Body: { code, orderId } checks against the order's quote; { code, amount } previews a price.
+router.post('/vouchers/validate', requireAuth, requireRepositories, async (req, res) => {
+  try {
+    const { code, orderId, amount } = req.body || {};
+    let subtotalSen;
+    if (orderId) {
+      subtotalSen = orderSubtotalSen(await loadOwnOrder(String(orderId), req.user));
+    } else {
+      subtotalSen = toSen(amount);
+      if (!subtotalSen || subtotalSen <= 0) {
+        return res.status(400).json({ success: false, error: 'orderId or a positive amount is required' });
+      }
+    }
+
+    const voucher = await loadVoucher(code);
+    const discountSen = evaluateVoucher(voucher, { subtotalSen, userId: req.user.uid, orderId: orderId || null });
+    return res.json({
+      success: true,
+      voucher: publicVoucher(voucher),
+      subtotal: fromSen(subtotalSen),
+      discount: fromSen(discountSen),
+      total: fromSen(subtotalSen - discountSen)
+    });
+  } catch (error) {
+    return sendError(res, error, 'validating voucher');
+  }
+});
+
+// Body: { code }
+router.post('/orders/:id/voucher', requireAuth, requireRepositories, async (req, res) => {
+  try {
+    const quote = await applyVoucherToOrder(req.params.id, req.body?.code, req.user);
+    return res.json({ success: true, quote });
+  } catch (error) {
+    return sendError(res, error, 'applying voucher');
+  }
+});
+
+router.delete('/orders/:id/voucher', requireAuth, requireRepositories, async (req, res) => {
+  try {
+    const quote = await removeVoucherFromOrder(req.params.id, req.user);
+    return res.json({ success: true, quote });
+  } catch (error) {
+    return sendError(res, error, 'removing voucher');
+  }
+});
+
+// Admin routes, mounted behind requireAdmin by admin-api.js.
+
+voucherAdminApi.get('/admin/vouchers', async (req, res) => {
+  try {
+    const vouchers = (await getRepositories().vouchers.list())
+      .map(voucher => adminVoucher(voucher))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    return res.json({ success: true, total: vouchers.length, vouchers });
+  } catch (error) {
+    return sendError(res, error, 'listing vouchers');
+  }
+});
+
+voucherAdminApi.get('/admin/vouchers/:code', async (req, res) => {
+  try {
+    const code = normaliseVoucherCode(req.params.code);
+    const voucher = await getRepositories().vouchers.get(code);
+    if (!voucher) {
+      return res.status(404).json({ success: false, error: `Voucher ${code} not found` });
+    }
+    const redemptions = await getRepositories().vouchers.listRedemptions(code);
+    return res.json({ success: true, voucher: adminVoucher(voucher), redemptions });
+  } catch (error) {
+    return sendError(res, error, 'loading voucher');
+  }
+});
+
+// Body: { code, type, value, maxDiscount?, minSpend?, validFrom?, validUntil?, usageLimit?, perUserLimit?, active?, description? }
+voucherAdminApi.post('/admin/vouchers', async (req, res) => {
+  try {
+    const code = normaliseVoucherCode(req.body?.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      return res.status(400).json({ success: false, error: 'code must be 3-32 letters, numbers, _ or -' });
+    }
+    const timestamp = now().toISOString();
+    const voucher = {
+      code,
+      ...parseVoucherSettings(req.body),
+      usedCount: 0,
+      createdAt: timestamp,
+      createdBy: req.user.uid,
+      updatedAt: timestamp
+    };
+
+    const result = await getRepositories().vouchers.transaction(code, current => (current === null ? voucher : undefined));
+    if (!result.committed) {
+      return res.status(409).json({ success: false, error: `Voucher ${code} already exists` });
+    }
+    logger.info('Voucher created', { code, by: req.user.uid });
+    return res.status(201).json({ success: true, voucher: adminVoucher(voucher) });
+  } catch (error) {
+    return sendError(res, error, 'creating voucher');
+  }
+});
+
+// Replaces the settings; usage so far is kept.
+voucherAdminApi.put('/admin/vouchers/:code', async (req, res) => {
+  try {
+    const code = normaliseVoucherCode(req.params.code);
+    const settings = parseVoucherSettings(req.body);
+    const result = await getRepositories().vouchers.transaction(code, current => {
+      if (current === null) {
+        return current;
+      }
+      return { ...current, ...settings, updatedAt: now().toISOString(), updatedBy: req.user.uid };
+    });
+    if (!result.value) {
+      return res.status(404).json({ success: false, error: `Voucher ${code} not found` });
+    }
+    logger.info('Voucher updated', { code, by: req.user.uid });
+    return res.json({ success: true, voucher: adminVoucher(result.value) });
+  } catch (error) {
+    return sendError(res, error, 'updating voucher');
+  }
+});
+
+// Only unused vouchers can be deleted; used ones are deactivated instead so
+// their redemptions still point somewhere.
+voucherAdminApi.delete('/admin/vouchers/:code', async (req, res) => {
+  try {
+    const code = normaliseVoucherCode(req.params.code);
+    let found = false;
+    let inUse = false;
+    await getRepositories().vouchers.transaction(code, current => {
+      found = current !== null;
+      inUse = false;
+      if (current === null) {
+        return current;
+      }
+      if (Number(current.usedCount) > 0 || liveHolds(current, now()).length) {
+        inUse = true;
+        return;
+      }
+      return null;
+    });
+    if (inUse) {
+      return res.status(409).json({ success: false, error: `Voucher ${code} has been used; set active to false instead` });
+    }
+    if (!found) {
+      return res.status(404).json({ success: false, error: `Voucher ${code} not found` });
+    }
+    logger.info('Voucher deleted', { code, by: req.user.uid });
+    return res.json({ success: true, code });
+  } catch (error) {
+    return sendError(res, error, 'deleting voucher');
+  }
+});
+
+export default router;
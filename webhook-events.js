@@ -0,0 +1,140 @@
+import { logger } from './logger.js';
+import { getRepositories, repositoriesAvailable } from './repositories/index.js';
+import { now } from './clock.js';
+
+// -----------------------------------------------------------------------------
+// Webhook event log
+// -----------------------------------------------------------------------------
+// webhook_events/{eventId}                      request as received, never rewritten
+// webhook_events/{eventId}/attempts/{attemptId} one entry per processing run
+//                                               (the original delivery and any replays)
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+function redactHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : String(value)
+    ])
+  );
+}
+
+// Firebase rejects undefined values, so round-trip through JSON before writing.
+function plain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function parseFields(provider, payload) {
+  try {
+    const { raw, ...fields } = provider.parseCallback(payload).paymentData;
+    return plain(fields);
+  } catch (error) {
+    return { parseError: error.message };
+  }
+}
+
+// Never throws: losing the log entry must not stop the payment being processed.
+export async function recordWebhookEvent(provider, req) {
+  if (!repositoriesAvailable()) {
+    return null;
+  }
+
+  try {
+    const payload = req.body || {};
+    return await getRepositories().webhookEvents.create({
+      provider: provider.name,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip || null,
+      headers: redactHeaders(req.headers),
+      contentType: req.headers['content-type'] || null,
+      rawBody: typeof req.rawBody === 'string' ? req.rawBody : null,
+      // Kept as a JSON string so field names Firebase would reject survive intact.
+      payload: JSON.stringify(payload),
+      parsed: parseFields(provider, payload),
+      receivedAt: now().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to record webhook event', { err: error });
+    return null;
+  }
+}
+
+export async function recordWebhookAttempt(eventId, { trigger, outcome, statusCode, body, error, actor }) {
+  if (!repositoriesAvailable() || !eventId) {
+    return null;
+  }
+
+  try {
+    const attempt = {
+      trigger,
+      outcome,
+      statusCode,
+      response: plain(body),
+      error: error ? error.message || String(error) : null,
+      actor: actor || null,
+      processedAt: now().toISOString()
+    };
+    const attemptId = await getRepositories().webhookEvents.addAttempt(eventId, attempt);
+    return { attemptId, ...attempt };
+  } catch (failure) {
+    logger.error('Failed to record webhook attempt', { eventId, err: failure });
+    return null;
+  }
+}
+
+function toAttemptList(attempts) {
+  return Object.entries(attempts || {})
+    .map(([attemptId, attempt]) => ({ attemptId, ...attempt }))
+    .sort((a, b) => Date.parse(a.processedAt) - Date.parse(b.processedAt));
+}
+
+export async function loadWebhookEvent(eventId) {
+  const event = await getRepositories().webhookEvents.get(eventId);
+  if (!event) {
+    return null;
+  }
+  return { ...event, eventId, attempts: toAttemptList(event.attempts) };
+}
+
+function summarise(eventId, event) {
+  const attempts = toAttemptList(event.attempts);
+  const last = attempts[attempts.length - 1] || null;
+  return {
+    eventId,
+    provider: event.provider,
+    receivedAt: event.receivedAt,
+    billcode: event.parsed?.billcode || null,
+    transactionId: event.parsed?.transaction_id || null,
+    attempts: attempts.length,
+    lastOutcome: last?.outcome || null,
+    lastStatusCode: last?.statusCode || null,
+    lastProcessedAt: last?.processedAt || null
+  };
+}
+
+// Newest first. Push keys sort chronologically, so `before` (an eventId) pages backwards.
+export async function listWebhookEvents({ provider, outcome, billcode, before, limit } = {}) {
+  const pageSize = Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const stored = await getRepositories().webhookEvents.list({
+    provider: provider ? String(provider).toLowerCase() : null,
+    before: before ? String(before) : null,
+    limit: pageSize
+  });
+
+  const events = stored
+    .filter(({ eventId }) => !before || eventId < before)
+    .map(event => summarise(event.eventId, event))
+    .filter(event => !outcome || event.lastOutcome === outcome)
+    .filter(event => !billcode || event.billcode === billcode)
+    .sort((a, b) => (a.eventId < b.eventId ? 1 : -1));
+
+  const page = events.slice(0, pageSize);
+  return {
+    events: page,
+    nextBefore: events.length > pageSize || page.length === pageSize ? page[page.length - 1]?.eventId || null : null
+  };
+}